@@ -0,0 +1,142 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const { roles } = require("../src/commands/CommandList");
+
+/**
+ * @param {string} password
+ * @param {string} salt
+ * @param {(error: Error, hash: Buffer) => void} callback
+ */
+function hashPassword(password, salt, callback) {
+    crypto.scrypt(password, salt, 64, callback);
+}
+
+/**
+ * Web console users with scrypt hashed passwords, kept in a JSON file
+ */
+class ConsoleUserList {
+    /**
+     * @param {string} path
+     */
+    constructor(path) {
+        this.path = path;
+        /** @type {Indexed<ConsoleUser>} */
+        this.users = { };
+        if (!fs.existsSync(path)) return;
+        /** @type {ConsoleUser[]} */
+        const users = JSON.parse(fs.readFileSync(path, "utf-8"));
+        for (let i = 0, l = users.length; i < l; i++)
+            this.users[users[i].name.toLowerCase()] = users[i];
+    }
+
+    get count() { return Object.keys(this.users).length; }
+
+    /**
+     * @param {string} name
+     * @returns {ConsoleUser}
+     */
+    find(name) {
+        const key = name.toLowerCase();
+        return this.users.hasOwnProperty(key) ? this.users[key] : null;
+    }
+    /** @returns {ConsoleUser[]} */
+    list() {
+        return Object.keys(this.users).map(key => this.users[key]);
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} password
+     * @param {CommandRole} role
+     * @param {(error: string) => void} callback called with an error message, null if there were none
+     */
+    add(name, password, role, callback) {
+        if (!/^[\w.-]{1,32}$/.test(name))
+            return void callback("user name must be 1 to 32 letters, digits, dots, dashes or underscores");
+        if (roles.indexOf(role) === -1)
+            return void callback(`role must be one of ${roles.join(", ")}`);
+        if (password.length < 8)
+            return void callback("password must be at least 8 characters long");
+        if (this.find(name) !== null)
+            return void callback("a user with this name already exists");
+        const salt = crypto.randomBytes(16).toString("hex");
+        hashPassword(password, salt, (error, hash) => {
+            if (error) return void callback("failed to hash the password");
+            // another user could have been added under this name while hashing
+            if (this.find(name) !== null) return void callback("a user with this name already exists");
+            this.users[name.toLowerCase()] = {
+                name: name,
+                role: role,
+                salt: salt,
+                hash: hash.toString("hex"),
+                created: Date.now(),
+                lastLogin: null
+            };
+            this.write();
+            callback(null);
+        });
+    }
+    /**
+     * @param {string} name
+     */
+    remove(name) {
+        if (this.find(name) === null) return false;
+        delete this.users[name.toLowerCase()];
+        this.write();
+        return true;
+    }
+    /**
+     * @param {ConsoleUser} user
+     * @param {CommandRole} role
+     */
+    setRole(user, role) {
+        if (roles.indexOf(role) === -1) return false;
+        user.role = role;
+        this.write();
+        return true;
+    }
+    /**
+     * @param {ConsoleUser} user
+     * @param {string} password
+     * @param {(error: string) => void} callback called with an error message, null if there were none
+     */
+    setPassword(user, password, callback) {
+        if (password.length < 8)
+            return void callback("password must be at least 8 characters long");
+        const salt = crypto.randomBytes(16).toString("hex");
+        hashPassword(password, salt, (error, hash) => {
+            if (error) return void callback("failed to hash the password");
+            user.salt = salt;
+            user.hash = hash.toString("hex");
+            this.write();
+            callback(null);
+        });
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} password
+     * @param {(user: ConsoleUser) => void} callback called with null if the name or password is wrong
+     */
+    verify(name, password, callback) {
+        const user = this.find(name);
+        // unknown names still get hashed so they can't be probed by timing
+        hashPassword(password, user !== null ? user.salt : "", (error, hash) => {
+            if (error || user === null) return void callback(null);
+            const expected = Buffer.from(user.hash, "hex");
+            if (hash.length !== expected.length || !crypto.timingSafeEqual(hash, expected))
+                return void callback(null);
+            // the user could have been removed while hashing
+            if (this.find(user.name) !== user) return void callback(null);
+            user.lastLogin = Date.now();
+            this.write();
+            callback(user);
+        });
+    }
+
+    write() {
+        fs.writeFileSync(this.path, JSON.stringify(this.list(), null, 4), "utf-8");
+    }
+}
+
+module.exports = ConsoleUserList;
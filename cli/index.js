@@ -2,19 +2,22 @@ const fs = require("fs");
 const path = require("path");
 const http = require("http");
 const DefaultSettings = require("../src/Settings");
+const SettingsSchema = require("../src/SettingsSchema");
 const ServerHandle = require("../src/ServerHandle");
-const { genCommand } = require("../src/commands/CommandList");
+const JSONAccountStore = require("../src/accounts/JSONAccountStore");
+const { genCommand, roles } = require("../src/commands/CommandList");
+const ConsoleUserList = require("./console-users");
 const WebConsole = require("./web-console");
 const crypto = require("crypto"); 
 
-/** @returns {DefaultSettings} */
+/** @returns {DefaultSettings} null if it couldn't be read */
 function readSettings() {
     const settingsPath = path.join(__dirname, "settings.json");
     try { 
         return JSON.parse(fs.readFileSync(settingsPath, "utf-8")); 
     } catch (e) {
         console.log("caught error while parsing/reading settings.json:", e.stack);
-        process.exit(1);
+        return null;
     }
 }
 
@@ -24,36 +27,45 @@ function overwriteSettings(settings) {
     fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 4), "utf-8");
 }
 
-function readOrCreateConsoleCredentials() {
+function readOrCreateConsoleUsers() {
+    const usersPath = path.join(__dirname, "console-users.json");
     const credentialsPath = path.join(__dirname, "console-credentials.json");
 
     try {
-        if (fs.existsSync(credentialsPath)) {
-            return JSON.parse(fs.readFileSync(credentialsPath, "utf-8"));
-        } else {
-
-            const username = crypto.randomBytes(8).toString('hex');
-            const password = crypto.randomBytes(16).toString('hex');
+        const users = new ConsoleUserList(usersPath);
+        if (users.count > 0) return users;
 
-            const credentials = {
-                username: username,
-                password: password,
-                created: new Date().toISOString()
-            };
-
-            fs.writeFileSync(credentialsPath, JSON.stringify(credentials, null, 4), "utf-8");
+        if (fs.existsSync(credentialsPath)) {
+            const credentials = JSON.parse(fs.readFileSync(credentialsPath, "utf-8"));
+            users.add(credentials.username, credentials.password, "admin", (error) => {
+                if (error !== null) {
+                    console.log("Could not migrate console-credentials.json: " + error);
+                    process.exit(1);
+                }
+                fs.unlinkSync(credentialsPath);
+                console.log("Migrated console-credentials.json to an admin in console-users.json");
+            });
+            return users;
+        }
 
+        const username = "admin";
+        const password = crypto.randomBytes(16).toString('hex');
+        users.add(username, password, "admin", (error) => {
+            if (error !== null) {
+                console.log("Could not generate a console admin: " + error);
+                process.exit(1);
+            }
             console.log("================================================");
-            console.log("CONSOLE CREDENTIALS GENERATED:");
+            console.log("CONSOLE ADMIN GENERATED:");
             console.log("Username: " + username);
             console.log("Password: " + password);
             console.log("Save these credentials for future access!");
             console.log("================================================");
+        });
 
-            return credentials;
-        }
+        return users;
     } catch (e) {
-        console.log("Error handling console credentials:", e.stack);
+        console.log("Error handling console users:", e.stack);
         process.exit(1);
     }
 }
@@ -65,15 +77,25 @@ if (!fs.existsSync(settingsPath)) {
 }
 
 let settings = readSettings();
+if (settings === null) process.exit(1);
+const settingErrors = SettingsSchema.validate(Object.assign({ }, DefaultSettings, settings));
+if (settingErrors.length > 0) {
+    console.log("settings.json has invalid values:");
+    for (let i = 0; i < settingErrors.length; i++) console.log("  " + settingErrors[i]);
+    process.exit(1);
+}
 
-const consoleCredentials = readOrCreateConsoleCredentials();
+const consoleUsers = readOrCreateConsoleUsers();
 
 const currentHandle = new ServerHandle(settings);
 overwriteSettings(currentHandle.settings);
-require("./log-handler")(currentHandle);
+const chatLog = require("./log-handler")(currentHandle);
 const logger = currentHandle.logger;
 
-const webConsole = new WebConsole(currentHandle, consoleCredentials);
+currentHandle.accounts.setStore(new JSONAccountStore(path.join(__dirname, "accounts.json")));
+currentHandle.punishments.setFile(path.join(__dirname, "punishments.json"));
+
+const webConsole = new WebConsole(currentHandle, consoleUsers, chatLog);
 
 const DefaultCommands = require("../src/commands/DefaultCommands");
 const DefaultProtocols = [
@@ -83,12 +105,19 @@ const DefaultProtocols = [
 const DefaultGamemodes = [
     require("../src/gamemodes/FFA"),
     require("../src/gamemodes/Teams"),
-    require("../src/gamemodes/LastManStanding")
+    require("../src/gamemodes/LastManStanding"),
+    require("../src/gamemodes/BattleRoyale"),
+    require("../src/gamemodes/Tournament"),
+    require("../src/gamemodes/CaptureTheFlag"),
+    require("../src/gamemodes/KingOfTheHill"),
+    require("../src/gamemodes/TeamKingOfTheHill"),
+    require("../src/gamemodes/Infection")
 ];
 
 DefaultCommands(currentHandle.commands, currentHandle.chatCommands);
 currentHandle.protocols.register(...DefaultProtocols);
 currentHandle.gamemodes.register(...DefaultGamemodes);
+currentHandle.plugins.loadAll();
 
 currentHandle.commands.register(
     genCommand({
@@ -131,6 +160,7 @@ currentHandle.commands.register(
         name: "status",
         args: "",
         desc: "show server status",
+        role: "viewer",
         exec: (handle, context, args) => {
             handle.logger.print("Server is " + (handle.running ? "RUNNING" : "STOPPED"));
             handle.logger.print("Gamemode: " + handle.settings.gamemode);
@@ -143,8 +173,18 @@ currentHandle.commands.register(
         args: "",
         desc: "reload the settings from local settings.json",
         exec: (handle, context, args) => {
-            handle.setSettings(readSettings());
+            const settings = readSettings();
+            if (settings === null)
+                return void logger.print("Could not read settings.json, nothing was reloaded");
+            const oldSettings = handle.settings;
+            const errors = handle.setSettings(settings);
+            if (errors.length > 0)
+                return void logger.print("settings.json has invalid values, nothing was reloaded:\n  " + errors.join("\n  "));
             logger.print("Settings reloaded successfully");
+            const pending = SettingsSchema.diff(oldSettings, handle.settings)
+                .filter(v => SettingsSchema.schema.hasOwnProperty(v) && SettingsSchema.schema[v].applies !== "live");
+            if (pending.length > 0)
+                logger.print(`Only new worlds or a restart will pick up ${pending.join(", ")}`);
         }
     }),
     genCommand({
@@ -155,6 +195,75 @@ currentHandle.commands.register(
             overwriteSettings(handle.settings);
             logger.print("Settings saved successfully");
         }
+    }),
+    genCommand({
+        name: "consoleusers",
+        args: "",
+        desc: "list the web console users",
+        exec: (handle, context, args) => {
+            const users = consoleUsers.list();
+            if (users.length === 0) return void logger.print("no console users");
+            for (let i = 0; i < users.length; i++) {
+                const user = users[i];
+                const lastLogin = user.lastLogin === null ? "never" : new Date(user.lastLogin).toISOString();
+                logger.print(`${user.name} - ${user.role}, last login ${lastLogin}`);
+            }
+        }
+    }),
+    genCommand({
+        name: "addconsoleuser",
+        args: `<name> <${roles.join("|")}> <password>`,
+        desc: "add a web console user",
+        sensitive: true,
+        exec: (handle, context, args) => {
+            if (args.length < 3) return void logger.print("missing name, role or password");
+            consoleUsers.add(args[0], args.slice(2).join(" "), args[1], (error) => {
+                if (error !== null) return void logger.print(error);
+                logger.print(`added ${args[0]} as ${args[1]}`);
+            });
+        }
+    }),
+    genCommand({
+        name: "setconsolepassword",
+        args: "<name> <password>",
+        desc: "reset a web console user's password and end their sessions",
+        sensitive: true,
+        exec: (handle, context, args) => {
+            if (args.length < 2) return void logger.print("missing name or password");
+            const user = consoleUsers.find(args[0]);
+            if (user === null) return void logger.print("no such console user");
+            consoleUsers.setPassword(user, args.slice(1).join(" "), (error) => {
+                if (error !== null) return void logger.print(error);
+                if (context == null || context.name.toLowerCase() !== user.name.toLowerCase())
+                    webConsole.endSessions(user.name);
+                logger.print(`${user.name}'s password was reset`);
+            });
+        }
+    }),
+    genCommand({
+        name: "rmconsoleuser",
+        args: "<name>",
+        desc: "remove a web console user and end their sessions",
+        exec: (handle, context, args) => {
+            if (args.length < 1) return void logger.print("missing name");
+            if (context != null && context.name.toLowerCase() === args[0].toLowerCase())
+                return void logger.print("you can't remove yourself");
+            if (!consoleUsers.remove(args[0])) return void logger.print("no such console user");
+            webConsole.endSessions(args[0]);
+            logger.print("console user removed");
+        }
+    }),
+    genCommand({
+        name: "setconsolerole",
+        args: `<name> <${roles.join("|")}>`,
+        desc: "change a web console user's role",
+        exec: (handle, context, args) => {
+            if (args.length < 2) return void logger.print("missing name or role");
+            const user = consoleUsers.find(args[0]);
+            if (user === null) return void logger.print("no such console user");
+            if (!consoleUsers.setRole(user, args[1])) return void logger.print(`role must be one of ${roles.join(", ")}`);
+            logger.print(`${user.name} is now ${user.role}`);
+        }
     })
 );
 
@@ -173,7 +282,7 @@ async function startServer() {
         httpServer.listen(settings.serverPort || 3001, () => {
             logger.print("=== OgarII Server Started ===");
             logger.print("Game Server + Web Console running on port " + (settings.serverPort || 3001));
-            logger.print("Console credentials saved in console-credentials.json");
+            logger.print("Console users are stored in console-users.json");
         });
 
     } catch (error) {
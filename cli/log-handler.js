@@ -20,7 +20,10 @@ let settings = {
         FATAL: true
     },
     fileLogDirectory: "./logs/",
-    fileLogSaveOld: true
+    fileLogSaveOld: true,
+    chatLogEnabled: true,
+    chatLogMaxSize: 1024 * 1024,
+    chatLogKeepOld: 5
 };
 
 const { EOL } = require("os");
@@ -147,9 +150,82 @@ process.once("exit", function(code) {
     fprocessSync();
 });
 
+const chatLogFile = `${settings.fileLogDirectory}chat.log`;
+let chatLogSize = fs.existsSync(chatLogFile) ? fs.statSync(chatLogFile).size : 0;
+
+/**
+ * @param {number} index
+ */
+function oldChatLogFile(index) {
+    return `${settings.fileLogDirectory}chat.${index}.log`;
+}
+function rotateChatLog() {
+    if (fs.existsSync(oldChatLogFile(settings.chatLogKeepOld)))
+        fs.unlinkSync(oldChatLogFile(settings.chatLogKeepOld));
+    for (let i = settings.chatLogKeepOld - 1; i >= 1; i--)
+        if (fs.existsSync(oldChatLogFile(i))) fs.renameSync(oldChatLogFile(i), oldChatLogFile(i + 1));
+    if (settings.chatLogKeepOld > 0) fs.renameSync(chatLogFile, oldChatLogFile(1));
+    else fs.unlinkSync(chatLogFile);
+    chatLogSize = 0;
+}
+/**
+ * @param {string} channel
+ * @param {ChatSource} source
+ * @param {string} message
+ */
+function writeChat(channel, source, message) {
+    /** @type {ChatLogEntry} */
+    const entry = { time: Date.now(), channel: channel, source: source.name, isServer: source.isServer, message: message };
+    const line = JSON.stringify(entry) + EOL;
+    const size = Buffer.byteLength(line);
+    try {
+        if (chatLogSize > 0 && chatLogSize + size > settings.chatLogMaxSize) rotateChatLog();
+        fs.appendFileSync(chatLogFile, line, "utf-8");
+        chatLogSize += size;
+    } catch (e) {
+        write(new Date(), "ERROR", `failed to write to the chat log: ${e.message}`);
+    }
+}
+/**
+ * @param {ChatLogFilter} filter
+ * @returns {ChatLogEntry[]} matching entries, newest first
+ */
+function queryChat(filter) {
+    const source = filter.source ? filter.source.toLowerCase() : null;
+    const text = filter.text ? filter.text.toLowerCase() : null;
+    const limit = filter.limit || 100;
+    /** @type {ChatLogEntry[]} */
+    const entries = [];
+    for (let i = 0; i <= settings.chatLogKeepOld && entries.length < limit; i++) {
+        const file = i === 0 ? chatLogFile : oldChatLogFile(i);
+        if (!fs.existsSync(file)) continue;
+        const lines = fs.readFileSync(file, "utf-8").split(EOL);
+        for (let j = lines.length - 1; j >= 0 && entries.length < limit; j--) {
+            if (lines[j].length === 0) continue;
+            /** @type {ChatLogEntry} */
+            let entry;
+            try { entry = JSON.parse(lines[j]); }
+            catch (e) { continue; }
+            if (filter.since != null && entry.time < filter.since) return entries;
+            if (filter.until != null && entry.time > filter.until) continue;
+            if (filter.channel && entry.channel !== filter.channel) continue;
+            if (source !== null && entry.source.toLowerCase().indexOf(source) === -1) continue;
+            if (text !== null && entry.message.toLowerCase().indexOf(text) === -1) continue;
+            entries.push(entry);
+        }
+    }
+    return entries;
+}
+
 /**
  * @param {ServerHandle} handle
+ * @returns {{ query: (filter: ChatLogFilter) => ChatLogEntry[] }} the chat log, null if it's disabled
  */
-module.exports = (handle) => handle.logger.onlog = write;
+module.exports = (handle) => {
+    handle.logger.onlog = write;
+    if (!settings.chatLogEnabled) return null;
+    handle.events.on("chatMessage", writeChat);
+    return { query: queryChat };
+};
 
 const ServerHandle = require("../src/ServerHandle");
@@ -2,17 +2,110 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
 const crypto = require('crypto');
+const WebSocket = require('ws');
+const PlayerBot = require('../src/bots/PlayerBot');
+const { hasRole } = require('../src/commands/CommandList');
+const { filterIPAddress } = require('../src/primitives/Misc');
+const SettingsSchema = require('../src/SettingsSchema');
+
+function serializeWorld(world) {
+    return {
+        id: world.id,
+        frozen: world.frozen,
+        seed: world.random.seed,
+        recording: world.recorder !== null,
+        border: world.border,
+        cells: {
+            total: world.cells.length,
+            players: world.playerCells.length,
+            pellets: world.pelletCount,
+            viruses: world.virusCount,
+            ejected: world.ejectedCells.length,
+            mothercells: world.mothercellCount
+        },
+        players: world.players.length,
+        persistent: world.persistent,
+        overrides: world.overrides,
+        stats: world.stats
+    };
+}
+
+function serializePlayer(player) {
+    const router = player.router;
+    return {
+        id: player.id,
+        type: router.type,
+        name: player.leaderboardName,
+        world: player.hasWorld ? player.world.id : null,
+        state: player.state,
+        score: isNaN(player.score) ? null : player.score,
+        position: player.state === 0 ? { x: player.viewArea.x, y: player.viewArea.y } : null,
+        cells: player.ownedCells.length,
+        ip: router.isExternal ? router.remoteAddress : null,
+        account: router.account ? router.account.name : null,
+        banned: player.handle.punishments.findForRouter('ban', router) !== null,
+        muted: player.handle.punishments.findForRouter('mute', router) !== null
+    };
+}
+
+const livePath = '/console/live';
+const tickSampleBatch = 25;
+const mapSnapshotInterval = 5;
+
+function serializeMap(world, withQuadTree) {
+    const cells = [];
+    for (let i = 0, l = world.cells.length; i < l; i++) {
+        const cell = world.cells[i];
+        cells.push([
+            cell.id,
+            cell.type,
+            Math.round(cell.x),
+            Math.round(cell.y),
+            Math.round(cell.size),
+            cell.color,
+            cell.owner ? cell.owner.id : 0,
+            cell.name || ''
+        ]);
+    }
+    return {
+        type: 'map',
+        world: world.id,
+        border: world.border,
+        cells: cells,
+        quadtree: withQuadTree ? world.finder.debugStr() : null
+    };
+}
+
+/**
+ * @param {string} value a timestamp or a date string from a query
+ * @returns {number} null if it's missing or invalid
+ */
+function parseTime(value) {
+    if (value === undefined) return null;
+    const date = isNaN(value) ? Date.parse(value) : parseInt(value);
+    return isNaN(date) ? null : date;
+}
 
 class WebConsole {
-    constructor(serverHandle, credentials) {
+    constructor(serverHandle, users, chatLog) {
         this.handle = serverHandle;
-        this.credentials = credentials;
+        this.users = users;
+        this.chatLog = chatLog || null;
         this.port = 3002;
         this.app = express();
         this.history = [];
         this.maxHistorySize = 100;
         this.sessions = new Map();
 
+        this.liveServer = new WebSocket.Server({ noServer: true });
+        this.tickSamples = [];
+        this.knownPlayers = new Map();
+        this.statusInterval = null;
+        this.previousOnLog = null;
+        this.onUpgrade = this.onUpgrade.bind(this);
+        this.onTick = this.onTick.bind(this);
+        this.onChat = this.onChat.bind(this);
+
         this.setupMiddleware();
         this.setupRoutes();
     }
@@ -35,21 +128,28 @@ class WebConsole {
                 return res.status(400).json({ success: false, error: 'Username and password required' });
             }
 
-            if (username === this.credentials.username && password === this.credentials.password) {
+            this.users.verify(username, password, (user) => {
+                if (user !== null) {
 
-                const token = crypto.randomBytes(32).toString('hex');
-                this.sessions.set(token, {
-                    username: username,
-                    loginTime: new Date(),
-                    lastActivity: new Date()
-                });
+                    const token = crypto.randomBytes(32).toString('hex');
+                    this.sessions.set(token, {
+                        username: user.name,
+                        user: user,
+                        loginTime: new Date(),
+                        lastActivity: new Date()
+                    });
 
-                this.cleanupSessions();
+                    this.cleanupSessions();
 
-                res.json({ success: true, token: token });
-            } else {
-                res.status(401).json({ success: false, error: 'Invalid credentials' });
-            }
+                    res.json({ success: true, token: token, role: user.role });
+                } else {
+                    res.status(401).json({ success: false, error: 'Invalid credentials' });
+                }
+            });
+        });
+
+        this.app.get('/console/map', (req, res) => {
+            res.send(this.getMapHTML());
         });
 
         this.app.get('/console/main', (req, res) => {
@@ -63,7 +163,16 @@ class WebConsole {
                 return res.status(401).json({ error: 'Unauthorized' });
             }
 
-            this.sessions.get(token).lastActivity = new Date();
+            const session = this.sessions.get(token);
+            session.lastActivity = new Date();
+            req.consoleUser = session.user;
+            next();
+        };
+
+        const requireRole = (role) => (req, res, next) => {
+            if (!hasRole(req.consoleUser, role)) {
+                return res.status(403).json({ success: false, error: `Requires the ${role} role` });
+            }
             next();
         };
 
@@ -71,15 +180,31 @@ class WebConsole {
             const token = req.headers.authorization;
             if (token) {
                 this.sessions.delete(token);
+                this.liveServer.clients.forEach(socket => {
+                    if (socket.token === token) socket.close(1000, 'Logged out');
+                });
             }
             res.json({ success: true });
         });
 
         this.app.get('/console/check-session', authMiddleware, (req, res) => {
-            res.json({ valid: true });
+            res.json({ valid: true, username: req.consoleUser.name, role: req.consoleUser.role });
         });
 
-        this.app.post('/console/clear-history', authMiddleware, (req, res) => {
+        this.app.post('/console/password', authMiddleware, (req, res) => {
+            const { password } = req.body;
+            if (typeof password !== 'string') {
+                return res.status(400).json({ success: false, error: 'No password provided' });
+            }
+            this.users.setPassword(req.consoleUser, password, (error) => {
+                if (error !== null) {
+                    return res.status(400).json({ success: false, error: error });
+                }
+                res.json({ success: true });
+            });
+        });
+
+        this.app.post('/console/clear-history', authMiddleware, requireRole('moderator'), (req, res) => {
             const previousSize = this.history.length;
             this.history = []; 
 
@@ -108,11 +233,15 @@ class WebConsole {
                     originalPrint.call(this.handle.logger, message);
                 };
 
-                const success = this.handle.commands.execute(null, command);
+                const success = this.handle.commands.execute(this.getCommandContext(req), command);
 
                 this.handle.logger.print = originalPrint;
 
-                this.addToHistory(`@ ${command}`, 'command');
+                // everyone with a session can read the history, so keep passwords out of it
+                const name = command.split(' ')[0].toLowerCase();
+                const commands = this.handle.commands.list;
+                const sensitive = commands.hasOwnProperty(name) && commands[name].sensitive;
+                this.addToHistory(`@ ${sensitive ? name : command}`, 'command');
                 output.forEach(line => this.addToHistory(line, 'output'));
 
                 res.json({ 
@@ -130,6 +259,26 @@ class WebConsole {
             res.json(this.history);
         });
 
+        this.app.get('/console/stats', authMiddleware, (req, res) => {
+            const players = [];
+            for (const id in this.handle.players) {
+                const player = this.handle.players[id];
+                if (!player.router.isExternal) continue;
+                players.push({
+                    id: player.id,
+                    name: player.leaderboardName,
+                    world: player.hasWorld ? player.world.id : null,
+                    account: player.router.account ? player.router.account.name : null,
+                    session: player.stats.session,
+                    lifetime: player.stats.lifetime
+                });
+            }
+            res.json({
+                players: players,
+                history: this.handle.statsHistory
+            });
+        });
+
         this.app.get('/console/status', authMiddleware, (req, res) => {
             try {
                 res.json({
@@ -144,6 +293,363 @@ class WebConsole {
                 });
             }
         });
+
+        const findWorld = (req, res, next) => {
+            const id = parseInt(req.params.id);
+            if (isNaN(id) || !this.handle.worlds.hasOwnProperty(id)) {
+                return res.status(404).json({ success: false, error: 'No world has this id' });
+            }
+            req.world = this.handle.worlds[id];
+            next();
+        };
+
+        const findPlayer = (req, res, next) => {
+            const id = parseInt(req.params.id);
+            if (isNaN(id) || !this.handle.players.hasOwnProperty(id)) {
+                return res.status(404).json({ success: false, error: 'No player has this id' });
+            }
+            req.player = this.handle.players[id];
+            next();
+        };
+
+        const findConnection = (req, res, next) => findPlayer(req, res, () => {
+            if (!req.player.router.isExternal) {
+                return res.status(400).json({ success: false, error: 'Player is not external' });
+            }
+            next();
+        });
+
+        this.app.get('/console/api/worlds', authMiddleware, (req, res) => {
+            const worlds = [];
+            for (const id in this.handle.worlds) {
+                worlds.push(serializeWorld(this.handle.worlds[id]));
+            }
+            res.json(worlds);
+        });
+
+        this.app.get('/console/api/worlds/:id', authMiddleware, findWorld, (req, res) => {
+            res.json(serializeWorld(req.world));
+        });
+
+        this.app.post('/console/api/worlds/:id/pause', authMiddleware, requireRole('admin'), findWorld, (req, res) => {
+            const frozen = typeof req.body.frozen === 'boolean' ? req.body.frozen : !req.world.frozen;
+            req.world.frozen = frozen;
+            this.audit(req, 'pauseworld', [String(req.world.id), String(frozen)], `${frozen ? 'paused' : 'resumed'} world ${req.world.id}`);
+            res.json({ success: true, frozen: frozen });
+        });
+
+        this.app.post('/console/api/worlds/:id/bots', authMiddleware, requireRole('admin'), findWorld, (req, res) => {
+            const count = req.body.count === undefined ? 1 : parseInt(req.body.count);
+            if (isNaN(count) || count < 1 || count > 100) {
+                return res.status(400).json({ success: false, error: 'Count must be between 1 and 100' });
+            }
+            const ids = [];
+            for (let i = 0; i < count; i++) {
+                ids.push(new PlayerBot(req.world).player.id);
+            }
+            this.audit(req, 'addbot', [String(req.world.id), String(count)], `added ${count} player bots to world ${req.world.id}`);
+            res.json({ success: true, players: ids });
+        });
+
+        this.app.get('/console/api/players', authMiddleware, (req, res) => {
+            const players = [];
+            for (const id in this.handle.players) {
+                const player = this.handle.players[id];
+                if (req.query.world !== undefined && (!player.hasWorld || player.world.id !== parseInt(req.query.world))) continue;
+                if (req.query.type !== undefined && player.router.type !== req.query.type) continue;
+                players.push(serializePlayer(player));
+            }
+            res.json(players);
+        });
+
+        this.app.get('/console/api/players/:id', authMiddleware, findPlayer, (req, res) => {
+            res.json(serializePlayer(req.player));
+        });
+
+        this.app.post('/console/api/players/:id/kick', authMiddleware, requireRole('moderator'), findPlayer, (req, res) => {
+            const router = req.player.router;
+            const reason = req.body.reason || 'Kicked by an administrator';
+            if (router.isExternal) {
+                router.closeSocket(1003, reason);
+            } else {
+                router.close();
+            }
+            this.audit(req, 'kick', [String(req.player.id), reason], `kicked player ${req.player.id}`);
+            res.json({ success: true });
+        });
+
+        const getPunishmentTarget = (req, res) => {
+            const router = req.player.router;
+            if (req.body.match === 'account') {
+                if (router.account === null) {
+                    res.status(400).json({ success: false, error: 'Player is not logged in' });
+                    return null;
+                }
+                return { match: 'account', value: router.account.name };
+            }
+            return { match: 'ip', value: router.remoteAddress };
+        };
+
+        const getDuration = (req, res) => {
+            if (req.body.duration == null) return null;
+            const duration = parseFloat(req.body.duration);
+            if (isNaN(duration) || duration <= 0) {
+                res.status(400).json({ success: false, error: 'Duration must be a positive amount of seconds' });
+                return false;
+            }
+            return duration * 1000;
+        };
+
+        this.app.post('/console/api/players/:id/ban', authMiddleware, requireRole('moderator'), findConnection, (req, res) => {
+            const target = getPunishmentTarget(req, res);
+            const duration = getDuration(req, res);
+            if (target === null || duration === false) return;
+            const ban = this.handle.punishments.add('ban', target, req.body.reason, req.consoleUser.name, duration);
+            this.audit(req, 'ban', [`${target.match}:${target.value}`, String(req.player.id)], `banned ${target.match} ${target.value} of player ${req.player.id}`);
+            res.json({ success: true, punishment: ban });
+        });
+
+        this.app.post('/console/api/players/:id/mute', authMiddleware, requireRole('moderator'), findConnection, (req, res) => {
+            const muted = typeof req.body.muted === 'boolean' ? req.body.muted : true;
+            if (!muted) {
+                const router = req.player.router;
+                const removed = this.handle.punishments.removeTarget('mute', { match: 'ip', value: router.remoteAddress });
+                if (router.account !== null) {
+                    removed.push(...this.handle.punishments.removeTarget('mute', { match: 'account', value: router.account.name }));
+                }
+                this.audit(req, 'unmute', [String(req.player.id)], `unmuted player ${req.player.id}`);
+                return res.json({ success: true, removed: removed.length });
+            }
+            const target = getPunishmentTarget(req, res);
+            const duration = getDuration(req, res);
+            if (target === null || duration === false) return;
+            const mute = this.handle.punishments.add('mute', target, req.body.reason, req.consoleUser.name, duration);
+            this.audit(req, 'mute', [`${target.match}:${target.value}`, String(req.player.id)], `muted ${target.match} ${target.value} of player ${req.player.id}`);
+            res.json({ success: true, punishment: mute });
+        });
+
+        this.app.get('/console/api/punishments', authMiddleware, (req, res) => {
+            res.json(this.handle.punishments.list(req.query.type));
+        });
+
+        this.app.delete('/console/api/punishments/:id', authMiddleware, requireRole('moderator'), (req, res) => {
+            const punishment = this.handle.punishments.remove(parseInt(req.params.id));
+            if (punishment === null) {
+                return res.status(404).json({ success: false, error: 'No punishment has this id' });
+            }
+            this.audit(req, 'unban', [String(punishment.id)], `lifted ${punishment.type} #${punishment.id}`);
+            res.json({ success: true, punishment: punishment });
+        });
+
+        this.app.get('/console/api/settings', authMiddleware, (req, res) => {
+            res.json(this.handle.settings);
+        });
+
+        this.app.get('/console/api/settings/schema', authMiddleware, (req, res) => {
+            const schema = {};
+            for (const name in SettingsSchema.schema) {
+                schema[name] = {
+                    type: SettingsSchema.schema[name].type,
+                    description: SettingsSchema.describe(name),
+                    applies: SettingsSchema.schema[name].applies
+                };
+            }
+            res.json(schema);
+        });
+
+        this.app.post('/console/api/settings', authMiddleware, requireRole('admin'), (req, res) => {
+            const { name, value } = req.body;
+            if (typeof name !== 'string' || !this.handle.settings.hasOwnProperty(name)) {
+                return res.status(400).json({ success: false, error: 'No such setting' });
+            }
+            if (value === undefined) {
+                return res.status(400).json({ success: false, error: 'No value provided' });
+            }
+            const newSettings = Object.assign({}, this.handle.settings);
+            newSettings[name] = value;
+            const errors = this.handle.setSettings(newSettings);
+            if (errors.length > 0) {
+                return res.status(400).json({ success: false, error: errors.join('; ') });
+            }
+            this.audit(req, 'setting', [name, JSON.stringify(value)], `set ${name} to ${JSON.stringify(value)}`);
+            const schema = SettingsSchema.schema[name];
+            res.json({ success: true, name: name, value: this.handle.settings[name], applies: schema ? schema.applies : 'live' });
+        });
+
+        this.app.get('/console/api/audit', authMiddleware, requireRole('admin'), (req, res) => {
+            const limit = parseInt(req.query.limit);
+            this.handle.audit.query({
+                source: req.query.source,
+                actor: req.query.actor,
+                ip: req.query.ip,
+                command: req.query.command,
+                outcome: req.query.outcome,
+                text: req.query.text,
+                since: parseTime(req.query.since),
+                until: parseTime(req.query.until),
+                limit: isNaN(limit) ? 100 : Math.max(1, Math.min(limit, 1000))
+            }, (error, entries) => {
+                if (error) return res.status(500).json({ success: false, error: 'Failed to read the audit log' });
+                res.json(entries);
+            });
+        });
+
+        this.app.get('/console/api/chat', authMiddleware, requireRole('moderator'), (req, res) => {
+            if (this.chatLog === null) {
+                return res.status(404).json({ success: false, error: 'Chat logging is disabled' });
+            }
+            const limit = parseInt(req.query.limit);
+            res.json(this.chatLog.query({
+                channel: req.query.channel,
+                source: req.query.source,
+                text: req.query.text,
+                since: parseTime(req.query.since),
+                until: parseTime(req.query.until),
+                limit: isNaN(limit) ? 100 : Math.max(1, Math.min(limit, 1000))
+            }));
+        });
+
+        this.app.get('/console/api/users', authMiddleware, requireRole('admin'), (req, res) => {
+            res.json(this.users.list().map(user => ({
+                name: user.name,
+                role: user.role,
+                created: user.created,
+                lastLogin: user.lastLogin
+            })));
+        });
+
+        this.app.post('/console/api/users', authMiddleware, requireRole('admin'), (req, res) => {
+            const { name, password, role } = req.body;
+            if (typeof name !== 'string' || typeof password !== 'string' || typeof role !== 'string') {
+                return res.status(400).json({ success: false, error: 'Name, password and role required' });
+            }
+            this.users.add(name, password, role, (error) => {
+                if (error !== null) {
+                    return res.status(400).json({ success: false, error: error });
+                }
+                this.audit(req, 'addconsoleuser', [name, role], `added console user ${name} as ${role}`);
+                res.json({ success: true });
+            });
+        });
+    }
+
+    getCommandContext(req) {
+        return { name: req.consoleUser.name, role: req.consoleUser.role, ip: filterIPAddress(req.ip) };
+    }
+
+    audit(req, command, args, action) {
+        this.handle.audit.record(this.getCommandContext(req), command, args, 'executed');
+        const message = `${req.consoleUser.name} ${action}`;
+        this.handle.logger.inform(`web console: ${message}`);
+        this.addToHistory(message, 'info');
+    }
+
+    onUpgrade(req, socket, head) {
+        const index = req.url.indexOf('?');
+        const path = index !== -1 ? req.url.slice(0, index) : req.url;
+        if (path !== livePath) return;
+        const token = new URLSearchParams(index !== -1 ? req.url.slice(index + 1) : '').get('token');
+        if (!token || !this.sessions.has(token)) {
+            socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+            return;
+        }
+        this.liveServer.handleUpgrade(req, socket, head, (webSocket) => {
+            webSocket.token = token;
+            webSocket.mapWorld = null;
+            webSocket.mapQuadTree = false;
+            webSocket.on('message', (data) => this.onLiveMessage(webSocket, data));
+            this.sendLive(webSocket, this.getLiveStatus());
+        });
+    }
+
+    onLiveMessage(socket, data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (e) {
+            return;
+        }
+        if (message.type !== 'map') return;
+        socket.mapWorld = message.world == null ? null : parseInt(message.world);
+        socket.mapQuadTree = !!message.quadtree;
+        this.sendMap(socket);
+    }
+
+    sendMap(socket) {
+        if (socket.mapWorld === null || !this.sessions.has(socket.token)) return;
+        if (!this.handle.worlds.hasOwnProperty(socket.mapWorld)) {
+            return void this.sendLive(socket, { type: 'map', world: socket.mapWorld, error: 'No world has this id' });
+        }
+        this.sendLive(socket, serializeMap(this.handle.worlds[socket.mapWorld], socket.mapQuadTree));
+    }
+
+    getLiveStatus() {
+        return {
+            type: 'status',
+            running: this.handle.running,
+            serverPort: this.handle.settings.serverPort || 3001,
+            tick: this.handle.tick,
+            tickDelay: this.handle.tickDelay,
+            players: this.handle.listener.connections.length
+        };
+    }
+
+    sendLive(socket, event) {
+        if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(event));
+    }
+
+    broadcastLive(event, requiredRole) {
+        if (this.liveServer.clients.size === 0) return;
+        const data = JSON.stringify(event);
+        this.liveServer.clients.forEach(socket => {
+            const session = this.sessions.get(socket.token);
+            if (session === undefined) return void socket.close(1008, 'Session expired');
+            if (!hasRole(session.user, requiredRole)) return;
+            if (socket.readyState === WebSocket.OPEN) socket.send(data);
+        });
+    }
+
+    onLog(date, level, message) {
+        this.broadcastLive({ type: 'log', date: date.toISOString(), level: level, message: message });
+    }
+
+    onTick() {
+        const handle = this.handle;
+        this.tickSamples.push(handle.averageTickTime);
+        if (this.tickSamples.length >= tickSampleBatch) {
+            this.broadcastLive({ type: 'tick', tick: handle.tick, tickDelay: handle.tickDelay, samples: this.tickSamples });
+            this.tickSamples = [];
+        }
+        if (handle.tick % mapSnapshotInterval === 0) {
+            this.liveServer.clients.forEach(socket => this.sendMap(socket));
+        }
+
+        for (const [id, player] of this.knownPlayers) {
+            if (handle.players[id] === player) continue;
+            this.knownPlayers.delete(id);
+            this.broadcastLive({ type: 'leave', id: id, name: player.leaderboardName, router: player.router.type, external: player.router.isExternal });
+        }
+        for (const id in handle.players) {
+            const player = handle.players[id];
+            if (this.knownPlayers.get(player.id) === player) continue;
+            this.knownPlayers.set(player.id, player);
+            this.broadcastLive({ type: 'join', id: player.id, router: player.router.type, external: player.router.isExternal });
+        }
+    }
+
+    onChat(channel, source, message) {
+        this.broadcastLive({ type: 'chat', channel: channel, source: source.name, isServer: source.isServer, color: source.color, message: message }, 'moderator');
+    }
+
+    endSessions(username) {
+        const name = username.toLowerCase();
+        for (const [token, session] of this.sessions.entries()) {
+            if (session.username.toLowerCase() !== name) continue;
+            this.sessions.delete(token);
+            this.liveServer.clients.forEach(socket => {
+                if (socket.token === token) socket.close(1008, 'Session ended');
+            });
+        }
     }
 
     cleanupSessions() {
@@ -442,8 +948,13 @@ class WebConsole {
         .success { color: #3fb950; }
         .info { color: #58a6ff; }
         .warning { color: #d29922; }
+        .chat { color: #c9d1d9; }
         .server-running { color: #3fb950; }
         .server-stopped { color: #f85149; }
+        .map-link {
+            color: #58a6ff;
+            margin-left: 15px;
+        }
         .logout-btn {
             background: #da3633;
             color: white;
@@ -494,7 +1005,10 @@ class WebConsole {
             <h2>OgarII Web Console</h2>
             <div class="status-info">
                 Status: <span id="serverStatus">Checking...</span> | 
-                Port: <span id="serverPort">-</span>
+                Port: <span id="serverPort">-</span> | 
+                Tick: <span id="tickTime">-</span> | 
+                User: <span id="consoleUser">-</span>
+                <a class="map-link" href="/console/map">Map</a>
                 <button class="logout-btn" onclick="logout()">Logout</button>
             </div>
         </div>
@@ -503,6 +1017,7 @@ class WebConsole {
             <div class="console-line info">Web Console initialized. Type commands below.</div>
             <div class="console-line info">Available commands: help, start, stop, restart, status, reload, save</div>
             <div class="console-line info">Shortcuts: Ctrl+L (clear console), ↑/↓ (command history)</div>
+            <div class="console-line info">Type "chatlog [text]" to search the chat log</div>
         </div>
 
         <div class="console-input">
@@ -521,6 +1036,7 @@ class WebConsole {
                 this.executeBtn = document.getElementById('executeBtn');
                 this.serverStatus = document.getElementById('serverStatus');
                 this.serverPort = document.getElementById('serverPort');
+                this.tickTime = document.getElementById('tickTime');
                 this.clearHint = document.getElementById('clearHint');
 
                 this.commandHistory = [];
@@ -553,10 +1069,12 @@ class WebConsole {
                     if (!data.valid) {
                         throw new Error('Invalid session');
                     }
+                    document.getElementById('consoleUser').textContent = data.username + ' (' + data.role + ')';
 
                     this.setupEventListeners();
                     this.loadHistory();
-                    this.startStatusUpdates();
+                    this.updateStatus();
+                    this.connectLive();
                     this.startSessionCheck();
 
                 } catch (error) {
@@ -712,6 +1230,13 @@ class WebConsole {
                 this.commandInput.value = '';
                 this.executeBtn.disabled = true;
 
+                if (command === 'chatlog' || command.startsWith('chatlog ')) {
+                    await this.searchChat(command.slice(7).trim());
+                    this.executeBtn.disabled = false;
+                    this.commandInput.focus();
+                    return;
+                }
+
                 try {
                     const response = await fetch('/console/command', {
                         method: 'POST',
@@ -747,6 +1272,29 @@ class WebConsole {
                 this.commandInput.focus();
             }
 
+            async searchChat(text) {
+                try {
+                    const response = await fetch('/console/api/chat?limit=200&text=' + encodeURIComponent(text), {
+                        headers: { 'Authorization': this.token }
+                    });
+                    const data = await response.json();
+                    if (!response.ok) {
+                        this.addLine('Error: ' + data.error, 'error');
+                        return;
+                    }
+                    if (data.length === 0) {
+                        this.addLine('No chat messages found', 'info');
+                        return;
+                    }
+                    data.reverse().forEach(entry => {
+                        const time = new Date(entry.time).toLocaleString();
+                        this.addLine(time + ' [' + entry.channel + '] ' + entry.source + ': ' + entry.message, 'chat');
+                    });
+                } catch (error) {
+                    this.addLine('Network error: ' + error.message, 'error');
+                }
+            }
+
             async loadHistory() {
                 try {
                     const response = await fetch('/console/history', {
@@ -827,9 +1375,49 @@ class WebConsole {
                 }, 30000); 
             }
 
-            startStatusUpdates() {
-                this.updateStatus();
-                setInterval(() => this.updateStatus(), 3000);
+            connectLive() {
+                const scheme = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+                const socket = new WebSocket(scheme + '//' + window.location.host + '/console/live?token=' + encodeURIComponent(this.token));
+
+                socket.onmessage = (event) => this.onLiveEvent(JSON.parse(event.data));
+                socket.onclose = (event) => {
+                    if (event.code === 1001) return;
+                    this.serverStatus.textContent = 'RECONNECTING';
+                    this.serverStatus.className = 'warning';
+                    setTimeout(() => this.connectLive(), 3000);
+                };
+            }
+
+            onLiveEvent(event) {
+                switch (event.type) {
+                    case 'status':
+                        this.serverStatus.textContent = event.running ? 'RUNNING' : 'STOPPED';
+                        this.serverStatus.className = event.running ? 'server-running' : 'server-stopped';
+                        this.serverPort.textContent = event.serverPort || '-';
+                        break;
+                    case 'tick': {
+                        const average = event.samples.reduce((a, b) => a + b, 0) / event.samples.length;
+                        const peak = Math.max(...event.samples);
+                        this.tickTime.textContent = average.toFixed(2) + 'ms (peak ' + peak.toFixed(2) + 'ms)';
+                        this.tickTime.className = peak > event.tickDelay ? 'warning' : '';
+                        break;
+                    }
+                    case 'log': {
+                        if (event.level === 'PRINT' || event.level === 'FILE' || event.level === 'DEBUG' || event.level === 'ACCESS') break;
+                        const logClass = event.level === 'INFO' ? 'info' : event.level === 'WARN' ? 'warning' : 'error';
+                        this.addLine('[' + event.level + '] ' + event.message, logClass);
+                        break;
+                    }
+                    case 'chat':
+                        this.addLine('[chat' + (event.channel !== 'global' ? ' / ' + event.channel : '') + '] ' + event.source + ': ' + event.message, 'chat');
+                        break;
+                    case 'join':
+                        if (event.external) this.addLine('player ' + event.id + ' joined', 'success');
+                        break;
+                    case 'leave':
+                        if (event.external) this.addLine('player ' + event.id + (event.name ? ' (' + event.name + ')' : '') + ' left', 'warning');
+                        break;
+                }
             }
         }
 
@@ -853,11 +1441,427 @@ class WebConsole {
 </html>`;
     }
 
+    getMapHTML() {
+        return `<!DOCTYPE html>
+<html>
+<head>
+    <title>OgarII Web Console - Map</title>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <style>
+        * { box-sizing: border-box; }
+        body {
+            margin: 0;
+            background: #0d1117;
+            color: #c9d1d9;
+            font-family: 'Courier New', monospace, 'SF Mono', Monaco, Inconsolata;
+            height: 100vh;
+            overflow: hidden;
+            display: flex;
+        }
+        #map {
+            flex: 1;
+            display: block;
+            cursor: grab;
+        }
+        .sidebar {
+            width: 300px;
+            padding: 15px;
+            border-left: 1px solid #30363d;
+            overflow-y: auto;
+            font-size: 13px;
+        }
+        .sidebar h3 {
+            margin: 0 0 15px 0;
+        }
+        .sidebar a {
+            color: #58a6ff;
+        }
+        .row {
+            margin-bottom: 10px;
+        }
+        select, input[type="number"] {
+            background: #0a0c10;
+            color: #c9d1d9;
+            border: 1px solid #30363d;
+            padding: 6px;
+            font-family: inherit;
+            border-radius: 4px;
+        }
+        input[type="number"] {
+            width: 90px;
+        }
+        button {
+            background: #238636;
+            color: white;
+            border: none;
+            padding: 6px 12px;
+            border-radius: 4px;
+            cursor: pointer;
+            font-family: inherit;
+            margin: 2px 2px 2px 0;
+        }
+        button:hover {
+            background: #2ea043;
+        }
+        button.danger {
+            background: #da3633;
+        }
+        button.danger:hover {
+            background: #f85149;
+        }
+        #selection {
+            border-top: 1px solid #30363d;
+            padding-top: 10px;
+            white-space: pre-wrap;
+        }
+        #actionOutput {
+            color: #58a6ff;
+            white-space: pre-wrap;
+        }
+        .hidden { display: none; }
+    </style>
+</head>
+<body>
+    <canvas id="map"></canvas>
+    <div class="sidebar">
+        <h3>OgarII Map</h3>
+        <div class="row"><a href="/console/main">Back to console</a></div>
+        <div class="row">
+            World: <select id="worldSelect"></select>
+        </div>
+        <div class="row">
+            <label><input type="checkbox" id="quadtreeToggle"> Quadtree overlay</label>
+        </div>
+        <div class="row">
+            <label><input type="checkbox" id="namesToggle" checked> Names</label>
+        </div>
+        <div class="row" id="mapInfo">Connecting...</div>
+        <div id="selection">Click a cell to inspect it.</div>
+        <div id="actions" class="hidden">
+            <div class="row">
+                <button class="danger" id="killBtn">Kill</button>
+                <button id="mergeBtn">Merge</button>
+            </div>
+            <div class="row">
+                <input type="number" id="massInput" min="1" value="1000">
+                <button id="massBtn">Set mass</button>
+            </div>
+            <div id="actionOutput"></div>
+        </div>
+    </div>
+
+    <script>
+        const cellTypes = ['player', 'pellet', 'virus', 'ejected', 'mothercell'];
+
+        class MapClient {
+            constructor() {
+                this.canvas = document.getElementById('map');
+                this.ctx = this.canvas.getContext('2d');
+                this.worldSelect = document.getElementById('worldSelect');
+                this.quadtreeToggle = document.getElementById('quadtreeToggle');
+                this.namesToggle = document.getElementById('namesToggle');
+                this.mapInfo = document.getElementById('mapInfo');
+                this.selection = document.getElementById('selection');
+                this.actions = document.getElementById('actions');
+                this.actionOutput = document.getElementById('actionOutput');
+
+                this.token = localStorage.getItem('consoleToken');
+                if (!this.token) {
+                    window.location.href = '/console';
+                    return;
+                }
+
+                this.socket = null;
+                this.map = null;
+                this.quads = [];
+                this.selectedCell = null;
+                this.camera = { x: 0, y: 0, zoom: 0 };
+                this.dragging = null;
+
+                this.setupEventListeners();
+                this.resize();
+                this.loadWorlds();
+                this.connect();
+                requestAnimationFrame(() => this.draw());
+            }
+
+            setupEventListeners() {
+                window.addEventListener('resize', () => this.resize());
+                this.worldSelect.addEventListener('change', () => {
+                    this.camera.zoom = 0;
+                    this.selectCell(null);
+                    this.subscribe();
+                });
+                this.quadtreeToggle.addEventListener('change', () => this.subscribe());
+                this.canvas.addEventListener('wheel', (e) => {
+                    e.preventDefault();
+                    this.camera.zoom *= e.deltaY < 0 ? 1.2 : 1 / 1.2;
+                });
+                this.canvas.addEventListener('mousedown', (e) => {
+                    this.dragging = { x: e.clientX, y: e.clientY, moved: false };
+                });
+                this.canvas.addEventListener('mousemove', (e) => {
+                    if (!this.dragging) return;
+                    const dx = e.clientX - this.dragging.x;
+                    const dy = e.clientY - this.dragging.y;
+                    if (Math.abs(dx) + Math.abs(dy) > 3) this.dragging.moved = true;
+                    if (!this.dragging.moved) return;
+                    this.camera.x -= dx / this.camera.zoom;
+                    this.camera.y -= dy / this.camera.zoom;
+                    this.dragging.x = e.clientX;
+                    this.dragging.y = e.clientY;
+                });
+                this.canvas.addEventListener('mouseup', (e) => {
+                    if (this.dragging && !this.dragging.moved) this.onClick(e);
+                    this.dragging = null;
+                });
+                document.getElementById('killBtn').addEventListener('click', () => this.runAction('kill'));
+                document.getElementById('mergeBtn').addEventListener('click', () => this.runAction('merge'));
+                document.getElementById('massBtn').addEventListener('click', () =>
+                    this.runAction('mass', document.getElementById('massInput').value));
+            }
+
+            resize() {
+                this.canvas.width = this.canvas.clientWidth;
+                this.canvas.height = this.canvas.clientHeight;
+            }
+
+            async loadWorlds() {
+                const response = await fetch('/console/api/worlds', {
+                    headers: { 'Authorization': this.token }
+                });
+                if (response.status === 401) {
+                    localStorage.removeItem('consoleToken');
+                    window.location.href = '/console';
+                    return;
+                }
+                const worlds = await response.json();
+                const selected = this.worldSelect.value;
+                this.worldSelect.innerHTML = '';
+                worlds.forEach(world => {
+                    const option = document.createElement('option');
+                    option.value = world.id;
+                    option.textContent = 'world ' + world.id + ' (' + world.players + ' players)';
+                    this.worldSelect.appendChild(option);
+                });
+                if (selected) this.worldSelect.value = selected;
+                this.subscribe();
+            }
+
+            connect() {
+                const scheme = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+                this.socket = new WebSocket(scheme + '//' + window.location.host + '/console/live?token=' + encodeURIComponent(this.token));
+                this.socket.onopen = () => this.subscribe();
+                this.socket.onmessage = (event) => {
+                    const data = JSON.parse(event.data);
+                    if (data.type === 'map') this.onMap(data);
+                };
+                this.socket.onclose = () => {
+                    this.mapInfo.textContent = 'Disconnected, reconnecting...';
+                    setTimeout(() => this.connect(), 3000);
+                };
+            }
+
+            subscribe() {
+                if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+                if (!this.worldSelect.value) {
+                    this.mapInfo.textContent = 'No worlds';
+                    return;
+                }
+                this.socket.send(JSON.stringify({
+                    type: 'map',
+                    world: this.worldSelect.value,
+                    quadtree: this.quadtreeToggle.checked
+                }));
+            }
+
+            onMap(data) {
+                if (data.error) {
+                    this.map = null;
+                    this.mapInfo.textContent = data.error;
+                    this.loadWorlds();
+                    return;
+                }
+                this.map = data;
+                this.quads = data.quadtree === null ? [] : this.parseQuadTree(data.quadtree);
+                if (this.camera.zoom === 0) {
+                    this.camera.x = data.border.x;
+                    this.camera.y = data.border.y;
+                    this.camera.zoom = Math.min(this.canvas.width / data.border.w, this.canvas.height / data.border.h) / 2;
+                }
+                this.mapInfo.textContent = data.cells.length + ' cells';
+                if (this.selectedCell !== null) {
+                    const cell = data.cells.find(c => c[0] === this.selectedCell[0]);
+                    if (!cell) this.selectCell(null);
+                    else this.selectedCell = cell;
+                }
+            }
+
+            parseQuadTree(str) {
+                const quads = [];
+                const regex = /x (\\S+) y (\\S+) w (\\S+) h (\\S+)/;
+                str.split('\\n').forEach(line => {
+                    const match = regex.exec(line);
+                    if (match) quads.push(match.slice(1).map(Number));
+                });
+                return quads;
+            }
+
+            toScreen(x, y) {
+                return [
+                    (x - this.camera.x) * this.camera.zoom + this.canvas.width / 2,
+                    (y - this.camera.y) * this.camera.zoom + this.canvas.height / 2
+                ];
+            }
+
+            onClick(e) {
+                if (!this.map) return;
+                const rect = this.canvas.getBoundingClientRect();
+                const x = (e.clientX - rect.left - this.canvas.width / 2) / this.camera.zoom + this.camera.x;
+                const y = (e.clientY - rect.top - this.canvas.height / 2) / this.camera.zoom + this.camera.y;
+                let best = null;
+                this.map.cells.forEach(cell => {
+                    const dx = cell[2] - x, dy = cell[3] - y;
+                    if (dx * dx + dy * dy > cell[4] * cell[4]) return;
+                    if (best === null || (cell[6] !== 0) > (best[6] !== 0) || cell[4] < best[4]) best = cell;
+                });
+                this.selectCell(best);
+            }
+
+            async selectCell(cell) {
+                this.selectedCell = cell;
+                this.actionOutput.textContent = '';
+                if (cell === null) {
+                    this.selection.textContent = 'Click a cell to inspect it.';
+                    this.actions.classList.add('hidden');
+                    return;
+                }
+                let text = 'cell ' + cell[0] + ' (' + cellTypes[cell[1]] + ')\\n' +
+                    'position ' + cell[2] + ', ' + cell[3] + '\\n' +
+                    'size ' + cell[4] + ', mass ' + Math.round(cell[4] * cell[4] / 100);
+                if (cell[6] === 0) {
+                    this.selection.textContent = text;
+                    this.actions.classList.add('hidden');
+                    return;
+                }
+                const response = await fetch('/console/api/players/' + cell[6], {
+                    headers: { 'Authorization': this.token }
+                });
+                if (response.ok) {
+                    const player = await response.json();
+                    text += '\\n\\nowner ' + player.id + ' (' + player.type + ')\\n' +
+                        'name ' + (player.name || '-') + '\\n' +
+                        'score ' + (player.score === null ? '-' : Math.round(player.score)) + '\\n' +
+                        'cells ' + player.cells + '\\n' +
+                        'ip ' + (player.ip || '-') + '\\n' +
+                        'account ' + (player.account || '-');
+                }
+                this.selection.textContent = text;
+                this.actions.classList.remove('hidden');
+            }
+
+            async runAction(name, arg) {
+                if (this.selectedCell === null || this.selectedCell[6] === 0) return;
+                const command = name + ' ' + this.selectedCell[6] + (arg !== undefined ? ' ' + arg : '');
+                try {
+                    const response = await fetch('/console/command', {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                            'Authorization': this.token
+                        },
+                        body: JSON.stringify({ command: command })
+                    });
+                    const data = await response.json();
+                    this.actionOutput.textContent = data.success ? data.output.join('\\n') : 'Error: ' + data.error;
+                } catch (error) {
+                    this.actionOutput.textContent = 'Network error: ' + error.message;
+                }
+            }
+
+            draw() {
+                requestAnimationFrame(() => this.draw());
+                const ctx = this.ctx;
+                ctx.fillStyle = '#0a0c10';
+                ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+                if (!this.map) return;
+                const zoom = this.camera.zoom;
+                const border = this.map.border;
+
+                const topLeft = this.toScreen(border.x - border.w, border.y - border.h);
+                ctx.strokeStyle = '#30363d';
+                ctx.lineWidth = 2;
+                ctx.strokeRect(topLeft[0], topLeft[1], border.w * 2 * zoom, border.h * 2 * zoom);
+
+                if (this.quads.length > 0) {
+                    ctx.strokeStyle = 'rgba(88, 166, 255, 0.35)';
+                    ctx.lineWidth = 1;
+                    this.quads.forEach(quad => {
+                        const corner = this.toScreen(quad[0] - quad[2], quad[1] - quad[3]);
+                        ctx.strokeRect(corner[0], corner[1], quad[2] * 2 * zoom, quad[3] * 2 * zoom);
+                    });
+                }
+
+                const cells = this.map.cells.slice().sort((a, b) => a[4] - b[4]);
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                cells.forEach(cell => {
+                    const pos = this.toScreen(cell[2], cell[3]);
+                    const radius = Math.max(cell[4] * zoom, 1);
+                    if (pos[0] + radius < 0 || pos[1] + radius < 0 || pos[0] - radius > this.canvas.width || pos[1] - radius > this.canvas.height) return;
+                    ctx.fillStyle = '#' + ('000000' + cell[5].toString(16)).slice(-6);
+                    ctx.beginPath();
+                    ctx.arc(pos[0], pos[1], radius, 0, Math.PI * 2);
+                    ctx.fill();
+                    if (cell[1] === 2 || cell[1] === 4) {
+                        ctx.strokeStyle = '#3fb950';
+                        ctx.lineWidth = 2;
+                        ctx.stroke();
+                    }
+                    if (this.selectedCell !== null && cell[6] !== 0 && cell[6] === this.selectedCell[6]) {
+                        ctx.strokeStyle = '#ffffff';
+                        ctx.lineWidth = 2;
+                        ctx.stroke();
+                    }
+                    if (this.namesToggle.checked && cell[7] && radius > 10) {
+                        ctx.font = 'bold ' + Math.max(10, Math.round(radius / 2.5)) + 'px sans-serif';
+                        ctx.fillStyle = '#ffffff';
+                        ctx.strokeStyle = '#000000';
+                        ctx.lineWidth = 3;
+                        ctx.strokeText(cell[7], pos[0], pos[1]);
+                        ctx.fillText(cell[7], pos[0], pos[1]);
+                    }
+                });
+            }
+        }
+
+        document.addEventListener('DOMContentLoaded', () => {
+            new MapClient();
+        });
+    </script>
+</body>
+</html>`;
+    }
+
     start(httpServer) {
         return new Promise((resolve, reject) => {
             try {
                 this.server = httpServer;
                 this.server.on('request', this.app); 
+                this.server.on('upgrade', this.onUpgrade);
+                this.handle.listener.reservedPaths.push(livePath);
+
+                const logger = this.handle.logger;
+                const previousOnLog = this.previousOnLog = logger.onlog;
+                logger.onlog = (date, level, message) => {
+                    if (previousOnLog !== null) previousOnLog(date, level, message);
+                    this.onLog(date, level, message);
+                };
+                this.handle.ticker.add(this.onTick);
+                this.handle.events.on('chatMessage', this.onChat);
+                this.statusInterval = setInterval(() => this.broadcastLive(this.getLiveStatus()), 3000);
+
                 this.handle.logger.print('Web console mounted at /console on same port');
                 resolve();
             } catch (err) {
@@ -867,7 +1871,12 @@ class WebConsole {
     }
 
     stop() {
+        clearInterval(this.statusInterval);
+        this.liveServer.clients.forEach(socket => socket.close(1001, 'Web console stopped'));
         if (this.server) {
+            this.handle.ticker.remove(this.onTick);
+            this.handle.events.off('chatMessage', this.onChat);
+            this.handle.logger.onlog = this.previousOnLog;
             this.server.close();
             this.handle.logger.print('Web console stopped');
         }
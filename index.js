@@ -3,7 +3,11 @@ module.exports = {
     Router: require("./src/sockets/Router"),
     Protocol: require("./src/protocols/Protocol"),
     Command: require("./src/commands/CommandList").Command,
+    genCommand: require("./src/commands/CommandList").genCommand,
     Gamemode: require("./src/gamemodes/Gamemode"),
+    AccountStore: require("./src/accounts/AccountStore"),
+    PluginContext: require("./src/plugins/PluginContext"),
+    EventBus: require("./src/primitives/EventBus"),
 
     base: {
         commands: require("./src/commands/DefaultCommands"),
@@ -14,7 +18,13 @@ module.exports = {
         gamemodes: [
             require("./src/gamemodes/FFA"),
             require("./src/gamemodes/Teams"),
-            require("./src/gamemodes/LastManStanding")
+            require("./src/gamemodes/LastManStanding"),
+            require("./src/gamemodes/BattleRoyale"),
+            require("./src/gamemodes/Tournament"),
+            require("./src/gamemodes/CaptureTheFlag"),
+            require("./src/gamemodes/KingOfTheHill"),
+            require("./src/gamemodes/TeamKingOfTheHill"),
+            require("./src/gamemodes/Infection")
         ]
     }
 };
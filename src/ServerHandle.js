@@ -1,9 +1,16 @@
 const Settings = require("./Settings");
+const SettingsSchema = require("./SettingsSchema");
 
+const AccountList = require("./accounts/AccountList");
+const AuditLog = require("./commands/AuditLog");
 const { CommandList } = require("./commands/CommandList");
 const GamemodeList = require("./gamemodes/GamemodeList");
+const ChatFilter = require("./moderation/ChatFilter");
+const PunishmentList = require("./moderation/PunishmentList");
+const PluginList = require("./plugins/PluginList");
 const ProtocolStore = require("./protocols/ProtocolStore");
 
+const EventBus = require("./primitives/EventBus");
 const Stopwatch = require("./primitives/Stopwatch");
 const Logger = require("./primitives/Logger");
 const Ticker = require("./primitives/Ticker");
@@ -14,6 +21,15 @@ const Matchmaker = require("./worlds/Matchmaker");
 const Player = require("./worlds/Player");
 const World = require("./worlds/World");
 
+/** @type {(keyof ServerEvents)[]} */
+const serverEvents = [
+    "playerJoin", "playerLeave", "playerJoinWorld", "playerLeaveWorld", "playerSpawn", "playerDeath",
+    "cellEaten", "playerSplit", "playerEject", "virusPop",
+    "chatMessage",
+    "worldCreate", "worldDestroy",
+    "tick"
+];
+
 class ServerHandle {
     /**
      * @param {Settings} settings
@@ -26,8 +42,12 @@ class ServerHandle {
         this.gamemodes = new GamemodeList(this);
         /** @type {Gamemode} */
         this.gamemode = null;
-        this.commands = new CommandList(this);
+        this.commands = new CommandList(this, "admin");
         this.chatCommands = new CommandList(this);
+        this.audit = new AuditLog(this);
+        this.punishments = new PunishmentList(this);
+        this.chatFilter = new ChatFilter(this);
+        this.accounts = new AccountList(this);
 
         this.running = false;
         /** @type {Date} */
@@ -41,6 +61,8 @@ class ServerHandle {
         this.ticker.add(this.onTick.bind(this));
         this.stopwatch = new Stopwatch();
         this.logger = new Logger();
+        this.events = new EventBus(this.logger, serverEvents);
+        this.plugins = new PluginList(this);
 
         this.listener = new Listener(this);
         this.matchmaker = new Matchmaker(this);
@@ -48,20 +70,34 @@ class ServerHandle {
         this.worlds = { };
         /** @type {Identified<Player>} */
         this.players = { };
+        /** @type {PlayerRun[]} */
+        this.statsHistory = [];
 
-        this.setSettings(settings);
+        const errors = this.setSettings(settings);
+        if (errors.length > 0)
+            throw new Error(`invalid settings: ${errors.join("; ")}`);
     }
 
     get version() { return version; }
 
     /**
      * @param {Settings} settings
+     * @returns {string[]} validation errors, the current settings are kept if there are any
      */
     setSettings(settings) {
-        this.settings = Object.assign({ }, Settings, settings);
+        const newSettings = Object.assign({ }, Settings, settings);
+        const errors = SettingsSchema.validate(newSettings);
+        if (errors.length > 0) return errors;
+        const changed = SettingsSchema.diff(this.settings, newSettings);
+        this.settings = newSettings;
         this.tickDelay = 1000 / this.settings.serverFrequency;
         this.ticker.step = this.tickDelay;
         this.stepMult = this.tickDelay / 40;
+        for (let id in this.worlds) {
+            const world = this.worlds[id];
+            world.applySettings(changed.filter(v => !world.overrides.hasOwnProperty(v)));
+        }
+        return [];
     }
 
     start() {
@@ -97,6 +133,8 @@ class ServerHandle {
             this.listener.routers[0].close();
         this.gamemode.onHandleStop();
         this.listener.close();
+        this.accounts.flush();
+        this.audit.close();
 
         this.startTime = null;
         this.averageTickTime = this.tick = NaN;
@@ -106,15 +144,19 @@ class ServerHandle {
         return true;
     }
 
-    /** @returns {World} */
-    createWorld() {
+    /**
+     * @param {Partial<Settings>=} overrides settings that differ from the handle's in the new world
+     * @returns {World}
+     */
+    createWorld(overrides) {
         let id = 0;
         while (this.worlds.hasOwnProperty(++id)) ;
-        const newWorld = new World(this, id);
+        const newWorld = new World(this, id, overrides);
         this.worlds[id] = newWorld;
         this.gamemode.onNewWorld(newWorld);
         newWorld.afterCreation();
-        this.logger.debug(`added a world with id ${id}`);
+        this.events.emit("worldCreate", newWorld);
+        this.logger.debug(`added a world with id ${id} (seed ${newWorld.random.seed})`);
         return newWorld;
     }
 
@@ -124,9 +166,11 @@ class ServerHandle {
      */
     removeWorld(id) {
         if (!this.worlds.hasOwnProperty(id)) return false;
-        this.gamemode.onWorldDestroy(this.worlds[id]);
-        this.worlds[id].destroy();
+        const world = this.worlds[id];
+        this.gamemode.onWorldDestroy(world);
+        world.destroy();
         delete this.worlds[id];
+        this.events.emit("worldDestroy", world);
         this.logger.debug(`removed world with id ${id}`);
         return true;
     }
@@ -142,6 +186,7 @@ class ServerHandle {
         this.players[id] = newPlayer;
         router.player = newPlayer;
         this.gamemode.onNewPlayer(newPlayer);
+        this.events.emit("playerJoin", newPlayer);
         this.logger.debug(`added a player with id ${id}`);
         return newPlayer;
     }
@@ -152,10 +197,12 @@ class ServerHandle {
      */
     removePlayer(id) {
         if (!this.players.hasOwnProperty(id)) return false;
-        this.gamemode.onPlayerDestroy(this.players[id]);
-        this.players[id].destroy();
-        this.players[id].exists = false;
+        const player = this.players[id];
+        this.gamemode.onPlayerDestroy(player);
+        player.destroy();
+        player.exists = false;
         delete this.players[id];
+        this.events.emit("playerLeave", player);
         this.logger.debug(`removed player with id ${id}`);
         return true;
     }
@@ -168,7 +215,9 @@ class ServerHandle {
             this.worlds[id].update();
         this.listener.update();
         this.matchmaker.update();
+        this.accounts.update();
         this.gamemode.onHandleTick();
+        this.events.emit("tick", this.tick);
 
         this.averageTickTime = this.stopwatch.elapsed();
         this.stopwatch.stop();
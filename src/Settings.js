@@ -6,6 +6,16 @@ const value = Object.seal({
     listenerMaxConnections: 100,
     listenerMaxClientDormancy: 1000 * 60,
     listenerMaxConnectionsPerIP: -1,
+    // connection attempts allowed from one address within the window, -1 disables the limit
+    listenerMaxConnectsPerWindow: 10,
+    listenerConnectWindow: 10,
+    // messages and seconds a connection has to send a recognized protocol handshake in, -1 disables either limit
+    listenerMaxHandshakeAttempts: 3,
+    listenerHandshakeTimeout: 10,
+    // connection floods and failed handshakes from one address within the window before it's banned, 0 disables bans
+    listenerFloodBanAfter: 3,
+    listenerFloodBanWindow: 60,
+    listenerFloodBanDuration: 10 * 60,
     listeningPort: 3000,
 
     serverFrequency: 25,
@@ -15,8 +25,47 @@ const value = Object.seal({
     chatEnabled: true,
     /** @type {string[]} */
     chatFilteredPhrases: [],
+    /** @type {ChatFilterRule[]} */
+    chatFilterRules: [],
     chatCooldown: 1000,
+    // messages each chat channel replays to players joining it
+    chatHistorySize: 20,
 
+    // incoming input allowed per second and connection, 0 disables a limit
+    rateLimitMessages: 60,
+    rateLimitBytes: 16384,
+    rateLimitSplits: 10,
+    rateLimitEjects: 30,
+    rateLimitSpawns: 2,
+    // how many seconds worth of input can arrive at once
+    rateLimitBurst: 2,
+    rateLimitWarnAfter: 10,
+    rateLimitDisconnectAfter: 40,
+    // rate limit disconnections from one address within the window before it's banned, 0 disables bans
+    rateLimitBanAfter: 3,
+    rateLimitBanWindow: 10 * 60,
+    rateLimitBanDuration: 5 * 60,
+
+    accountsEnabled: true,
+    accountReserveNames: true,
+    accountMinPasswordLength: 6,
+    accountSaveTicks: 25 * 30,
+
+    statsHistorySize: 10,
+    // how many killer names are kept per player, the least common ones are dropped first
+    statsMaxKillers: 20,
+
+    replayDirectory: "./replays",
+    // in bytes, larger replays are refused instead of being loaded
+    replayMaxSize: 64 * 1024 * 1024,
+    // .js files and folders in it are loaded as plugins on startup
+    pluginDirectory: "./plugins",
+
+    /** @type {string} */
+    auditLogFile: "./audit.log",
+
+    /** @type {number} */
+    worldRandomSeed: null,
     worldMapX: 0,
     worldMapY: 0,
     worldMapW: 7071,
@@ -37,6 +86,24 @@ const value = Object.seal({
     worldPlayerBotSkins: [],
     worldMinionsPerPlayer: 0,
     worldMaxPlayers: 50,
+    /**
+     * settings that worlds made with `createworld <preset>` use instead of the ones above
+     * @type {{ [preset: string]: Partial<Settings> }}
+     */
+    worldPresets: {
+        arena: {
+            worldMapW: 2000,
+            worldMapH: 2000,
+            worldMaxPlayers: 10,
+            pelletCount: 250,
+            virusMinCount: 6,
+            virusMaxCount: 20,
+            playerSpawnSize: 64,
+            playerMoveMult: 1.4,
+            playerMergeTime: 10,
+            playerDecayMult: 0.002
+        }
+    },
     worldMinCount: 0,
     worldMaxCount: 2,
     matchmakerNeedsQueuing: false,
@@ -101,7 +168,51 @@ const value = Object.seal({
     playerMergeVersion: "old",
     playerMergeTime: 30,
     playerMergeTimeIncrease: 0.02,
-    playerDecayMult: 0.001
+    playerDecayMult: 0.001,
+
+    // Battle Royale: players needed to start the lobby countdown, then seconds of countdown,
+    // of fighting before the zone shrinks, of the zone shrinking and of showing the winner
+    royaleMinPlayers: 2,
+    royaleLobbyTime: 30,
+    royaleShrinkDelay: 30,
+    royaleShrinkTime: 240,
+    royaleResetDelay: 10,
+    // half the width of the zone once it stops shrinking
+    royaleFinalSize: 500,
+    // how far the border stays outside the zone, cells in between lose this much of their mass each second,
+    // but never less than that share of the minimum player mass
+    royaleBorderMargin: 400,
+    royaleZoneDamage: 0.1,
+
+    // Tournament: players needed to start the lobby countdown, seconds of countdown, rounds per tournament,
+    // seconds a round lasts at most and seconds between rounds
+    tournamentMinPlayers: 2,
+    tournamentLobbyTime: 30,
+    tournamentRoundCount: 3,
+    tournamentRoundTime: 180,
+    tournamentIntermission: 10,
+    // points for the first place of a round, the second and so on, later places get none
+    tournamentPoints: [10, 6, 4, 3, 2, 1],
+
+    // Capture the Flag: half the width of each team's base, size of the flags, how fast cells carrying
+    // a flag move compared to others and seconds a dropped flag lies around before going back to its base
+    ctfBaseSize: 400,
+    ctfFlagSize: 60,
+    ctfCarrierSpeedMult: 0.7,
+    ctfFlagReturnTime: 30,
+
+    // King of the Hill and its team variant: radius of the hill, seconds before it moves somewhere else and size of the cell marking its center
+    kothHillRadius: 500,
+    kothMoveTime: 60,
+    kothMarkerSize: 40,
+
+    // Infection: survivors needed to play before one of them gets infected, seconds before that happens,
+    // seconds the survivors have to hold out, seconds before the next round and how fast infected cells move
+    infectionMinPlayers: 2,
+    infectionStartDelay: 10,
+    infectionRoundTime: 300,
+    infectionResetDelay: 10,
+    infectionSpeedMult: 1.25
 });
 
 module.exports = value;
@@ -0,0 +1,367 @@
+const ChatFilter = require("./moderation/ChatFilter");
+
+/**
+ * How every setting is validated and when a change to it takes effect:
+ * live right away, world for worlds created afterwards, restart once the handle restarts.
+ * Only perWorld settings can be overridden by a world
+ * @type {{ [name in keyof Settings]: SettingSchema }}
+ */
+const schema = Object.freeze({
+    listenerForbiddenIPs:            { type: "string[]", applies: "live" },
+    listenerAcceptedOrigins:         { type: "string[]", applies: "live" },
+    listenerMaxConnections:          { type: "integer", min: 0, applies: "live" },
+    listenerMaxClientDormancy:       { type: "integer", min: 0, applies: "live" },
+    listenerMaxConnectionsPerIP:     { type: "integer", min: -1, applies: "live" },
+    listenerMaxConnectsPerWindow:    { type: "integer", min: -1, applies: "live" },
+    listenerConnectWindow:           { type: "number", min: 1, applies: "live" },
+    listenerMaxHandshakeAttempts:    { type: "integer", min: -1, applies: "live" },
+    listenerHandshakeTimeout:        { type: "number", min: -1, applies: "live" },
+    listenerFloodBanAfter:           { type: "integer", min: 0, applies: "live" },
+    listenerFloodBanWindow:          { type: "number", min: 1, applies: "live" },
+    listenerFloodBanDuration:        { type: "number", min: 0, applies: "live" },
+    listeningPort:                   { type: "integer", min: 0, max: 65535, applies: "restart" },
+
+    serverFrequency:                 { type: "number", min: 1, max: 1000, applies: "live" },
+    serverName:                      { type: "string", applies: "live" },
+    serverGamemode:                  { type: "string", applies: "restart" },
+
+    chatEnabled:                     { type: "boolean", applies: "restart" },
+    chatFilteredPhrases:             { type: "string[]", applies: "live" },
+    chatFilterRules:                 { type: "object[]", check: checkChatFilterRule, applies: "live" },
+    chatCooldown:                    { type: "number", min: 0, applies: "live" },
+    chatHistorySize:                 { type: "integer", min: 0, applies: "live" },
+
+    rateLimitMessages:               { type: "number", min: 0, applies: "live" },
+    rateLimitBytes:                  { type: "number", min: 0, applies: "live" },
+    rateLimitSplits:                 { type: "number", min: 0, applies: "live" },
+    rateLimitEjects:                 { type: "number", min: 0, applies: "live" },
+    rateLimitSpawns:                 { type: "number", min: 0, applies: "live" },
+    rateLimitBurst:                  { type: "number", min: 1, applies: "live" },
+    rateLimitWarnAfter:              { type: "integer", min: 0, applies: "live" },
+    rateLimitDisconnectAfter:        { type: "integer", min: 0, applies: "live" },
+    rateLimitBanAfter:               { type: "integer", min: 0, applies: "live" },
+    rateLimitBanWindow:              { type: "number", min: 1, applies: "live" },
+    rateLimitBanDuration:            { type: "number", min: 0, applies: "live" },
+
+    accountsEnabled:                 { type: "boolean", applies: "live" },
+    accountReserveNames:             { type: "boolean", applies: "live" },
+    accountMinPasswordLength:        { type: "integer", min: 0, applies: "live" },
+    accountSaveTicks:                { type: "integer", min: 1, applies: "live" },
+
+    statsHistorySize:                { type: "integer", min: 0, applies: "live" },
+    statsMaxKillers:                 { type: "integer", min: 1, applies: "live" },
+
+    replayDirectory:                 { type: "string", applies: "live" },
+    replayMaxSize:                   { type: "integer", min: 0, applies: "live" },
+    pluginDirectory:                 { type: "string", applies: "live" },
+    auditLogFile:                    { type: "string", nullable: true, applies: "live" },
+
+    worldRandomSeed:                 { type: "integer", min: 0, max: 4294967295, nullable: true, perWorld: true, applies: "world" },
+    worldMapX:                       { type: "number", perWorld: true, applies: "live" },
+    worldMapY:                       { type: "number", perWorld: true, applies: "live" },
+    worldMapW:                       { type: "number", min: 1, perWorld: true, applies: "live" },
+    worldMapH:                       { type: "number", min: 1, perWorld: true, applies: "live" },
+    worldFinderMaxLevel:             { type: "integer", min: 1, perWorld: true, applies: "live" },
+    worldFinderMaxItems:             { type: "integer", min: 1, perWorld: true, applies: "live" },
+    worldSafeSpawnTries:             { type: "integer", min: 0, perWorld: true, applies: "live" },
+    worldSafeSpawnFromEjectedChance: { type: "number", min: 0, max: 1, perWorld: true, applies: "live" },
+    worldPlayerDisposeDelay:         { type: "integer", perWorld: true, applies: "live" },
+
+    worldEatMult:                    { type: "number", min: 0, perWorld: true, applies: "live" },
+    worldEatOverlapDiv:              { type: "number", min: 1, perWorld: true, applies: "live" },
+
+    worldPlayerBotsPerWorld:         { type: "integer", min: 0, perWorld: true, applies: "world" },
+    worldPlayerBotNames:             { type: "string[]", perWorld: true, applies: "live" },
+    worldPlayerBotSkins:             { type: "string[]", perWorld: true, applies: "live" },
+    worldMinionsPerPlayer:           { type: "integer", min: 0, perWorld: true, applies: "live" },
+    worldMaxPlayers:                 { type: "integer", min: 1, perWorld: true, applies: "live" },
+    worldPresets:                    { type: "object", check: checkOverrides, applies: "live" },
+    worldMinCount:                   { type: "integer", min: 0, applies: "live" },
+    worldMaxCount:                   { type: "integer", min: 0, applies: "live" },
+    matchmakerNeedsQueuing:          { type: "boolean", applies: "live" },
+    matchmakerBulkSize:              { type: "integer", min: 1, applies: "live" },
+
+    minionName:                      { type: "string", applies: "live" },
+    minionSkin:                      { type: "string", applies: "live" },
+    minionSpawnSize:                 { type: "number", min: 1, perWorld: true, applies: "live" },
+    minionEnableERTPControls:        { type: "boolean", applies: "live" },
+    minionEnableQBasedControl:       { type: "boolean", applies: "live" },
+
+    pelletMinSize:                   { type: "number", min: 1, perWorld: true, applies: "live" },
+    pelletMaxSize:                   { type: "number", min: 1, perWorld: true, applies: "live" },
+    pelletGrowTicks:                 { type: "integer", min: 1, perWorld: true, applies: "live" },
+    pelletCount:                     { type: "integer", min: 0, perWorld: true, applies: "live" },
+
+    virusMinCount:                   { type: "integer", min: 0, perWorld: true, applies: "live" },
+    virusMaxCount:                   { type: "integer", min: 0, perWorld: true, applies: "live" },
+    virusSize:                       { type: "number", min: 1, perWorld: true, applies: "live" },
+    virusFeedTimes:                  { type: "integer", min: 1, perWorld: true, applies: "live" },
+    virusPushing:                    { type: "boolean", perWorld: true, applies: "live" },
+    virusSplitBoost:                 { type: "number", min: 0, perWorld: true, applies: "live" },
+    virusPushBoost:                  { type: "number", min: 0, perWorld: true, applies: "live" },
+    virusMonotonePops:               { type: "boolean", perWorld: true, applies: "live" },
+
+    ejectedSize:                     { type: "number", min: 1, perWorld: true, applies: "live" },
+    ejectingLoss:                    { type: "number", min: 0, perWorld: true, applies: "live" },
+    ejectDispersion:                 { type: "number", min: 0, max: Math.PI, perWorld: true, applies: "live" },
+    ejectedCellBoost:                { type: "number", min: 0, perWorld: true, applies: "live" },
+
+    mothercellSize:                  { type: "number", min: 1, perWorld: true, applies: "live" },
+    mothercellCount:                 { type: "integer", min: 0, perWorld: true, applies: "live" },
+    mothercellPassiveSpawnChance:    { type: "number", min: 0, max: 1, perWorld: true, applies: "live" },
+    mothercellActiveSpawnSpeed:      { type: "number", min: 0, perWorld: true, applies: "live" },
+    mothercellPelletBoost:           { type: "number", min: 0, perWorld: true, applies: "live" },
+    mothercellMaxPellets:            { type: "integer", min: 0, perWorld: true, applies: "live" },
+    mothercellMaxSize:               { type: "number", min: 1, perWorld: true, applies: "live" },
+
+    playerRoamSpeed:                 { type: "number", min: 0, perWorld: true, applies: "live" },
+    playerRoamViewScale:             { type: "number", min: 0.01, perWorld: true, applies: "live" },
+    playerViewScaleMult:             { type: "number", min: 0.01, perWorld: true, applies: "live" },
+    playerMinViewScale:              { type: "number", min: 0, perWorld: true, applies: "live" },
+    playerMaxNameLength:             { type: "integer", min: 0, applies: "live" },
+    playerAllowSkinInName:           { type: "boolean", applies: "live" },
+
+    playerMinSize:                   { type: "number", min: 1, perWorld: true, applies: "live" },
+    playerSpawnSize:                 { type: "number", min: 1, perWorld: true, applies: "live" },
+    playerMaxSize:                   { type: "number", min: 1, perWorld: true, applies: "live" },
+    playerMinSplitSize:              { type: "number", min: 0, perWorld: true, applies: "live" },
+    playerMinEjectSize:              { type: "number", min: 0, perWorld: true, applies: "live" },
+    playerSplitCap:                  { type: "integer", min: 0, perWorld: true, applies: "live" },
+    playerEjectDelay:                { type: "integer", min: 0, perWorld: true, applies: "live" },
+    playerMaxCells:                  { type: "integer", min: 1, perWorld: true, applies: "live" },
+
+    playerMoveMult:                  { type: "number", min: 0, perWorld: true, applies: "live" },
+    playerSplitSizeDiv:              { type: "number", min: 1, perWorld: true, applies: "live" },
+    playerSplitDistance:             { type: "number", min: 0, perWorld: true, applies: "live" },
+    playerSplitBoost:                { type: "number", min: 0, perWorld: true, applies: "live" },
+    playerNoCollideDelay:            { type: "integer", min: 0, perWorld: true, applies: "live" },
+    playerNoMergeDelay:              { type: "integer", min: 0, perWorld: true, applies: "live" },
+    playerMergeVersion:              { type: "string", values: ["old", "new"], perWorld: true, applies: "live" },
+    playerMergeTime:                 { type: "number", min: 0, perWorld: true, applies: "live" },
+    playerMergeTimeIncrease:         { type: "number", min: 0, perWorld: true, applies: "live" },
+    playerDecayMult:                 { type: "number", min: 0, perWorld: true, applies: "live" },
+
+    royaleMinPlayers:                { type: "integer", min: 1, perWorld: true, applies: "live" },
+    royaleLobbyTime:                 { type: "number", min: 0, perWorld: true, applies: "live" },
+    royaleShrinkDelay:               { type: "number", min: 0, perWorld: true, applies: "live" },
+    royaleShrinkTime:                { type: "number", min: 1, perWorld: true, applies: "live" },
+    royaleResetDelay:                { type: "number", min: 0, perWorld: true, applies: "live" },
+    royaleFinalSize:                 { type: "number", min: 1, perWorld: true, applies: "live" },
+    royaleBorderMargin:              { type: "number", min: 0, perWorld: true, applies: "live" },
+    royaleZoneDamage:                { type: "number", min: 0, max: 1, perWorld: true, applies: "live" },
+
+    tournamentMinPlayers:            { type: "integer", min: 1, perWorld: true, applies: "live" },
+    tournamentLobbyTime:             { type: "number", min: 0, perWorld: true, applies: "live" },
+    tournamentRoundCount:            { type: "integer", min: 1, perWorld: true, applies: "live" },
+    tournamentRoundTime:             { type: "number", min: 1, perWorld: true, applies: "live" },
+    tournamentIntermission:          { type: "number", min: 0, perWorld: true, applies: "live" },
+    tournamentPoints:                { type: "number[]", check: checkPoints, perWorld: true, applies: "live" },
+
+    ctfBaseSize:                     { type: "number", min: 0, perWorld: true, applies: "world" },
+    ctfFlagSize:                     { type: "number", min: 1, perWorld: true, applies: "world" },
+    ctfCarrierSpeedMult:             { type: "number", min: 0, perWorld: true, applies: "live" },
+    ctfFlagReturnTime:               { type: "number", min: 0, perWorld: true, applies: "live" },
+
+    kothHillRadius:                  { type: "number", min: 1, perWorld: true, applies: "live" },
+    kothMoveTime:                    { type: "number", min: 1, perWorld: true, applies: "live" },
+    kothMarkerSize:                  { type: "number", min: 1, perWorld: true, applies: "world" },
+
+    infectionMinPlayers:             { type: "integer", min: 1, perWorld: true, applies: "live" },
+    infectionStartDelay:             { type: "number", min: 0, perWorld: true, applies: "live" },
+    infectionRoundTime:              { type: "number", min: 1, perWorld: true, applies: "live" },
+    infectionResetDelay:             { type: "number", min: 0, perWorld: true, applies: "live" },
+    infectionSpeedMult:              { type: "number", min: 0, perWorld: true, applies: "live" }
+});
+
+/** pairs of settings where the first can't be above the second */
+const ordered = [
+    ["worldMinCount", "worldMaxCount"],
+    ["virusMinCount", "virusMaxCount"],
+    ["pelletMinSize", "pelletMaxSize"],
+    ["playerMinSize", "playerMaxSize"]
+];
+
+/**
+ * @param {ChatFilterRule} rule
+ * @returns {string} error message, null if there were none
+ */
+function checkChatFilterRule(rule) {
+    if (typeof rule.pattern !== "string") return "needs a pattern string";
+    if (ChatFilter.actions.indexOf(rule.action) === -1)
+        return `needs an action out of ${ChatFilter.actions.join(", ")}`;
+    try {
+        new RegExp(rule.pattern, "u");
+    } catch (e) {
+        return `has an invalid pattern: ${e.message}`;
+    }
+    return null;
+}
+
+/**
+ * @param {number} points
+ * @returns {string} error message, null if there were none
+ */
+function checkPoints(points) {
+    return points < 0 ? "can't be negative" : null;
+}
+
+/**
+ * @param {Partial<Settings>} overrides
+ * @returns {string} error message, null if there were none
+ */
+function checkOverrides(overrides) {
+    const errors = validateOverrides(overrides);
+    return errors.length > 0 ? errors[0] : null;
+}
+
+/**
+ * @param {any} value
+ * @param {SettingType} type
+ */
+function isOfType(value, type) {
+    switch (type) {
+        case "number": return typeof value === "number" && isFinite(value);
+        case "integer": return Number.isInteger(value);
+        case "boolean": return typeof value === "boolean";
+        case "string": return typeof value === "string";
+        case "string[]": return Array.isArray(value) && value.every(v => typeof v === "string");
+        case "number[]": return Array.isArray(value) && value.every(v => typeof v === "number" && isFinite(v));
+        case "object": return isObject(value);
+        case "object[]": return Array.isArray(value) && value.every(isObject);
+    }
+    return false;
+}
+/**
+ * @param {any} value
+ */
+function isObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @param {string} name
+ * @param {any} value
+ * @returns {string} error message, null if the value is fine or the setting doesn't exist
+ */
+function validateValue(name, value) {
+    if (!schema.hasOwnProperty(name)) return null;
+    const info = schema[name];
+    if (value === null && info.nullable) return null;
+    if (!isOfType(value, info.type))
+        return `${name} must be ${describe(name)}`;
+    if (info.min !== undefined && value < info.min)
+        return `${name} must be at least ${info.min}`;
+    if (info.max !== undefined && value > info.max)
+        return `${name} must be at most ${info.max}`;
+    if (info.values !== undefined && info.values.indexOf(value) === -1)
+        return `${name} must be one of ${info.values.join(", ")}`;
+    if (info.check !== undefined && info.type === "object")
+        for (let key in value) {
+            const error = info.check(value[key]);
+            if (error !== null) return `${name}.${key}: ${error}`;
+        }
+    else if (info.check !== undefined)
+        for (let i = 0, l = value.length; i < l; i++) {
+            const error = info.check(value[i]);
+            if (error !== null) return `${name}[${i}] ${error}`;
+        }
+    return null;
+}
+
+/**
+ * @param {Settings} settings
+ * @returns {string[]} every error found, settings not in the schema are left alone
+ */
+function validate(settings) {
+    const errors = [];
+    for (let name in settings) {
+        const error = validateValue(name, settings[name]);
+        if (error !== null) errors.push(error);
+    }
+    return errors.concat(checkOrder(settings));
+}
+/**
+ * @param {Partial<Settings>} overrides
+ * @param {Settings=} settings what the overrides go over, to check the result is consistent
+ * @returns {string[]} every error found
+ */
+function validateOverrides(overrides, settings) {
+    const errors = [];
+    for (let name in overrides) {
+        if (!schema.hasOwnProperty(name)) {
+            errors.push(`unknown setting ${name}`);
+            continue;
+        }
+        if (!schema[name].perWorld) {
+            errors.push(`${name} can't differ between worlds`);
+            continue;
+        }
+        const error = validateValue(name, overrides[name]);
+        if (error !== null) errors.push(error);
+    }
+    if (settings !== undefined && errors.length === 0)
+        return checkOrder(Object.assign({ }, settings, overrides));
+    return errors;
+}
+/**
+ * @param {Settings} settings
+ * @returns {string[]}
+ */
+function checkOrder(settings) {
+    const errors = [];
+    for (let i = 0, l = ordered.length; i < l; i++) {
+        const [low, high] = ordered[i];
+        if (settings[low] > settings[high])
+            errors.push(`${low} can't be above ${high}`);
+    }
+    return errors;
+}
+
+/**
+ * @param {Settings} a
+ * @param {Settings} b
+ * @returns {string[]} names of the settings whose values differ
+ */
+function diff(a, b) {
+    const names = [];
+    for (let name in b)
+        if (!a.hasOwnProperty(name) || JSON.stringify(a[name]) !== JSON.stringify(b[name]))
+            names.push(name);
+    return names;
+}
+
+/**
+ * @param {string} name
+ * @returns {string} the setting's type and range in words, null if it doesn't exist
+ */
+function describe(name) {
+    if (!schema.hasOwnProperty(name)) return null;
+    const info = schema[name];
+    let text = {
+        "number": "a number",
+        "integer": "an integer",
+        "boolean": "true or false",
+        "string": "a string",
+        "string[]": "an array of strings",
+        "number[]": "an array of numbers",
+        "object": "an object",
+        "object[]": "an array of objects"
+    }[info.type];
+    if (info.values !== undefined) text += ` out of ${info.values.join(", ")}`;
+    if (info.min !== undefined && info.max !== undefined) text += ` from ${info.min} to ${info.max}`;
+    else if (info.min !== undefined) text += ` of at least ${info.min}`;
+    else if (info.max !== undefined) text += ` of at most ${info.max}`;
+    if (info.nullable) text += " or null";
+    return text;
+}
+
+module.exports = {
+    schema: schema,
+    validateValue: validateValue,
+    validate: validate,
+    validateOverrides: validateOverrides,
+    diff: diff,
+    describe: describe
+};
+
+const Settings = require("./Settings");
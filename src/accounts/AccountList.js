@@ -0,0 +1,185 @@
+const crypto = require("crypto");
+const MemoryAccountStore = require("./MemoryAccountStore");
+
+/**
+ * Hashes on the libuv threadpool so logins don't stall the tick
+ * @param {string} password
+ * @param {string} salt
+ * @param {(error: Error, hash: Buffer) => void} callback
+ */
+function hashPassword(password, salt, callback) {
+    crypto.scrypt(password, salt, 64, callback);
+}
+
+class AccountList {
+    /**
+     * @param {ServerHandle} handle
+     */
+    constructor(handle) {
+        this.handle = handle;
+        /** @type {AccountStore} */
+        this.store = new MemoryAccountStore();
+        /** @type {Indexed<Router>} */
+        this.online = { };
+    }
+
+    get settings() { return this.handle.settings; }
+
+    /**
+     * @param {AccountStore} store
+     */
+    setStore(store) {
+        this.store = store;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Account}
+     */
+    find(name) {
+        return this.store.find(name.trim());
+    }
+    /**
+     * @param {Account} account
+     */
+    save(account) {
+        this.store.save(account);
+    }
+    /**
+     * @param {string} name
+     */
+    remove(name) {
+        const account = this.find(name);
+        if (account === null) return false;
+        const router = this.getRouter(account);
+        if (router !== null) this.logout(router);
+        return this.store.remove(account.name);
+    }
+    list() {
+        return this.store.list();
+    }
+
+    update() {
+        if (this.handle.tick % this.settings.accountSaveTicks !== 0) return;
+        this.store.flush((error) => {
+            if (error) this.handle.logger.warn(`failed to save accounts: ${error.message}`);
+        });
+    }
+    /**
+     * Writes out every pending account change, for when the handle stops
+     */
+    flush() {
+        this.store.flushSync();
+    }
+
+    /**
+     * @param {Account} account
+     * @returns {Router}
+     */
+    getRouter(account) {
+        const key = account.name.toLowerCase();
+        return this.online.hasOwnProperty(key) ? this.online[key] : null;
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} password
+     * @param {(error: string) => void} callback called with an error message, null if there were none
+     */
+    register(name, password, callback) {
+        if (!this.settings.accountsEnabled) return void callback("accounts are disabled");
+        name = name.trim();
+        if (name.length === 0 || name.length > this.settings.playerMaxNameLength)
+            return void callback(`account name must be between 1 and ${this.settings.playerMaxNameLength} characters long`);
+        if (/[<>{}\s]/.test(name))
+            return void callback("account name contains forbidden characters");
+        if (password.length < this.settings.accountMinPasswordLength)
+            return void callback(`password must be at least ${this.settings.accountMinPasswordLength} characters long`);
+        if (this.find(name) !== null)
+            return void callback("an account with this name already exists");
+        const salt = crypto.randomBytes(16).toString("hex");
+        hashPassword(password, salt, (error, hash) => {
+            if (error) return void callback("failed to register the account");
+            // another registration could have taken the name while hashing
+            if (this.find(name) !== null) return void callback("an account with this name already exists");
+            this.save({
+                name: name,
+                salt: salt,
+                hash: hash.toString("hex"),
+                created: Date.now(),
+                lastLogin: null
+            });
+            this.handle.logger.inform(`registered account ${name}`);
+            callback(null);
+        });
+    }
+    /**
+     * @param {Router} router
+     * @param {string} name
+     * @param {string} password
+     * @param {(error: string) => void} callback called with an error message, null if there were none
+     */
+    login(router, name, password, callback) {
+        if (!this.settings.accountsEnabled) return void callback("accounts are disabled");
+        if (router.account !== null) return void callback(`already logged in as ${router.account.name}`);
+        const account = this.find(name);
+        // unknown names still get hashed so they can't be probed by timing
+        hashPassword(password, account !== null ? account.salt : "", (error, hash) => {
+            if (error || account === null) return void callback("invalid name or password");
+            const expected = Buffer.from(account.hash, "hex");
+            if (hash.length !== expected.length || !crypto.timingSafeEqual(hash, expected))
+                return void callback("invalid name or password");
+            if (router.disconnected) return void callback("disconnected");
+            if (router.account !== null) return void callback(`already logged in as ${router.account.name}`);
+            if (this.getRouter(account) !== null) return void callback("this account is already logged in");
+            if (this.handle.punishments.find("ban", null, account.name) !== null) return void callback("this account is banned");
+            account.lastLogin = Date.now();
+            this.save(account);
+            this.online[account.name.toLowerCase()] = router;
+            router.account = account;
+            this.handle.logger.debug(`router ${router.type} logged in as ${account.name}`);
+            callback(null);
+        });
+    }
+    /**
+     * @param {Router} router
+     */
+    logout(router) {
+        if (router.account === null) return false;
+        delete this.online[router.account.name.toLowerCase()];
+        router.account = null;
+        return true;
+    }
+    /**
+     * @param {Account} account
+     * @param {string} password
+     * @param {(error: Error) => void} callback
+     */
+    setPassword(account, password, callback) {
+        const salt = crypto.randomBytes(16).toString("hex");
+        hashPassword(password, salt, (error, hash) => {
+            if (error) return void callback(error);
+            account.salt = salt;
+            account.hash = hash.toString("hex");
+            this.save(account);
+            callback(null);
+        });
+    }
+
+    /**
+     * @param {Router} router
+     * @param {string} name
+     */
+    isNameReserved(router, name) {
+        if (!this.settings.accountsEnabled || !this.settings.accountReserveNames) return false;
+        const account = this.find(name);
+        if (account === null) return false;
+        return router.account === null || router.account.name !== account.name;
+    }
+}
+
+module.exports = AccountList;
+
+const ServerHandle = require("../ServerHandle");
+const AccountStore = require("./AccountStore");
+const Router = require("../sockets/Router");
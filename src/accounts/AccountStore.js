@@ -0,0 +1,39 @@
+/**
+ * @abstract
+ */
+class AccountStore {
+    /**
+     * @abstract
+     * @param {string} name
+     * @returns {Account}
+     */
+    find(name) { throw new Error("Must be implemented"); }
+    /**
+     * @abstract
+     * @param {Account} account
+     */
+    save(account) { throw new Error("Must be implemented"); }
+    /**
+     * @abstract
+     * @param {string} name
+     * @returns {boolean}
+     */
+    remove(name) { throw new Error("Must be implemented"); }
+    /**
+     * @abstract
+     * @returns {Account[]}
+     */
+    list() { throw new Error("Must be implemented"); }
+
+    /**
+     * Persists the changes made since the last flush without blocking
+     * @param {(error: Error) => void} callback
+     */
+    flush(callback) { callback(null); }
+    /**
+     * Persists the changes made since the last flush before returning
+     */
+    flushSync() { }
+}
+
+module.exports = AccountStore;
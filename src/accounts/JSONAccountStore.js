@@ -0,0 +1,56 @@
+const fs = require("fs");
+const MemoryAccountStore = require("./MemoryAccountStore");
+
+class JSONAccountStore extends MemoryAccountStore {
+    /**
+     * @param {string} path
+     */
+    constructor(path) {
+        super();
+        this.path = path;
+        this.dirty = false;
+        this.writing = false;
+        if (!fs.existsSync(path)) return;
+        /** @type {Account[]} */
+        const accounts = JSON.parse(fs.readFileSync(path, "utf-8"));
+        for (let i = 0, l = accounts.length; i < l; i++)
+            super.save(accounts[i]);
+    }
+
+    /**
+     * @param {Account} account
+     */
+    save(account) {
+        super.save(account);
+        this.dirty = true;
+    }
+    /**
+     * @param {string} name
+     */
+    remove(name) {
+        if (!super.remove(name)) return false;
+        this.dirty = true;
+        return true;
+    }
+
+    /**
+     * @param {(error: Error) => void} callback
+     */
+    flush(callback) {
+        if (!this.dirty || this.writing) return void callback(null);
+        this.dirty = false;
+        this.writing = true;
+        fs.writeFile(this.path, JSON.stringify(this.list(), null, 4), "utf-8", (error) => {
+            this.writing = false;
+            if (error) this.dirty = true;
+            callback(error);
+        });
+    }
+    flushSync() {
+        if (!this.dirty) return;
+        this.dirty = false;
+        fs.writeFileSync(this.path, JSON.stringify(this.list(), null, 4), "utf-8");
+    }
+}
+
+module.exports = JSONAccountStore;
@@ -0,0 +1,37 @@
+const AccountStore = require("./AccountStore");
+
+class MemoryAccountStore extends AccountStore {
+    constructor() {
+        super();
+        /** @type {Indexed<Account>} */
+        this.accounts = { };
+    }
+
+    /**
+     * @param {string} name
+     */
+    find(name) {
+        const key = name.toLowerCase();
+        return this.accounts.hasOwnProperty(key) ? this.accounts[key] : null;
+    }
+    /**
+     * @param {Account} account
+     */
+    save(account) {
+        this.accounts[account.name.toLowerCase()] = account;
+    }
+    /**
+     * @param {string} name
+     */
+    remove(name) {
+        const key = name.toLowerCase();
+        if (!this.accounts.hasOwnProperty(key)) return false;
+        delete this.accounts[key];
+        return true;
+    }
+    list() {
+        return Object.keys(this.accounts).map(v => this.accounts[v]);
+    }
+}
+
+module.exports = MemoryAccountStore;
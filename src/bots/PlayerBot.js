@@ -28,14 +28,14 @@ class PlayerBot extends Bot {
         this.player.updateVisibleCells();
         const player = this.player;
         if (player.state === -1) {
-			const names = this.listener.settings.worldPlayerBotNames;
-			const skins = this.listener.settings.worldPlayerBotSkins;
+			const names = this.player.settings.worldPlayerBotNames;
+			const skins = this.player.settings.worldPlayerBotSkins;
 
 			// Seleccionar una skin al azar de la lista
-			const randomSkin = skins[~~(Math.random() * skins.length)];
+			const randomSkin = skins[player.world.random.nextInt(skins.length)];
 
 			// Seleccionar un nombre al azar de la lista
-			const randomName = names[~~(Math.random() * names.length)] || "Player bot";
+			const randomName = names[player.world.random.nextInt(names.length)] || "Player bot";
 
 			// Formatear el nombre incluyendo la skin
 			this.spawningName = `<${randomSkin}>${randomName}`;
@@ -61,7 +61,7 @@ class PlayerBot extends Bot {
             }
         }
 
-        const atMaxCells = player.ownedCells.length >= this.listener.settings.playerMaxCells;
+        const atMaxCells = player.ownedCells.length >= this.player.settings.playerMaxCells;
         const willingToSplit = player.ownedCells.length <= 2;
         const cellCount = Object.keys(player.visibleCells).length;
 
@@ -139,7 +139,7 @@ class PlayerBot extends Bot {
      * @param {number} bSize
      */
     canEat(aSize, bSize) {
-        return aSize > bSize * this.listener.settings.worldEatMult;
+        return aSize > bSize * this.player.settings.worldEatMult;
     }
     /**
      * @param {number} aSize
@@ -148,11 +148,11 @@ class PlayerBot extends Bot {
      */
     canSplitkill(aSize, bSize, d) {
         const splitDistance = Math.max(
-            2 * aSize / this.listener.settings.playerSplitSizeDiv / 2,
-            this.listener.settings.playerSplitBoost
+            2 * aSize / this.player.settings.playerSplitSizeDiv / 2,
+            this.player.settings.playerSplitBoost
         );
-        return aSize / this.listener.settings.playerSplitSizeDiv > bSize * this.listener.settings.worldEatMult &&
-               d - splitDistance <= aSize - bSize / this.listener.settings.worldEatOverlapDiv;
+        return aSize / this.player.settings.playerSplitSizeDiv > bSize * this.player.settings.worldEatMult &&
+               d - splitDistance <= aSize - bSize / this.player.settings.worldEatOverlapDiv;
     }
 }
 
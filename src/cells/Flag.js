@@ -0,0 +1,39 @@
+const Cell = require("./Cell");
+
+class Flag extends Cell {
+    /**
+     * @param {World} world
+     * @param {number} team
+     * @param {Rect} base where the flag rests, its team scores by bringing enemy flags here
+     * @param {number} color
+     * @param {string} name
+     */
+    constructor(world, team, base, color, name) {
+        super(world, base.x, base.y, world.settings.ctfFlagSize, color);
+        this.name = name;
+
+        this.team = team;
+        this.base = base;
+        /** @type {Player} */
+        this.carrier = null;
+        /** tick the flag was dropped on, NaN while it's carried or at its base */
+        this.droppedTick = NaN;
+    }
+
+    get type() { return 5; }
+    get isSpiked() { return false; }
+    get isAgitated() { return false; }
+    get avoidWhenSpawning() { return true; }
+    get isAtBase() { return this.carrier === null && isNaN(this.droppedTick); }
+
+    /**
+     * @param {Cell} other
+     * @returns {CellEatResult}
+     */
+    getEatResult(other) { return 0; }
+}
+
+module.exports = Flag;
+
+const World = require("../worlds/World");
+const Player = require("../worlds/Player");
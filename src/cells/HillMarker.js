@@ -0,0 +1,30 @@
+const Cell = require("./Cell");
+
+class HillMarker extends Cell {
+    /**
+     * @param {World} world
+     * @param {number} x
+     * @param {number} y
+     */
+    constructor(world, x, y) {
+        super(world, x, y, world.settings.kothMarkerSize, HillMarker.neutralColor);
+        this.name = "Hill";
+    }
+
+    static get neutralColor() { return 0xFFFFFF; }
+
+    get type() { return 6; }
+    get isSpiked() { return false; }
+    get isAgitated() { return false; }
+    get avoidWhenSpawning() { return false; }
+
+    /**
+     * @param {Cell} other
+     * @returns {CellEatResult}
+     */
+    getEatResult(other) { return 0; }
+}
+
+module.exports = HillMarker;
+
+const World = require("../worlds/World");
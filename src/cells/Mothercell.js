@@ -35,7 +35,7 @@ class Mothercell extends Cell {
         const minSpawnSqSize = mothercellSize * mothercellSize + pelletSize * pelletSize;
 
         this.activePelletFormQueue += settings.mothercellActiveSpawnSpeed * this.world.handle.stepMult;
-        this.passivePelletFormQueue += Math.random() * settings.mothercellPassiveSpawnChance * this.world.handle.stepMult;
+        this.passivePelletFormQueue += this.world.random.next() * settings.mothercellPassiveSpawnChance * this.world.handle.stepMult;
 
         while (this.activePelletFormQueue > 0) {
             if (this.squareSize > minSpawnSqSize)
@@ -51,14 +51,14 @@ class Mothercell extends Cell {
         }
     }
     spawnPellet() {
-        const angle = Math.random() * 2 * Math.PI;
+        const angle = this.world.random.next() * 2 * Math.PI;
         const x = this.x + this.size * Math.sin(angle);
         const y = this.y + this.size * Math.cos(angle);
         const pellet = new Pellet(this.world, this, x, y);
         pellet.boost.dx = Math.sin(angle);
         pellet.boost.dy = Math.cos(angle);
         const d = this.world.settings.mothercellPelletBoost;
-        pellet.boost.d = d / 2 + Math.random() * d / 2;
+        pellet.boost.d = d / 2 + this.world.random.next() * d / 2;
         this.world.addCell(pellet);
         this.world.setCellAsBoosting(pellet);
     }
@@ -10,7 +10,7 @@ class Pellet extends Cell {
      */
     constructor(world, spawner, x, y) {
         const size = world.settings.pelletMinSize;
-        super(world, x, y, size, Misc.randomColor());
+        super(world, x, y, size, Misc.randomColor(world.random));
 
         this.spawner = spawner;
         this.lastGrowTick = this.birthTick;
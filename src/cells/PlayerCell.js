@@ -17,7 +17,7 @@ class PlayerCell extends Cell {
     }
 
     get moveSpeed() {
-        return 88 * Math.pow(this.size, -0.4396754) * this.owner.settings.playerMoveMult;
+        return 88 * Math.pow(this.size, -0.4396754) * this.world.handle.gamemode.getMoveMult(this);
     }
     get canMerge() { return this._canMerge; }
 
@@ -0,0 +1,159 @@
+const fs = require("fs");
+
+const queryChunkSize = 64 * 1024;
+
+/**
+ * @param {any} context a command's context
+ * @returns {{ source: AuditSource, actor: string, ip: IPAddress, account: string }}
+ */
+function getActor(context) {
+    if (context == null)
+        return { source: "server", actor: "server", ip: null, account: null };
+    if (context.role !== undefined)
+        return { source: "console", actor: context.name, ip: context.ip || null, account: null };
+    return {
+        source: "chat",
+        actor: context.hasPlayer ? `player ${context.player.id}` : "unknown",
+        ip: context.remoteAddress || null,
+        account: context.account ? context.account.name : null
+    };
+}
+
+/**
+ * Reads a file's lines from the last one to the first, a chunk at a time, until told to stop
+ * @param {string} path
+ * @param {(line: string) => boolean} onLine returns false to stop reading
+ * @param {(error: Error) => void} callback
+ */
+function readLinesBackwards(path, onLine, callback) {
+    fs.open(path, "r", (error, fd) => {
+        if (error) return void callback(error.code === "ENOENT" ? null : error);
+        const done = (/** @type {Error} */ error) => fs.close(fd, () => callback(error));
+        fs.fstat(fd, (error, stats) => {
+            if (error) return void done(error);
+            let position = stats.size;
+            let rest = Buffer.alloc(0);
+            const readChunk = () => {
+                if (position === 0) {
+                    if (rest.length > 0) onLine(rest.toString("utf-8"));
+                    return void done(null);
+                }
+                const length = Math.min(queryChunkSize, position);
+                position -= length;
+                fs.read(fd, Buffer.alloc(length), 0, length, position, (error, bytesRead, buffer) => {
+                    if (error) return void done(error);
+                    const data = Buffer.concat([buffer.subarray(0, bytesRead), rest]);
+                    let end = data.length, i;
+                    while (end > 0 && (i = data.lastIndexOf(10, end - 1)) !== -1) {
+                        if (!onLine(data.toString("utf-8", i + 1, end))) return void done(null);
+                        end = i;
+                    }
+                    rest = data.subarray(0, end);
+                    readChunk();
+                });
+            };
+            readChunk();
+        });
+    });
+}
+
+/**
+ * Append-only record of executed commands, one JSON entry per line
+ */
+class AuditLog {
+    /**
+     * @param {ServerHandle} handle
+     */
+    constructor(handle) {
+        this.handle = handle;
+        /** @type {fs.WriteStream} */
+        this.stream = null;
+        /** @type {string} */
+        this.streamPath = null;
+    }
+
+    get settings() { return this.handle.settings; }
+
+    /**
+     * @param {any} context
+     * @param {string} command
+     * @param {string[]} args
+     * @param {AuditOutcome} outcome
+     */
+    record(context, command, args, outcome) {
+        const path = this.settings.auditLogFile;
+        if (path == null) return;
+        const actor = getActor(context);
+        // players can type anything after a slash, only their recognised commands are worth a write
+        if (actor.source === "chat" && outcome === "unknown") return;
+        /** @type {AuditEntry} */
+        const entry = Object.assign({ time: Date.now() }, actor, {
+            command: command,
+            args: args,
+            outcome: outcome
+        });
+        this.getStream(path).write(JSON.stringify(entry) + "\n", "utf-8");
+    }
+    /**
+     * @param {string} path
+     * @private
+     */
+    getStream(path) {
+        if (this.stream !== null && this.streamPath === path) return this.stream;
+        if (this.stream !== null) this.stream.end();
+        const stream = this.stream = fs.createWriteStream(path, { flags: "a" });
+        this.streamPath = path;
+        stream.on("error", (e) => {
+            this.handle.logger.onError(`failed to write to the audit log: ${e.message}`);
+            // the next entry reopens the file
+            if (this.stream === stream) this.stream = null;
+        });
+        return stream;
+    }
+    /**
+     * Finishes writing the pending entries and closes the file
+     * @param {() => void=} callback
+     */
+    close(callback) {
+        const stream = this.stream;
+        this.stream = this.streamPath = null;
+        if (stream === null) return void (callback && callback());
+        stream.end(callback);
+    }
+
+    /**
+     * Reads the file backwards so only as much of it as the filter needs gets read
+     * @param {AuditFilter} filter
+     * @param {(error: Error, entries: AuditEntry[]) => void} callback called with the matching entries, newest first
+     */
+    query(filter, callback) {
+        const path = this.settings.auditLogFile;
+        if (path == null) return void callback(null, []);
+        const actor = filter.actor ? filter.actor.toLowerCase() : null;
+        const text = filter.text ? filter.text.toLowerCase() : null;
+        const limit = filter.limit || 100;
+        /** @type {AuditEntry[]} */
+        const entries = [];
+        readLinesBackwards(path, (line) => {
+            if (line.length === 0) return true;
+            /** @type {AuditEntry} */
+            let entry;
+            try { entry = JSON.parse(line); }
+            catch (e) { return true; }
+            if (filter.since != null && entry.time < filter.since) return false;
+            if (filter.until != null && entry.time > filter.until) return true;
+            if (filter.source && entry.source !== filter.source) return true;
+            if (filter.command && entry.command !== filter.command) return true;
+            if (filter.outcome && entry.outcome !== filter.outcome) return true;
+            if (filter.ip && entry.ip !== filter.ip) return true;
+            if (actor !== null && entry.actor.toLowerCase().indexOf(actor) === -1) return true;
+            if (text !== null && entry.args.join(" ").toLowerCase().indexOf(text) === -1) return true;
+            entries.push(entry);
+            return entries.length < limit;
+        }, (error) => callback(error, error ? null : entries));
+    }
+}
+
+module.exports = AuditLog;
+
+const ServerHandle = require("../ServerHandle");
@@ -1,3 +1,18 @@
+/**
+ * Console roles from least to most privileged
+ * @type {CommandRole[]}
+ */
+const roles = ["viewer", "moderator", "admin"];
+
+/**
+ * @param {any} context
+ * @param {CommandRole} role
+ */
+function hasRole(context, role) {
+    if (role == null || context == null) return true;
+    return roles.indexOf(context.role) >= roles.indexOf(role);
+}
+
 /**
  * @template T
  */
@@ -7,12 +22,16 @@ class Command {
      * @param {string} description
      * @param {string} args
      * @param {(handle: ServerHandle, context: T, args: string[]) => void} executor
+     * @param {CommandRole=} role the least role a context needs to execute it, the list's default if omitted
+     * @param {boolean=} sensitive whether its arguments are kept out of the audit log
      */
-    constructor(name, description, args, executor) {
+    constructor(name, description, args, executor, role, sensitive) {
         this.name = name.toLowerCase();
         this.description = description;
         this.args = args;
         this.executor = executor;
+        this.role = role;
+        this.sensitive = !!sensitive;
     }
 
     toString() {
@@ -24,8 +43,14 @@ class Command {
  * @template T
  */
 class CommandList {
-    constructor(handle) {
+    /**
+     * @param {ServerHandle} handle
+     * @param {CommandRole=} defaultRole role required by commands that don't specify one
+     */
+    constructor(handle, defaultRole) {
         this.handle = handle;
+        /** @type {CommandRole} */
+        this.defaultRole = defaultRole || null;
         /** @type {{[commandName: string]: Command}} */
         this.list = { };
     }
@@ -40,16 +65,58 @@ class CommandList {
             this.list[command.name] = command;
         }
     }
+    /**
+     * @param {Command} command
+     */
+    remove(command) {
+        if (this.list[command.name] !== command) return false;
+        delete this.list[command.name];
+        return true;
+    }
 
+    /**
+     * @param {Command} command
+     * @returns {CommandRole}
+     */
+    getRole(command) {
+        return command.role !== undefined ? command.role : this.defaultRole;
+    }
     /**
      * @param {T} context
+     * @param {Command} command
+     */
+    canExecute(context, command) {
+        return hasRole(context, this.getRole(command));
+    }
+
+    /**
+     * @param {T} context a null context is trusted with every command
      * @param {string} input
      */
     execute(context, input) {
         const split = input.split(" ");
         if (split.length === 0) return false;
-        if (!this.list.hasOwnProperty(split[0].toLowerCase())) return false;
-        this.list[split[0].toLowerCase()].executor(this.handle, context, split.slice(1));
+        const name = split[0].toLowerCase();
+        const args = split.slice(1);
+        const audit = this.handle.audit;
+        if (!this.list.hasOwnProperty(name)) {
+            audit.record(context, name, [], "unknown");
+            return false;
+        }
+        const command = this.list[name];
+        const auditArgs = command.sensitive ? [] : args;
+        if (!this.canExecute(context, command)) {
+            audit.record(context, name, auditArgs, "denied");
+            this.handle.logger.print(`${command.name} requires the ${this.getRole(command)} role`);
+            return true;
+        }
+        try {
+            command.executor(this.handle, context, args);
+        } catch (e) {
+            audit.record(context, name, auditArgs, "failed");
+            throw e;
+        }
+        audit.record(context, name, auditArgs, "executed");
         return true;
     }
 }
@@ -57,12 +124,14 @@ class CommandList {
 module.exports = {
     Command: Command,
     CommandList: CommandList,
+    roles: roles,
+    hasRole: hasRole,
     /**
      * @template T
-     * @param {{ args: string, desc: string, name: string, exec: (handle: ServerHandle, context: T, args: string[]) => void }} info
+     * @param {{ args: string, desc: string, name: string, role?: CommandRole, sensitive?: boolean, exec: (handle: ServerHandle, context: T, args: string[]) => void }} info
      */
     genCommand(info) {
-        return new Command(info.name, info.desc, info.args, info.exec);
+        return new Command(info.name, info.desc, info.args, info.exec, info.role, info.sensitive);
     }
 };
 
@@ -1,9 +1,27 @@
 const { Command, genCommand } = require("./CommandList");
 const { EOL } = require("os");
 const { inspect } = require("util");
+const fs = require("fs");
+const path = require("path");
 
 const Minion = require("../bots/Minion");
 const PlayerBot = require("../bots/PlayerBot");
+const Replay = require("../replays/Replay");
+const ReplayRouter = require("../replays/ReplayRouter");
+const PunishmentList = require("../moderation/PunishmentList");
+const SettingsSchema = require("../SettingsSchema");
+
+const replayExtension = ".ogreplay";
+/** @type {ChatChannelType[]} */
+const chatChannelTypes = ["global", "world", "team"];
+/** @type {{ [unit: string]: number }} */
+const durationUnits = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+/** @type {{ [applies in SettingApplication]: string }} */
+const settingNotes = {
+    live: null,
+    world: "this only applies to worlds created from now on",
+    restart: "this takes effect once the handle restarts"
+};
 
 const IPvalidate = /((^\s*((([0-9]|[1-9][0-9]|1[0-9]{2}|2[0-4][0-9]|25[0-5])\.){3}([0-9]|[1-9][0-9]|1[0-9]{2}|2[0-4][0-9]|25[0-5]))\s*$)|(^\s*((([0-9A-Fa-f]{1,4}:){7}([0-9A-Fa-f]{1,4}|:))|(([0-9A-Fa-f]{1,4}:){6}(:[0-9A-Fa-f]{1,4}|((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3})|:))|(([0-9A-Fa-f]{1,4}:){5}(((:[0-9A-Fa-f]{1,4}){1,2})|:((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3})|:))|(([0-9A-Fa-f]{1,4}:){4}(((:[0-9A-Fa-f]{1,4}){1,3})|((:[0-9A-Fa-f]{1,4})?:((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}))|:))|(([0-9A-Fa-f]{1,4}:){3}(((:[0-9A-Fa-f]{1,4}){1,4})|((:[0-9A-Fa-f]{1,4}){0,2}:((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}))|:))|(([0-9A-Fa-f]{1,4}:){2}(((:[0-9A-Fa-f]{1,4}){1,5})|((:[0-9A-Fa-f]{1,4}){0,3}:((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}))|:))|(([0-9A-Fa-f]{1,4}:){1}(((:[0-9A-Fa-f]{1,4}){1,6})|((:[0-9A-Fa-f]{1,4}){0,4}:((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}))|:))|(:(((:[0-9A-Fa-f]{1,4}){1,7})|((:[0-9A-Fa-f]{1,4}){0,5}:((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}))|:)))(%.+)?\s*$))/;
 
@@ -138,6 +156,42 @@ function shortPrettyTime(milliseconds) {
     return `${days}d`;
 }
 
+/** @param {PlayerStatsData} stats */
+function formatPlayerStats(stats) {
+    const killers = Object.keys(stats.killedBy)
+        .sort((a, b) => stats.killedBy[b] - stats.killedBy[a])
+        .slice(0, 3)
+        .map(v => `${cleanName(v)} (${stats.killedBy[v]})`);
+    return `${stats.cellsEaten} cells, ${stats.playersEaten} players eaten, ` +
+        `${Math.round(stats.maxMass)} max mass, ${prettyTime(stats.timeAlive)} alive, ` +
+        `${stats.deaths} deaths${killers.length > 0 ? `, killed most by ${killers.join(", ")}` : ""}`;
+}
+
+/**
+ * @param {ServerHandle} handle
+ * @param {string} name
+ * @returns {string} null if the name is invalid
+ */
+function getReplayPath(handle, name) {
+    if (!/^[\w.-]+$/.test(name) || name.startsWith(".")) return null;
+    return path.resolve(handle.settings.replayDirectory, name + replayExtension);
+}
+/** connections whose replay is still being read from disk */
+const loadingReplays = new WeakSet();
+/** @type {WeakMap<Connection, number>} when each connection last whispered, the chat cooldown applies to it too */
+const lastWhisperTimes = new WeakMap();
+/**
+ * @param {Connection} connection
+ * @returns {ReplayRouter}
+ */
+function getReplayRouter(connection) {
+    const routers = connection.listener.routers;
+    for (let i = 0, l = routers.length; i < l; i++)
+        if (routers[i].type === "replay" && routers[i].connection === connection)
+            return routers[i];
+    return null;
+}
+
 /**
  * @param {string[]} args
  * @param {ServerHandle} handle
@@ -218,6 +272,51 @@ function getString(args, handle, index, argName) {
     return value;
 }
 
+/**
+ * @param {string[]} args
+ * @param {ServerHandle} handle
+ * @param {number} index
+ * @returns {number} milliseconds, false if it's invalid
+ */
+function getDuration(args, handle, index) {
+    if (args.length <= index)
+        return handle.logger.print("missing duration"), false;
+    const match = /^(\d+)([smhdw])$/.exec(args[index]);
+    if (match === null || parseInt(match[1]) === 0)
+        return handle.logger.print("invalid duration, use a number followed by s, m, h, d or w"), false;
+    return parseInt(match[1]) * durationUnits[match[2]];
+}
+/**
+ * Accepts an IP address, a CIDR range, `account:name` or the id of a connected player
+ * @param {string[]} args
+ * @param {ServerHandle} handle
+ * @param {number} index
+ * @returns {{ match: PunishmentMatch, value: string }} false if it's invalid
+ */
+function getPunishmentTarget(args, handle, index) {
+    const id = getString(args, handle, index, "target");
+    if (id === false)
+        return false;
+    const target = PunishmentList.parseTarget(id);
+    if (target !== null)
+        return target;
+    if (!/^\d+$/.test(id))
+        return handle.logger.print("target must be an IP address, CIDR range, account:<name> or player id"), false;
+    if (!handle.players.hasOwnProperty(id))
+        return handle.logger.print("no player has this id"), false;
+    const router = handle.players[id].router;
+    if (!router.isExternal)
+        return handle.logger.print("player is not external"), false;
+    return { match: "ip", value: router.remoteAddress };
+}
+/**
+ * @param {any} context
+ */
+function getIssuer(context) {
+    return context == null ? "server" : context.role !== undefined ? context.name :
+        context.account ? `account:${context.account.name}` : "unknown";
+}
+
 /**
  * @param {CommandList} commands
  * @param {CommandList} chatCommands
@@ -228,12 +327,13 @@ module.exports = (commands, chatCommands) => {
             name: "help",
             args: "",
             desc: "display all registered commands and their relevant information",
+            role: "viewer",
             /**
              * @param {ServerHandle} context
              */
             exec: (handle, context, args) => {
                 const list = handle.commands.list;
-                const keys = Object.keys(list).sort();
+                const keys = Object.keys(list).sort().filter(v => handle.commands.canExecute(context, list[v]));
                 handle.logger.print(table({
                     columns: [
                         { text: "NAME",        headPad: " ", emptyPad: " ", rowPad: " ", separated: false },
@@ -254,6 +354,7 @@ module.exports = (commands, chatCommands) => {
             name: "routers",
             args: "[router type]",
             desc: "display information about routers and their players",
+            role: "viewer",
             /**
              * @param {ServerHandle} context
              */
@@ -270,7 +371,8 @@ module.exports = (commands, chatCommands) => {
                         { text: "DORMANT",  headPad: " ", emptyPad: "/", rowPad: " ", separated: false },
                         { text: "PROTOCOL", headPad: " ", emptyPad: "/", rowPad: " ", separated: false },
                         { text: "PID",      headPad: " ", emptyPad: "/", rowPad: " ", separated: false },
-                        { text: "NAME",     headPad: " ", emptyPad: "/", rowPad: " ", separated: false }
+                        { text: "NAME",     headPad: " ", emptyPad: "/", rowPad: " ", separated: false },
+                        { text: "DROPPED",  headPad: " ", emptyPad: "/", rowPad: " ", separated: true  }
                     ],
                     rows: routers.map((v, i) => [
                         i.toString(),
@@ -280,7 +382,8 @@ module.exports = (commands, chatCommands) => {
                         shortPrettyTime(Date.now() - v.lastActivityTime),
                         v.protocol ? v.protocol.subtype : null,
                         v.hasPlayer ? v.player.id.toString() : null,
-                        v.hasPlayer ? cleanName(v.player.leaderboardName) : "N/A"
+                        v.hasPlayer ? cleanName(v.player.leaderboardName) : "N/A",
+                        v.protocol ? v.protocol.limiter.describe() || null : null
                     ])
                 }, EOL));
             }
@@ -290,6 +393,7 @@ module.exports = (commands, chatCommands) => {
             name: "players",
             args: "[world id or \"any\"] [router type]",
             desc: "display information about players",
+            role: "viewer",
             /**
              * @param {ServerHandle} context
              */
@@ -337,6 +441,7 @@ module.exports = (commands, chatCommands) => {
             name: "playersbot",
             args: "[world id or \"any\"]",
             desc: "display information about playerbots",
+            role: "viewer",
             /**
              * @param {ServerHandle} context
              */
@@ -384,6 +489,7 @@ module.exports = (commands, chatCommands) => {
             name: "stats",
             args: "",
             desc: "display critical information about the server",
+            role: "viewer",
             /**
              * @param {ServerHandle} context
              */
@@ -403,7 +509,9 @@ module.exports = (commands, chatCommands) => {
                     const world = handle.worlds[id], stats = world.stats,
                         cells = [ world.cells.length, world.playerCells.length, world.pelletCount, world.virusCount, world.ejectedCells.length, world.mothercellCount],
                         statsF = [ stats.external, stats.internal, stats.limit, stats.playing, stats.spectating ];
-                    logger.print(`world ${id}: ${cells[0]} cells - ${cells[1]}P/${cells[2]}p/${cells[3]}v/${cells[4]}e/${cells[5]}m`);
+                    const overrides = Object.keys(world.overrides).length;
+                    logger.print(`world ${id}: ${cells[0]} cells - ${cells[1]}P/${cells[2]}p/${cells[3]}v/${cells[4]}e/${cells[5]}m` +
+                        (overrides > 0 ? ` - ${overrides} overridden settings` : "") + (world.persistent ? " - persistent" : ""));
                     logger.print(`         ${statsF[0]} / ${statsF[1]} / ${statsF[2]} players - ${statsF[3]}p/${statsF[4]}s`);
                 }
             }
@@ -435,13 +543,24 @@ module.exports = (commands, chatCommands) => {
                     }
                     return void handle.logger.print(printing);
                 }
-                if (args.length >= 2) {
-                    const settingValue = JSON.parse(args.slice(1).join(" "));
-                    const newSettings = Object.assign({ }, handle.settings);
-                    newSettings[settingName] = settingValue;
-                    handle.setSettings(newSettings);
+                if (args.length < 2)
+                    return void handle.logger.print(handle.settings[settingName]);
+                let settingValue;
+                try {
+                    settingValue = JSON.parse(args.slice(1).join(" "));
+                } catch (e) {
+                    return void handle.logger.print(`invalid value, expected ${SettingsSchema.describe(settingName)} as JSON`);
                 }
+                const newSettings = Object.assign({ }, handle.settings);
+                newSettings[settingName] = settingValue;
+                const errors = handle.setSettings(newSettings);
+                if (errors.length > 0)
+                    return void handle.logger.print(errors.join(EOL));
                 handle.logger.print(handle.settings[settingName]);
+                // leftover keys from an old settings file have no schema entry
+                const schema = SettingsSchema.schema[settingName];
+                const note = settingNotes[schema ? schema.applies : "live"];
+                if (note) handle.logger.print(note);
             }
         }),
         genCommand({
@@ -545,6 +664,7 @@ module.exports = (commands, chatCommands) => {
             name: "kill",
             args: "<id>",
             desc: "instantly kill a player",
+            role: "moderator",
             /**
              * @param {ServerHandle} context
              */
@@ -630,6 +750,7 @@ module.exports = (commands, chatCommands) => {
             name: "killall",
             args: "<world id>",
             desc: "instantly kill all players in a world",
+            role: "moderator",
             /**
              * @param {ServerHandle} context
              */
@@ -688,10 +809,30 @@ module.exports = (commands, chatCommands) => {
                 handle.logger.print(`removed ${realCount} player bots from world`);
             }
         }),
+        genCommand({
+            name: "kick",
+            args: "<id> [reason]",
+            desc: "disconnect a connected player",
+            role: "moderator",
+            /**
+             * @param {ServerHandle} context
+             */
+            exec: (handle, context, args) => {
+                const player = getPlayerByID(args, handle, 0, false);
+                if (player === false)
+                    return;
+                if (!player.router.isExternal)
+                    return void handle.logger.print("player is not external");
+                const reason = args.slice(1).join(" ") || "Kicked by an administrator";
+                player.router.closeSocket(1003, reason);
+                handle.logger.print(`player ${player.id} kicked`);
+            }
+        }),
         genCommand({
             name: "forbid",
             args: "<IP address / player id>",
             desc: "forbid (ban) specified IP or a connected player",
+            role: "moderator",
             /**
              * @param {ServerHandle} context
              */
@@ -718,6 +859,7 @@ module.exports = (commands, chatCommands) => {
             name: "pardon",
             args: "<IP address>",
             desc: "pardon (unban) specified IP",
+            role: "moderator",
             /**
              * @param {ServerHandle} context
              */
@@ -735,6 +877,405 @@ module.exports = (commands, chatCommands) => {
                 handle.settings.listenerForbiddenIPs.splice(index, 1);
                 handle.logger.print(`IP address ${ip} has been pardoned`);
             }
+        }),
+        genCommand({
+            name: "ban",
+            args: "<target> [reason]",
+            desc: "permanently ban an IP address, CIDR range, account:<name> or player id",
+            role: "moderator",
+            /**
+             * @param {ServerHandle} context
+             */
+            exec: (handle, context, args) => {
+                const target = getPunishmentTarget(args, handle, 0);
+                if (target === false)
+                    return;
+                const ban = handle.punishments.add("ban", target, args.slice(1).join(" "), getIssuer(context), null);
+                handle.logger.print(`ban #${ban.id} added on ${target.match} ${target.value}`);
+            }
+        }),
+        genCommand({
+            name: "tempban",
+            args: "<target> <duration> [reason]",
+            desc: "ban a target for a duration such as 30m, 12h or 7d",
+            role: "moderator",
+            /**
+             * @param {ServerHandle} context
+             */
+            exec: (handle, context, args) => {
+                const target = getPunishmentTarget(args, handle, 0);
+                if (target === false)
+                    return;
+                const duration = getDuration(args, handle, 1);
+                if (duration === false)
+                    return;
+                const ban = handle.punishments.add("ban", target, args.slice(2).join(" "), getIssuer(context), duration);
+                handle.logger.print(`ban #${ban.id} added on ${target.match} ${target.value} for ${prettyTime(duration / 1000)}`);
+            }
+        }),
+        genCommand({
+            name: "mute",
+            args: "<target> [duration] [reason]",
+            desc: "stop a target from chatting, permanently if no duration is given",
+            role: "moderator",
+            /**
+             * @param {ServerHandle} context
+             */
+            exec: (handle, context, args) => {
+                const target = getPunishmentTarget(args, handle, 0);
+                if (target === false)
+                    return;
+                let duration = null, reasonIndex = 1;
+                if (args.length > 1 && /^\d+[a-z]$/.test(args[1])) {
+                    if ((duration = getDuration(args, handle, 1)) === false)
+                        return;
+                    reasonIndex = 2;
+                }
+                const mute = handle.punishments.add("mute", target, args.slice(reasonIndex).join(" "), getIssuer(context), duration);
+                handle.logger.print(`mute #${mute.id} added on ${target.match} ${target.value}` +
+                    (duration === null ? "" : ` for ${prettyTime(duration / 1000)}`));
+            }
+        }),
+        genCommand({
+            name: "unban",
+            args: "<punishment id / target>",
+            desc: "lift a ban or mute by its id, or every ban on a target",
+            role: "moderator",
+            /**
+             * @param {ServerHandle} context
+             */
+            exec: (handle, context, args) => {
+                const id = getString(args, handle, 0, "punishment id / target");
+                if (id === false)
+                    return;
+                if (/^\d+$/.test(id)) {
+                    const punishment = handle.punishments.remove(parseInt(id));
+                    if (punishment === null)
+                        return void handle.logger.print("no ban or mute has this id");
+                    return void handle.logger.print(`${punishment.type} #${punishment.id} has been lifted`);
+                }
+                const target = PunishmentList.parseTarget(id);
+                if (target === null)
+                    return void handle.logger.print("invalid target");
+                const removed = handle.punishments.removeTarget("ban", target);
+                if (removed.length === 0)
+                    return void handle.logger.print("target is not banned");
+                handle.logger.print(`lifted ${removed.length} ban${removed.length === 1 ? "" : "s"} on ${target.match} ${target.value}`);
+            }
+        }),
+        genCommand({
+            name: "unmute",
+            args: "<target>",
+            desc: "lift every mute on a target",
+            role: "moderator",
+            /**
+             * @param {ServerHandle} context
+             */
+            exec: (handle, context, args) => {
+                const target = getPunishmentTarget(args, handle, 0);
+                if (target === false)
+                    return;
+                let removed, description;
+                if (/^\d+$/.test(args[0])) {
+                    // a player is muted through their address, a range around it or their account
+                    const router = handle.players[args[0]].router;
+                    removed = handle.punishments.removeMatching("mute", router.remoteAddress,
+                        router.account !== null ? router.account.name : null);
+                    description = `player ${args[0]}`;
+                } else {
+                    removed = handle.punishments.removeTarget("mute", target);
+                    description = `${target.match} ${target.value}`;
+                }
+                if (removed.length === 0)
+                    return void handle.logger.print("target is not muted");
+                handle.logger.print(`lifted ${removed.length} mute${removed.length === 1 ? "" : "s"} on ${description}`);
+            }
+        }),
+        genCommand({
+            name: "banlist",
+            args: "[bans / mutes]",
+            desc: "list active bans and mutes",
+            role: "moderator",
+            /**
+             * @param {ServerHandle} context
+             */
+            exec: (handle, context, args) => {
+                let type;
+                if (args.length > 0) {
+                    if (args[0] === "bans") type = "ban";
+                    else if (args[0] === "mutes") type = "mute";
+                    else return void handle.logger.print("list must be bans or mutes");
+                }
+                const now = Date.now();
+                handle.logger.print(table({
+                    columns: [
+                        { text: "ID",      headPad: " ", emptyPad: "/", rowPad: " ", separated: false },
+                        { text: "TYPE",    headPad: " ", emptyPad: "/", rowPad: " ", separated: true  },
+                        { text: "TARGET",  headPad: " ", emptyPad: "/", rowPad: " ", separated: true  },
+                        { text: "ISSUER",  headPad: " ", emptyPad: "/", rowPad: " ", separated: true  },
+                        { text: "EXPIRES", headPad: " ", emptyPad: "/", rowPad: " ", separated: true  },
+                        { text: "REASON",  headPad: " ", emptyPad: "/", rowPad: " ", separated: true  }
+                    ],
+                    rows: handle.punishments.list(type).map(v => [
+                        v.id.toString(),
+                        v.type,
+                        v.match === "account" ? `account:${v.value}` : v.value,
+                        v.issuer,
+                        v.expires === null ? "never" : `in ${prettyTime((v.expires - now) / 1000)}`,
+                        v.reason
+                    ])
+                }, EOL));
+            }
+        }),
+        genCommand({
+            name: "channels",
+            args: "",
+            desc: "list chat channels, whose messages show up in the web console",
+            role: "moderator",
+            /**
+             * @param {ServerHandle} context
+             */
+            exec: (handle, context, args) => {
+                /** @type {ChatChannel[]} */
+                const channels = [handle.listener.globalChat];
+                for (let id in handle.worlds) {
+                    const world = handle.worlds[id];
+                    channels.push(world.worldChat);
+                    if (world.teamChats)
+                        for (let team in world.teamChats) channels.push(world.teamChats[team]);
+                }
+                handle.logger.print(table({
+                    columns: [
+                        { text: "NAME",    headPad: " ", emptyPad: "/", rowPad: " ", separated: false },
+                        { text: "MEMBERS", headPad: " ", emptyPad: "/", rowPad: " ", separated: true  }
+                    ],
+                    rows: channels.map(v => [v.name, v.connections.length.toString()])
+                }, EOL));
+            }
+        }),
+        genCommand({
+            name: "accounts",
+            args: "",
+            desc: "display information about registered accounts",
+            /**
+             * @param {ServerHandle} context
+             */
+            exec: (handle, context, args) => {
+                const accounts = handle.accounts.list()
+                    .sort((a, b) => a.name.localeCompare(b.name));
+                handle.logger.print(table({
+                    columns: [
+                        { text: "NAME",       headPad: " ", emptyPad: "/", rowPad: " ", separated: false },
+                        { text: "CREATED",    headPad: " ", emptyPad: "/", rowPad: " ", separated: true  },
+                        { text: "LAST LOGIN", headPad: " ", emptyPad: "/", rowPad: " ", separated: false },
+                        { text: "PID",        headPad: " ", emptyPad: "/", rowPad: " ", separated: false }
+                    ],
+                    rows: accounts.map(v => {
+                        const router = handle.accounts.getRouter(v);
+                        return [
+                            v.name,
+                            shortPrettyTime(Date.now() - v.created),
+                            v.lastLogin ? shortPrettyTime(Date.now() - v.lastLogin) : null,
+                            router !== null && router.hasPlayer ? router.player.id.toString() : null
+                        ];
+                    })
+                }, EOL));
+            }
+        }),
+        genCommand({
+            name: "rmaccount",
+            args: "<name>",
+            desc: "delete a registered account, logging it out if it's in use",
+            /**
+             * @param {ServerHandle} context
+             */
+            exec: (handle, context, args) => {
+                const name = getString(args, handle, 0, "account name");
+                if (name === false)
+                    return;
+                if (!handle.accounts.remove(name))
+                    return void handle.logger.print("no account has this name");
+                handle.logger.print(`account ${name} has been deleted`);
+            }
+        }),
+        genCommand({
+            name: "createworld",
+            args: "[preset]",
+            desc: "create a world that stays while empty, using a preset from worldPresets for its settings",
+            /**
+             * @param {ServerHandle} context
+             */
+            exec: (handle, context, args) => {
+                if (!handle.running)
+                    return void handle.logger.print("handle not running");
+                const presets = handle.settings.worldPresets;
+                const preset = args.length >= 1 ? args[0] : null;
+                if (preset !== null && !presets.hasOwnProperty(preset))
+                    return void handle.logger.print(`no preset has this name; available: ${Object.keys(presets).join(", ") || "none"}`);
+                const overrides = preset !== null ? presets[preset] : { };
+                const errors = SettingsSchema.validateOverrides(overrides, handle.settings);
+                if (errors.length > 0)
+                    return void handle.logger.print(errors.join(EOL));
+                const world = handle.createWorld(overrides);
+                world.persistent = true;
+                handle.logger.print(`created world ${world.id}${preset !== null ? ` with preset ${preset}` : ""}`);
+            }
+        }),
+        genCommand({
+            name: "rmworld",
+            args: "<world id>",
+            desc: "remove a world, taking all its players out of it",
+            /**
+             * @param {ServerHandle} context
+             */
+            exec: (handle, context, args) => {
+                const world = getWorldByID(args, handle, 0, false);
+                if (world === false)
+                    return;
+                handle.removeWorld(world.id);
+                handle.logger.print(`removed world ${world.id}`);
+            }
+        }),
+        genCommand({
+            name: "record",
+            args: "<world id> [name]",
+            desc: "start or stop recording a world into a replay file",
+            role: "moderator",
+            /**
+             * @param {ServerHandle} context
+             */
+            exec: (handle, context, args) => {
+                const world = getWorldByID(args, handle, 0, false);
+                if (world === false)
+                    return;
+                if (world.recorder !== null) {
+                    const recorder = world.recorder;
+                    world.stopRecording();
+                    return void handle.logger.print(`stopped recording world ${world.id} ` +
+                        `(${prettyTime(Math.floor(recorder.duration))}, ${recorder.bytes} bytes)`);
+                }
+                const name = args.length >= 2 ? args[1] : `world${world.id}-${Date.now()}`;
+                const file = getReplayPath(handle, name);
+                if (file === null)
+                    return void handle.logger.print("invalid replay name");
+                fs.mkdirSync(path.dirname(file), { recursive: true });
+                world.startRecording(file);
+                handle.logger.print(`recording world ${world.id} as ${name}`);
+            }
+        }),
+        genCommand({
+            name: "replays",
+            args: "",
+            desc: "display all saved replays",
+            role: "viewer",
+            /**
+             * @param {ServerHandle} context
+             */
+            exec: (handle, context, args) => {
+                const directory = path.resolve(handle.settings.replayDirectory);
+                const files = fs.existsSync(directory) ? fs.readdirSync(directory)
+                    .filter(v => v.endsWith(replayExtension))
+                    .map(v => ({ name: v.slice(0, -replayExtension.length), stat: fs.statSync(path.join(directory, v)) }))
+                    .sort((a, b) => b.stat.mtimeMs - a.stat.mtimeMs) : [];
+                handle.logger.print(table({
+                    columns: [
+                        { text: "NAME",     headPad: " ", emptyPad: "/", rowPad: " ", separated: false },
+                        { text: "SIZE",     headPad: " ", emptyPad: "/", rowPad: " ", separated: true  },
+                        { text: "MODIFIED", headPad: " ", emptyPad: "/", rowPad: " ", separated: false }
+                    ],
+                    rows: files.map(v => [
+                        v.name,
+                        `${Math.ceil(v.stat.size / 1024)} KiB`,
+                        shortPrettyTime(Date.now() - Math.floor(v.stat.mtimeMs))
+                    ])
+                }, EOL));
+            }
+        }),
+        genCommand({
+            name: "plugins",
+            args: "",
+            desc: "display all plugins in the plugin directory and what the loaded ones registered",
+            /**
+             * @param {ServerHandle} context
+             */
+            exec: (handle, context, args) => {
+                const names = handle.plugins.scan();
+                for (let name in handle.plugins.loaded)
+                    if (names.indexOf(name) === -1) names.push(name);
+                handle.logger.print(table({
+                    columns: [
+                        { text: "NAME",      headPad: " ", emptyPad: "/", rowPad: " ", separated: false },
+                        { text: "LOADED",    headPad: " ", emptyPad: "/", rowPad: " ", separated: true  },
+                        { text: "COMMANDS",  headPad: " ", emptyPad: "/", rowPad: " ", separated: false },
+                        { text: "GAMEMODES", headPad: " ", emptyPad: "/", rowPad: " ", separated: true  },
+                        { text: "PROTOCOLS", headPad: " ", emptyPad: "/", rowPad: " ", separated: false },
+                        { text: "LISTENERS", headPad: " ", emptyPad: "/", rowPad: " ", separated: false }
+                    ],
+                    rows: names.map(name => {
+                        if (!handle.plugins.loaded.hasOwnProperty(name)) return [name, "no"];
+                        const plugin = handle.plugins.loaded[name].context;
+                        return [
+                            name,
+                            "yes",
+                            (plugin.registeredCommands.length + plugin.registeredChatCommands.length).toString(),
+                            plugin.registeredGamemodes.map(v => v.name).join(", ") || null,
+                            plugin.registeredProtocols.map(v => v.type).join(", ") || null,
+                            plugin.registeredListeners.length.toString()
+                        ];
+                    })
+                }, EOL));
+            }
+        }),
+        genCommand({
+            name: "loadplugin",
+            args: "<name>",
+            desc: "load a plugin from the plugin directory",
+            /**
+             * @param {ServerHandle} context
+             */
+            exec: (handle, context, args) => {
+                const name = getString(args, handle, 0, "plugin name");
+                if (name === false)
+                    return;
+                const error = handle.plugins.load(name);
+                if (error !== null)
+                    return void handle.logger.print(`failed to load plugin ${name}: ${error}`);
+                handle.logger.print(`plugin ${name} has been loaded`);
+            }
+        }),
+        genCommand({
+            name: "unloadplugin",
+            args: "<name>",
+            desc: "unload a plugin, removing everything it registered",
+            /**
+             * @param {ServerHandle} context
+             */
+            exec: (handle, context, args) => {
+                const name = getString(args, handle, 0, "plugin name");
+                if (name === false)
+                    return;
+                const error = handle.plugins.unload(name);
+                if (error !== null)
+                    return void handle.logger.print(`failed to unload plugin ${name}: ${error}`);
+                handle.logger.print(`plugin ${name} has been unloaded`);
+            }
+        }),
+        genCommand({
+            name: "reloadplugin",
+            args: "<name>",
+            desc: "unload a plugin and load it again from disk",
+            /**
+             * @param {ServerHandle} context
+             */
+            exec: (handle, context, args) => {
+                const name = getString(args, handle, 0, "plugin name");
+                if (name === false)
+                    return;
+                const error = handle.plugins.reload(name);
+                if (error !== null)
+                    return void handle.logger.print(`failed to reload plugin ${name}: ${error}`);
+                handle.logger.print(`plugin ${name} has been reloaded`);
+            }
         })
     );
     chatCommands.register(
@@ -869,6 +1410,185 @@ module.exports = (commands, chatCommands) => {
                     return void chat.directMessage(null, context, "you can't join this world");
                 handle.worlds[id].addPlayer(context.player);
             }
+        }),
+        genCommand({
+            name: "msg",
+            args: "<id> <message>",
+            desc: "privately message another player",
+            /**
+             * @param {Connection} context
+             */
+            exec: (handle, context, args) => {
+                const chat = handle.listener.globalChat;
+                if (args.length < 2)
+                    return void chat.directMessage(null, context, "missing player id or message");
+                const id = parseInt(args[0]);
+                if (isNaN(id) || !handle.players.hasOwnProperty(id))
+                    return void chat.directMessage(null, context, "no player has this id");
+                const recipient = handle.players[id].router;
+                if (!recipient.isExternal || !recipient.protocol)
+                    return void chat.directMessage(null, context, "this player can't receive messages");
+                if (recipient === context)
+                    return void chat.directMessage(null, context, "you can't message yourself");
+                const now = Date.now();
+                if (now - (lastWhisperTimes.get(context) || 0) < handle.settings.chatCooldown)
+                    return void chat.directMessage(null, context, "you're sending messages too fast");
+                const message = args.slice(1).join(" ");
+                if (!chat.directMessage(context, recipient, `[whisper] ${message}`)) return;
+                lastWhisperTimes.set(context, now);
+                chat.directMessage(null, context, `to ${handle.players[id].chatName || `player ${id}`}: ${message}`);
+            }
+        }),
+        genCommand({
+            name: "channel",
+            args: "[global | world | team]",
+            desc: "choose the channel your chat messages go to",
+            /**
+             * @param {Connection} context
+             */
+            exec: (handle, context, args) => {
+                const chat = handle.listener.globalChat;
+                if (args.length < 1)
+                    return void chat.directMessage(null, context, `you're chatting in the ${context.defaultChannel} channel`);
+                const type = args[0].toLowerCase();
+                if (chatChannelTypes.indexOf(type) === -1)
+                    return void chat.directMessage(null, context, `channel must be one of ${chatChannelTypes.join(", ")}`);
+                if (handle.listener.getChatChannel(context, type) === null)
+                    return void chat.directMessage(null, context, `you're not in a ${type} channel`);
+                context.defaultChannel = type;
+                chat.directMessage(null, context, `you're now chatting in the ${type} channel`);
+            }
+        }),
+        genCommand({
+            name: "stats",
+            args: "[id]",
+            desc: "display your or another player's statistics",
+            /**
+             * @param {Connection} context
+             */
+            exec: (handle, context, args) => {
+                const chat = handle.listener.globalChat;
+                let player = context.hasPlayer ? context.player : null;
+                if (args.length >= 1) {
+                    const id = parseInt(args[0]);
+                    if (isNaN(id) || !handle.players.hasOwnProperty(id))
+                        return void chat.directMessage(null, context, "no player has this id");
+                    player = handle.players[id];
+                }
+                if (player === null)
+                    return void chat.directMessage(null, context, "you don't have a player associated with yourself");
+                chat.directMessage(null, context, `session: ${formatPlayerStats(player.stats.session)}`);
+                const lifetime = player.stats.lifetime;
+                if (lifetime !== null)
+                    chat.directMessage(null, context, `lifetime (${player.router.account.name}): ${formatPlayerStats(lifetime)}`);
+            }
+        }),
+        genCommand({
+            name: "register",
+            args: "<name> <password>",
+            desc: "register an account and log into it",
+            sensitive: true,
+            /**
+             * @param {Connection} context
+             */
+            exec: (handle, context, args) => {
+                if (args.length < 2)
+                    return void handle.listener.globalChat.directMessage(null, context, "missing name or password");
+                context.onAccountRequest(args[0], args.slice(1).join(" "), true);
+            }
+        }),
+        genCommand({
+            name: "login",
+            args: "<name> <password>",
+            desc: "log into your account",
+            sensitive: true,
+            /**
+             * @param {Connection} context
+             */
+            exec: (handle, context, args) => {
+                if (args.length < 2)
+                    return void handle.listener.globalChat.directMessage(null, context, "missing name or password");
+                context.onAccountRequest(args[0], args.slice(1).join(" "), false);
+            }
+        }),
+        genCommand({
+            name: "logout",
+            args: "",
+            desc: "log out of your account",
+            /**
+             * @param {Connection} context
+             */
+            exec: (handle, context, args) => {
+                const chat = handle.listener.globalChat;
+                if (!handle.accounts.logout(context))
+                    return void chat.directMessage(null, context, "you're not logged in");
+                chat.directMessage(null, context, "logged out");
+            }
+        }),
+        genCommand({
+            name: "replay",
+            args: "<name | pause | resume | seek <seconds> | speed <multiplier> | stop>",
+            desc: "watch a recorded replay and control its playback",
+            /**
+             * @param {Connection} context
+             */
+            exec: (handle, context, args) => {
+                const chat = handle.listener.globalChat;
+                if (args.length < 1)
+                    return void chat.directMessage(null, context, "missing replay name or action");
+                const router = getReplayRouter(context);
+                let value;
+                switch (args[0]) {
+                    case "pause":
+                    case "resume":
+                    case "seek":
+                    case "speed":
+                    case "stop":
+                        if (router === null)
+                            return void chat.directMessage(null, context, "you aren't watching a replay");
+                        break;
+                    default:
+                        if (router !== null || loadingReplays.has(context))
+                            return void chat.directMessage(null, context, "you are already watching a replay");
+                        if (!context.hasPlayer)
+                            return void chat.directMessage(null, context, "you don't have a player associated with yourself");
+                        const file = getReplayPath(handle, args[0]);
+                        if (file === null || !fs.existsSync(file))
+                            return void chat.directMessage(null, context, "no replay has this name");
+                        loadingReplays.add(context);
+                        return void Replay.fromFile(file, handle.settings.replayMaxSize, (error, replay) => {
+                            loadingReplays.delete(context);
+                            if (context.disconnected || !context.hasPlayer || getReplayRouter(context) !== null) return;
+                            if (error !== null)
+                                return void chat.directMessage(null, context, `failed to load replay: ${error.message}`);
+                            new ReplayRouter(context, replay);
+                            chat.directMessage(null, context, `watching ${args[0]} (${prettyTime(Math.floor(replay.duration))})`);
+                        });
+                }
+                switch (args[0]) {
+                    case "pause":
+                        router.pause();
+                        return void chat.directMessage(null, context, `paused at ${prettyTime(Math.floor(router.replay.time))}`);
+                    case "resume":
+                        router.resume();
+                        return void chat.directMessage(null, context, "resumed");
+                    case "seek":
+                        value = parseFloat(args[1]);
+                        if (isNaN(value) || value < 0)
+                            return void chat.directMessage(null, context, "invalid number for seconds");
+                        router.seek(Math.floor(value * 1000 / router.replay.tickDelay));
+                        return void chat.directMessage(null, context, `seeked to ${prettyTime(Math.floor(router.replay.time))}`);
+                    case "speed":
+                        value = parseFloat(args[1]);
+                        if (isNaN(value) || value <= 0 || value > 16)
+                            return void chat.directMessage(null, context, "speed multiplier must be between 0 and 16");
+                        router.setSpeed(value);
+                        return void chat.directMessage(null, context, `playback speed set to ${value}x`);
+                    case "stop":
+                        router.stop();
+                        return void chat.directMessage(null, context, "stopped watching the replay");
+                }
+            }
         })
     );
 };
@@ -876,3 +1596,4 @@ module.exports = (commands, chatCommands) => {
 const { CommandList } = require("./CommandList");
 const ServerHandle = require("../ServerHandle");
 const Connection = require("../sockets/Connection");
+const ChatChannel = require("../sockets/ChatChannel");
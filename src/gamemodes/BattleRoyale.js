@@ -0,0 +1,301 @@
+const FFA = require("./FFA");
+const LastManStanding = require("./LastManStanding");
+
+/** settings scaled down with the border's area as it shrinks */
+const densitySettings = ["pelletCount", "virusMinCount", "virusMaxCount"];
+
+/**
+ * @param {Rect} a
+ * @param {Rect} b
+ * @param {number} t
+ * @returns {Rect}
+ */
+function lerpRect(a, b, t) {
+    return {
+        x: a.x + (b.x - a.x) * t,
+        y: a.y + (b.y - a.y) * t,
+        w: a.w + (b.w - a.w) * t,
+        h: a.h + (b.h - a.h) * t
+    };
+}
+/**
+ * @param {Rect} range
+ * @param {number} margin
+ * @param {Rect} bounds
+ * @returns {Rect} the range grown by the margin, cut down to fit inside the bounds
+ */
+function growWithin(range, margin, bounds) {
+    const left = Math.max(range.x - range.w - margin, bounds.x - bounds.w);
+    const right = Math.min(range.x + range.w + margin, bounds.x + bounds.w);
+    const top = Math.max(range.y - range.h - margin, bounds.y - bounds.h);
+    const bottom = Math.min(range.y + range.h + margin, bounds.y + bounds.h);
+    return { x: (left + right) / 2, y: (top + bottom) / 2, w: (right - left) / 2, h: (bottom - top) / 2 };
+}
+
+/**
+ * Last Man Standing in rounds: players queue up in a lobby, then fight while the safe zone shrinks
+ * and cells outside of it lose mass until one player is left
+ */
+class BattleRoyale extends LastManStanding {
+    static get name() { return "Battle Royale"; }
+    static get type() { return 0; }
+
+    /**
+     * @param {World} world
+     * @returns {number} seconds since the world's round entered its current phase
+     */
+    getPhaseTime(world) {
+        return (this.handle.tick - world.royale.phaseStart) * this.handle.tickDelay / 1000;
+    }
+    /**
+     * @param {World} world
+     * @param {RoyalePhase} phase
+     */
+    setPhase(world, phase) {
+        world.royale.phase = phase;
+        world.royale.phaseStart = this.handle.tick;
+    }
+
+    /**
+     * @param {World} world
+     */
+    canJoinWorld(world) {
+        return !world.frozen && world.royale.phase === "lobby";
+    }
+    /**
+     * @param {World} world
+     */
+    onNewWorld(world) {
+        super.onNewWorld(world);
+        /** @type {Partial<Settings>} */
+        const ownDensity = { };
+        for (let i = 0, l = densitySettings.length; i < l; i++)
+            if (world.overrides.hasOwnProperty(densitySettings[i]))
+                ownDensity[densitySettings[i]] = world.overrides[densitySettings[i]];
+        /** @type {RoyaleState} */
+        world.royale = {
+            phase: "lobby",
+            phaseStart: this.handle.tick,
+            countdown: false,
+            queued: new Map(),
+            playing: 0,
+            map: { x: world.border.x, y: world.border.y, w: world.border.w, h: world.border.h },
+            fromZone: null,
+            toZone: null,
+            zone: null,
+            shrinking: false,
+            lastBorderUpdate: 0,
+            ownDensity: ownDensity,
+            winner: null
+        };
+    }
+    /**
+     * @param {Player} player
+     * @param {World} world
+     */
+    onPlayerLeaveWorld(player, world) {
+        world.royale.queued.delete(player);
+    }
+    /**
+     * @param {Player} player
+     * @param {string} name
+     * @param {string} skin
+     */
+    onPlayerSpawnRequest(player, name, skin) {
+        if (player.state === 0 || !player.hasWorld) return;
+        const royale = player.world.royale;
+        if (royale.phase === "lobby") {
+            if (!royale.queued.has(player) && player.router.isExternal)
+                this.handle.listener.globalChat.directMessage(null, player.router, "You will spawn once the round starts.");
+            royale.queued.set(player, { name: name, skin: skin });
+            return;
+        }
+        if (royale.phase === "running")
+            super.onPlayerSpawnRequest(player, name, skin);
+    }
+
+    /**
+     * @param {World} world
+     */
+    onWorldTick(world) {
+        switch (world.royale.phase) {
+            case "lobby": this.updateLobby(world); break;
+            case "running": this.updateRound(world); break;
+            case "ended":
+                if (this.getPhaseTime(world) >= world.settings.royaleResetDelay)
+                    this.resetRound(world);
+                break;
+        }
+    }
+    /**
+     * @param {World} world
+     */
+    updateLobby(world) {
+        const royale = world.royale;
+        const settings = world.settings;
+        let ready = 0;
+        for (let player of royale.queued.keys())
+            if (player.router.isExternal) ready++;
+        if (ready < settings.royaleMinPlayers) {
+            if (royale.countdown)
+                world.worldChat.send(null, "Not enough players are left, the countdown has stopped.");
+            royale.countdown = false;
+            return;
+        }
+        if (!royale.countdown) {
+            royale.countdown = true;
+            this.setPhase(world, "lobby");
+            world.worldChat.send(null, `The round starts in ${settings.royaleLobbyTime} seconds.`);
+        }
+        if (this.getPhaseTime(world) >= settings.royaleLobbyTime)
+            this.startRound(world);
+    }
+    /**
+     * @param {World} world
+     */
+    startRound(world) {
+        const royale = world.royale;
+        const settings = world.settings;
+        this.setPhase(world, "running");
+        royale.countdown = false;
+        for (let i = 0, l = world.players.length; i < l; i++)
+            if (world.players[i].router.isExternal) world.players[i].life = 1;
+        for (let [player, request] of royale.queued)
+            FFA.prototype.onPlayerSpawnRequest.call(this, player, request.name, request.skin);
+        royale.queued.clear();
+        royale.playing = world.players.filter(v => v.router.isExternal && v.state === 0).length;
+
+        const map = royale.map;
+        const w = Math.min(settings.royaleFinalSize, map.w);
+        const h = Math.min(settings.royaleFinalSize, map.h);
+        royale.fromZone = Object.assign({ }, map);
+        royale.toZone = {
+            x: map.x + (world.random.next() * 2 - 1) * (map.w - w),
+            y: map.y + (world.random.next() * 2 - 1) * (map.h - h),
+            w: w,
+            h: h
+        };
+        royale.zone = Object.assign({ }, map);
+        royale.shrinking = false;
+        world.worldChat.send(null, `The round has started, the safe zone shrinks in ${settings.royaleShrinkDelay} seconds.`);
+    }
+    /**
+     * @param {World} world
+     */
+    updateRound(world) {
+        const royale = world.royale;
+        const settings = world.settings;
+        const shrinkTime = this.getPhaseTime(world) - settings.royaleShrinkDelay;
+        if (shrinkTime >= 0) {
+            if (!royale.shrinking) {
+                royale.shrinking = true;
+                world.worldChat.send(null, "The safe zone is shrinking, cells outside of it lose mass!");
+            }
+            royale.zone = lerpRect(royale.fromZone, royale.toZone, Math.min(shrinkTime / settings.royaleShrinkTime, 1));
+            if (this.handle.tick - royale.lastBorderUpdate >= settings.serverFrequency)
+                this.updateBorder(world);
+            this.damageOutsideZone(world);
+        }
+
+        const alive = world.players.filter(v => v.router.isExternal && v.state === 0);
+        if (alive.length === 0 || alive.length === 1 && royale.playing > 1)
+            this.endRound(world, alive.length === 1 ? alive[0] : null);
+    }
+    /**
+     * Shrinks the border along with the zone and thins out pellets and viruses to match
+     * @param {World} world
+     */
+    updateBorder(world) {
+        const royale = world.royale;
+        royale.lastBorderUpdate = this.handle.tick;
+        const border = growWithin(royale.zone, world.settings.royaleBorderMargin, royale.map);
+        if (border.x === world.border.x && border.y === world.border.y && border.w === world.border.w && border.h === world.border.h)
+            return;
+        world.setBorder(border);
+        const ratio = (border.w * border.h) / (royale.map.w * royale.map.h);
+        /** @type {Partial<Settings>} */
+        const overrides = { };
+        for (let i = 0, l = densitySettings.length; i < l; i++) {
+            const name = densitySettings[i];
+            const base = royale.ownDensity.hasOwnProperty(name) ? royale.ownDensity[name] : this.handle.settings[name];
+            overrides[name] = Math.round(base * ratio);
+        }
+        world.setOverrides(overrides);
+    }
+    /**
+     * Cells outside the zone lose a share of their mass, cells at the minimum size shrink further until they vanish
+     * @param {World} world
+     */
+    damageOutsideZone(world) {
+        const zone = world.royale.zone;
+        const settings = world.settings;
+        const damage = settings.royaleZoneDamage * this.handle.tickDelay / 1000;
+        const minSquareSize = settings.playerMinSize * settings.playerMinSize;
+        const cells = world.playerCells.slice();
+        for (let i = 0, l = cells.length; i < l; i++) {
+            const cell = cells[i];
+            if (Math.abs(cell.x - zone.x) <= zone.w && Math.abs(cell.y - zone.y) <= zone.h) continue;
+            const squareSize = cell.squareSize - Math.max(cell.squareSize, minSquareSize) * damage;
+            if (squareSize <= 0) { world.removeCell(cell); continue; }
+            cell.squareSize = squareSize;
+            world.updateCell(cell);
+        }
+    }
+    /**
+     * @param {World} world
+     * @param {Player} winner null if nobody survived
+     */
+    endRound(world, winner) {
+        world.royale.winner = winner !== null ? winner.leaderboardName || "An unnamed cell" : null;
+        this.setPhase(world, "ended");
+        this.handle.listener.globalChat.send(null, winner !== null ?
+            `${world.royale.winner} won the battle royale in world ${world.id}!` :
+            `Nobody survived the battle royale in world ${world.id}.`);
+    }
+    /**
+     * @param {World} world
+     */
+    resetRound(world) {
+        const royale = world.royale;
+        while (world.playerCells.length > 0)
+            world.removeCell(world.playerCells[0]);
+        world.setBorder(Object.assign({ }, royale.map));
+        // the scaled down values go, so the handle's settings reach the world again
+        world.removeOverrides(densitySettings);
+        world.setOverrides(royale.ownDensity);
+        for (let i = 0, l = world.players.length; i < l; i++)
+            if (world.players[i].router.isExternal) world.players[i].life = 0;
+        royale.zone = royale.fromZone = royale.toZone = null;
+        royale.winner = null;
+        this.setPhase(world, "lobby");
+        world.worldChat.send(null, "A new round is about to begin, press play to join it.");
+    }
+
+    /**
+     * @param {Connection} connection
+     */
+    sendLeaderboard(connection) {
+        if (!connection.hasPlayer || !connection.player.hasWorld) return;
+        const world = connection.player.world;
+        const royale = world.royale;
+        if (royale.phase === "running") return void super.sendLeaderboard(connection);
+        const lines = ["Battle Royale"];
+        if (royale.phase === "ended")
+            lines.push(royale.winner !== null ? `Winner: ${royale.winner}` : "Nobody won");
+        else if (royale.countdown)
+            lines.push(`Starting in ${Math.ceil(world.settings.royaleLobbyTime - this.getPhaseTime(world))}s`);
+        else {
+            let ready = 0;
+            for (let player of royale.queued.keys())
+                if (player.router.isExternal) ready++;
+            lines.push(`${ready}/${world.settings.royaleMinPlayers} players ready`);
+        }
+        connection.protocol.onLeaderboardUpdate("text", lines);
+    }
+}
+
+module.exports = BattleRoyale;
+
+const World = require("../worlds/World");
+const Player = require("../worlds/Player");
+const Connection = require("../sockets/Connection");
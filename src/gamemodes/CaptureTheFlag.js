@@ -0,0 +1,203 @@
+const Teams = require("./Teams");
+const Flag = require("../cells/Flag");
+
+const teamColors = Teams.teamColors;
+const teamNames = Teams.teamNames;
+
+/**
+ * Teams where every team keeps a flag in its base, stealing an enemy flag and bringing it home scores
+ */
+class CaptureTheFlag extends Teams {
+    static get name() { return "Capture the Flag"; }
+    static get type() { return 2; }
+
+    /**
+     * @param {World} world
+     */
+    onNewWorld(world) {
+        super.onNewWorld(world);
+        /** @type {CTFState} */
+        world.ctf = { scores: [], flags: [] };
+        const size = world.settings.ctfBaseSize;
+        for (let i = 0, l = teamColors.length; i < l; i++) {
+            const angle = 2 * Math.PI * i / l;
+            const base = {
+                x: world.border.x + Math.sin(angle) * (world.border.w - size),
+                y: world.border.y - Math.cos(angle) * (world.border.h - size),
+                w: size,
+                h: size
+            };
+            world.ctf.scores.push(0);
+            world.ctf.flags.push(this.createFlag(world, i, base));
+        }
+    }
+    /**
+     * @param {World} world
+     * @param {number} team
+     * @param {Rect} base
+     */
+    createFlag(world, team, base) {
+        const flag = new Flag(world, team, base, teamColors[team], `${teamNames[team]} flag`);
+        world.addCell(flag);
+        return flag;
+    }
+
+    /**
+     * @param {Player} player
+     * @param {World} world
+     * @returns {Flag} the flag the player is carrying, null if there's none
+     */
+    getCarriedFlag(player, world) {
+        const flags = world.ctf.flags;
+        for (let i = 0, l = flags.length; i < l; i++)
+            if (flags[i].carrier === player) return flags[i];
+        return null;
+    }
+    /**
+     * @param {World} world
+     * @param {Flag} flag
+     * @param {Point} pos
+     */
+    dropFlag(world, flag, pos) {
+        flag.carrier = null;
+        flag.droppedTick = this.handle.tick;
+        flag.x = pos.x;
+        flag.y = pos.y;
+        world.updateCell(flag);
+        world.worldChat.send(null, `The ${teamNames[flag.team]} flag was dropped.`);
+    }
+    /**
+     * @param {World} world
+     * @param {Flag} flag
+     */
+    returnFlag(world, flag) {
+        flag.carrier = null;
+        flag.droppedTick = NaN;
+        flag.x = flag.base.x;
+        flag.y = flag.base.y;
+        world.updateCell(flag);
+    }
+
+    /**
+     * @param {World} world
+     */
+    onWorldTick(world) {
+        const flags = world.ctf.flags;
+        for (let i = 0, l = flags.length; i < l; i++) {
+            // a border change can remove flags that ended up outside of it
+            if (!flags[i].exists) flags[i] = this.createFlag(world, i, flags[i].base);
+            if (flags[i].carrier !== null) this.updateCarriedFlag(world, flags[i]);
+            else this.updateLyingFlag(world, flags[i]);
+        }
+    }
+    /**
+     * @param {World} world
+     * @param {Flag} flag
+     */
+    updateCarriedFlag(world, flag) {
+        const carrier = flag.carrier;
+        if (carrier.world !== world || carrier.team === null || carrier.ownedCells.length === 0)
+            return void this.dropFlag(world, flag, flag);
+        let largest = carrier.ownedCells[0];
+        for (let i = 1, l = carrier.ownedCells.length; i < l; i++)
+            if (carrier.ownedCells[i].size > largest.size) largest = carrier.ownedCells[i];
+        flag.x = largest.x;
+        flag.y = largest.y;
+        world.updateCell(flag);
+
+        const home = world.ctf.flags[carrier.team].base;
+        if (Math.abs(flag.x - home.x) > home.w || Math.abs(flag.y - home.y) > home.h) return;
+        const score = ++world.ctf.scores[carrier.team];
+        this.returnFlag(world, flag);
+        world.worldChat.send(null, `${carrier.leaderboardName || "An unnamed cell"} captured the ${teamNames[flag.team]} flag, ` +
+            `${teamNames[carrier.team]} now has ${score}!`);
+    }
+    /**
+     * @param {World} world
+     * @param {Flag} flag
+     */
+    updateLyingFlag(world, flag) {
+        if (!flag.isAtBase &&
+            (this.handle.tick - flag.droppedTick) * this.handle.tickDelay / 1000 >= world.settings.ctfFlagReturnTime) {
+            this.returnFlag(world, flag);
+            return void world.worldChat.send(null, `The ${teamNames[flag.team]} flag went back to its base.`);
+        }
+        /** @type {Player} */
+        let toucher = null;
+        world.finder.search(flag.range, (other) => {
+            if (toucher !== null || other.type !== 0 || other.owner.team === null) return;
+            if (other.owner.team === flag.team ? flag.isAtBase : this.getCarriedFlag(other.owner, world) !== null) return;
+            const dx = other.x - flag.x;
+            const dy = other.y - flag.y;
+            if (dx * dx + dy * dy <= other.size * other.size) toucher = other.owner;
+        });
+        if (toucher === null) return;
+        const name = toucher.leaderboardName || "An unnamed cell";
+        if (toucher.team === flag.team) {
+            this.returnFlag(world, flag);
+            world.worldChat.send(null, `${name} returned the ${teamNames[flag.team]} flag.`);
+        } else {
+            flag.carrier = toucher;
+            flag.droppedTick = NaN;
+            world.worldChat.send(null, `${name} took the ${teamNames[flag.team]} flag!`);
+        }
+    }
+
+    /**
+     * @param {Player} player
+     * @param {number} size
+     */
+    getSpawnPos(player, size) {
+        if (player.team === null) return super.getSpawnPos(player, size);
+        const world = player.world;
+        const base = world.ctf.flags[player.team].base;
+        return {
+            x: base.x + (world.random.next() * 2 - 1) * Math.max(base.w - size, 0),
+            y: base.y + (world.random.next() * 2 - 1) * Math.max(base.h - size, 0)
+        };
+    }
+    /**
+     * @param {Cell} a
+     * @param {Cell} b
+     */
+    canEat(a, b) {
+        return a.type !== 5 && b.type !== 5;
+    }
+    /**
+     * @param {PlayerCell} cell
+     */
+    getMoveMult(cell) {
+        const mult = super.getMoveMult(cell);
+        return this.getCarriedFlag(cell.owner, cell.world) !== null ? mult * cell.world.settings.ctfCarrierSpeedMult : mult;
+    }
+    /**
+     * @param {Cell} cell
+     */
+    onCellRemove(cell) {
+        if (cell.type !== 0 || cell.eatenBy === null) return;
+        // merging with its own cells isn't getting eaten
+        if (cell.eatenBy.type === 0 && cell.eatenBy.owner === cell.owner) return;
+        const flag = this.getCarriedFlag(cell.owner, cell.world);
+        if (flag !== null) this.dropFlag(cell.world, flag, cell);
+    }
+
+    /**
+     * @param {Connection} connection
+     */
+    sendLeaderboard(connection) {
+        if (!connection.hasPlayer || !connection.player.hasWorld) return;
+        const ctf = connection.player.world.ctf;
+        const lines = [];
+        for (let i = 0, l = ctf.scores.length; i < l; i++)
+            lines.push(`${teamNames[i]}: ${ctf.scores[i]}${ctf.flags[i].carrier !== null ? " (flag taken)" : ""}`);
+        connection.protocol.onLeaderboardUpdate("text", lines);
+    }
+}
+
+module.exports = CaptureTheFlag;
+
+const World = require("../worlds/World");
+const Player = require("../worlds/Player");
+const Cell = require("../cells/Cell");
+const PlayerCell = require("../cells/PlayerCell");
+const Connection = require("../sockets/Connection");
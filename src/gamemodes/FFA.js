@@ -36,11 +36,12 @@ class FFA extends Gamemode {
      */
     onPlayerSpawnRequest(player, name, skin) {
         if (player.state === 0 || !player.hasWorld) return;
+        name = this.handle.chatFilter.check(player.router, name, "name") || "";
         const size = player.router.type === "minion" ?
-             this.handle.settings.minionSpawnSize :
-             this.handle.settings.playerSpawnSize;
+             player.world.settings.minionSpawnSize :
+             player.world.settings.playerSpawnSize;
         const spawnInfo = player.world.getPlayerSpawn(size);
-        const color = spawnInfo.color || Misc.randomColor();
+        const color = spawnInfo.color || Misc.randomColor(player.world.random);
         player.cellName = player.chatName = player.leaderboardName = name;
         player.cellSkin = skin;
         player.chatColor = player.cellColor = color;
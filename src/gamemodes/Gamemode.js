@@ -72,6 +72,8 @@ class Gamemode {
     canEat(a, b) { return true; }
     /** @param {PlayerCell} cell @virtual */
     getDecayMult(cell) { return cell.world.settings.playerDecayMult; }
+    /** @param {PlayerCell} cell @virtual */
+    getMoveMult(cell) { return cell.world.settings.playerMoveMult; }
     /** @param {Cell} cell @virtual */
     onCellRemove(cell) { }
 }
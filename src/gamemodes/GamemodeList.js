@@ -19,6 +19,14 @@ class GamemodeList {
             this.store[next.name] = next;
         }
     }
+    /**
+     * @param {typeof Gamemode} gamemode
+     */
+    remove(gamemode) {
+        if (this.store[gamemode.name] !== gamemode) return false;
+        delete this.store[gamemode.name];
+        return true;
+    }
 
     /**
      * @param {string} name
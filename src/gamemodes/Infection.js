@@ -0,0 +1,167 @@
+const Teams = require("./Teams");
+
+const survivors = 0;
+const infected = 1;
+
+/**
+ * Teams where one survivor turns into the infected, and every survivor the infected eat joins them
+ */
+class Infection extends Teams {
+    static get name() { return "Infection"; }
+    static get type() { return 2; }
+
+    /**
+     * @param {World} world
+     * @returns {number} seconds since the world's round entered its current phase
+     */
+    getPhaseTime(world) {
+        return (this.handle.tick - world.infection.phaseStart) * this.handle.tickDelay / 1000;
+    }
+    /**
+     * @param {World} world
+     * @param {InfectionPhase} phase
+     */
+    setPhase(world, phase) {
+        world.infection.phase = phase;
+        world.infection.phaseStart = this.handle.tick;
+    }
+
+    /**
+     * @param {World} world
+     */
+    onNewWorld(world) {
+        super.onNewWorld(world);
+        /** @type {InfectionState} */
+        world.infection = {
+            phase: "waiting",
+            phaseStart: this.handle.tick
+        };
+    }
+    /**
+     * Players arriving mid-round start out infected
+     * @param {Player} player
+     * @param {World} world
+     */
+    onPlayerJoinWorld(player, world) {
+        if (!player.router.separateInTeams) return;
+        this.setTeam(player, world, world.infection.phase === "running" ? infected : survivors);
+    }
+
+    /**
+     * @param {World} world
+     */
+    onWorldTick(world) {
+        const settings = world.settings;
+        switch (world.infection.phase) {
+            case "waiting": {
+                const playing = world.teams[survivors].filter(v => v.ownedCells.length > 0);
+                if (playing.length < settings.infectionMinPlayers)
+                    return void this.setPhase(world, "waiting");
+                if (this.getPhaseTime(world) >= settings.infectionStartDelay)
+                    this.startRound(world, playing[world.random.nextInt(playing.length)]);
+                break;
+            }
+            case "running": {
+                const alive = world.teams[survivors].filter(v => v.ownedCells.length > 0).length;
+                if (alive === 0)
+                    this.endRound(world, "Everyone has been infected!");
+                else if (world.teams[infected].length === 0)
+                    this.endRound(world, "The infection has died out, the survivors win!");
+                else if (this.getPhaseTime(world) >= settings.infectionRoundTime)
+                    this.endRound(world, `The survivors held out, ${alive} made it!`);
+                break;
+            }
+            case "ended":
+                if (this.getPhaseTime(world) >= settings.infectionResetDelay)
+                    this.resetRound(world);
+                break;
+        }
+    }
+    /**
+     * @param {World} world
+     * @param {Player} patientZero
+     */
+    startRound(world, patientZero) {
+        this.setPhase(world, "running");
+        this.setTeam(patientZero, world, infected);
+        world.worldChat.send(null, `${patientZero.leaderboardName || "An unnamed cell"} is infected, run!`);
+    }
+    /**
+     * @param {World} world
+     * @param {string} message
+     */
+    endRound(world, message) {
+        this.setPhase(world, "ended");
+        world.worldChat.send(null, message);
+    }
+    /**
+     * @param {World} world
+     */
+    resetRound(world) {
+        while (world.playerCells.length > 0)
+            world.removeCell(world.playerCells[0]);
+        for (let i = 0, l = world.players.length; i < l; i++) {
+            const player = world.players[i];
+            if (player.team === infected) this.setTeam(player, world, survivors);
+        }
+        this.setPhase(world, "waiting");
+        world.worldChat.send(null, "A new round is about to begin, press play to join it.");
+    }
+
+    /**
+     * @param {Cell} cell
+     */
+    onCellRemove(cell) {
+        if (cell.type !== 0 || cell.eatenBy === null || cell.eatenBy.type !== 0) return;
+        const player = cell.owner;
+        // the cell is still counted among the owned ones here
+        if (player.team !== survivors || cell.eatenBy.owner.team !== infected || player.ownedCells.length > 1) return;
+        this.setTeam(player, cell.world, infected);
+        cell.world.worldChat.send(null, `${player.leaderboardName || "An unnamed cell"} got infected.`);
+    }
+    /**
+     * @param {Cell} a
+     * @param {Cell} b
+     */
+    canEat(a, b) {
+        return b.type !== 1 || a.type !== 0 || a.owner.team !== infected;
+    }
+    /**
+     * @param {PlayerCell} cell
+     */
+    getMoveMult(cell) {
+        const mult = super.getMoveMult(cell);
+        return cell.owner.team === infected ? mult * cell.world.settings.infectionSpeedMult : mult;
+    }
+
+    /**
+     * @param {World} world
+     */
+    compileLeaderboard(world) {
+        world.leaderboard = [
+            `Survivors: ${world.teams[survivors].length}`,
+            `Infected: ${world.teams[infected].length}`
+        ];
+    }
+    /**
+     * @param {Connection} connection
+     */
+    sendLeaderboard(connection) {
+        if (!connection.hasPlayer || !connection.player.hasWorld) return;
+        const world = connection.player.world;
+        const lines = world.leaderboard.slice(0);
+        if (world.infection.phase === "running")
+            lines.push(`${Math.ceil(world.settings.infectionRoundTime - this.getPhaseTime(world))}s left`);
+        else if (world.infection.phase === "waiting")
+            lines.push(`Waiting for ${world.settings.infectionMinPlayers} players`);
+        connection.protocol.onLeaderboardUpdate("text", lines);
+    }
+}
+
+module.exports = Infection;
+
+const World = require("../worlds/World");
+const Player = require("../worlds/Player");
+const Cell = require("../cells/Cell");
+const PlayerCell = require("../cells/PlayerCell");
+const Connection = require("../sockets/Connection");
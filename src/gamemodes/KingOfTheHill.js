@@ -0,0 +1,151 @@
+const FFA = require("./FFA");
+const HillMarker = require("../cells/HillMarker");
+
+/**
+ * FFA where the player holding the majority of mass on the hill scores, the hill moves every so often
+ */
+class KingOfTheHill extends FFA {
+    static get name() { return "King of the Hill"; }
+    static get type() { return 0; }
+
+    /**
+     * Hill mechanics are static so Team King of the Hill can share them
+     * @param {World} world
+     */
+    static createHill(world) {
+        /** @type {HillState<any>} */
+        world.hill = {
+            x: NaN,
+            y: NaN,
+            movedTick: NaN,
+            marker: null,
+            holder: null,
+            points: new Map()
+        };
+        KingOfTheHill.moveHill(world);
+    }
+    /**
+     * @param {World} world
+     */
+    static moveHill(world) {
+        const hill = world.hill;
+        const border = world.border;
+        const radius = Math.min(world.settings.kothHillRadius, border.w, border.h);
+        hill.x = border.x + (world.random.next() * 2 - 1) * (border.w - radius);
+        hill.y = border.y + (world.random.next() * 2 - 1) * (border.h - radius);
+        hill.movedTick = world.handle.tick;
+        hill.holder = null;
+        if (hill.marker !== null && hill.marker.exists) world.removeCell(hill.marker);
+        world.addCell(hill.marker = new HillMarker(world, hill.x, hill.y));
+    }
+    /**
+     * @template T
+     * @param {World} world
+     * @param {(player: Player) => T} getSide what a player's mass counts towards, null if it doesn't count
+     * @returns {T} the side with more than half of the mass on the hill, null if nobody has it
+     */
+    static getHolder(world, getSide) {
+        const hill = world.hill;
+        const radius = world.settings.kothHillRadius;
+        /** @type {Map<T, number>} */
+        const masses = new Map();
+        let total = 0;
+        world.finder.search({ x: hill.x, y: hill.y, w: radius, h: radius }, (cell) => {
+            if (cell.type !== 0) return;
+            const dx = cell.x - hill.x;
+            const dy = cell.y - hill.y;
+            if (dx * dx + dy * dy > radius * radius) return;
+            const side = getSide(cell.owner);
+            if (side === null) return;
+            masses.set(side, (masses.get(side) || 0) + cell.mass);
+            total += cell.mass;
+        });
+        for (let [side, mass] of masses)
+            if (mass * 2 > total) return side;
+        return null;
+    }
+    /**
+     * Moves the hill when its time is up and gives the tick's points to whoever holds it
+     * @template T
+     * @param {World} world
+     * @param {(player: Player) => T} getSide
+     * @param {(side: T) => number} getColor the color the marker takes while the side holds the hill
+     */
+    static updateHill(world, getSide, getColor) {
+        const hill = world.hill;
+        const handle = world.handle;
+        if ((handle.tick - hill.movedTick) * handle.tickDelay / 1000 >= world.settings.kothMoveTime ||
+            !hill.marker.exists) {
+            KingOfTheHill.moveHill(world);
+            world.worldChat.send(null, "The hill has moved!");
+        }
+        const holder = KingOfTheHill.getHolder(world, getSide);
+        if (holder !== hill.holder) {
+            hill.holder = holder;
+            hill.marker.color = holder !== null ? getColor(holder) : HillMarker.neutralColor;
+        }
+        if (holder !== null)
+            hill.points.set(holder, (hill.points.get(holder) || 0) + handle.tickDelay / 1000);
+    }
+
+    /**
+     * @param {World} world
+     */
+    onNewWorld(world) {
+        KingOfTheHill.createHill(world);
+    }
+    /**
+     * @param {Player} player
+     * @param {World} world
+     */
+    onPlayerLeaveWorld(player, world) {
+        world.hill.points.delete(player);
+        if (world.hill.holder === player) world.hill.holder = null;
+    }
+
+    /**
+     * @param {World} world
+     */
+    onWorldTick(world) {
+        KingOfTheHill.updateHill(world, player => player, player => player.cellColor);
+    }
+    /**
+     * @param {Cell} a
+     * @param {Cell} b
+     */
+    canEat(a, b) {
+        return a.type !== 6 && b.type !== 6;
+    }
+
+    /**
+     * @param {World} world
+     */
+    compileLeaderboard(world) {
+        world.leaderboard = Array.from(world.hill.points.entries()).sort((a, b) => b[1] - a[1]);
+    }
+    /**
+     * @param {Connection} connection
+     */
+    sendLeaderboard(connection) {
+        if (!connection.hasPlayer || !connection.player.hasWorld) return;
+        const player = connection.player;
+        if (player.world.frozen) return;
+        /** @type {[Player, number][]} */
+        const leaderboard = player.world.leaderboard;
+        const data = leaderboard.map(([holder, points], i) => ({
+            name: `${holder.leaderboardName || "An unnamed cell"} - ${Math.floor(points)}`,
+            highlighted: holder === player,
+            cellId: holder.ownedCells.length > 0 ? holder.ownedCells[0].id : 0,
+            position: 1 + i
+        }));
+        const selfData = data.find(v => v.highlighted) || null;
+        connection.protocol.onLeaderboardUpdate("ffa", data.slice(0, 10), selfData);
+    }
+}
+
+module.exports = KingOfTheHill;
+
+const World = require("../worlds/World");
+const Player = require("../worlds/Player");
+const Cell = require("../cells/Cell");
+const Connection = require("../sockets/Connection");
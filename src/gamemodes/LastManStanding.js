@@ -28,11 +28,12 @@ class LastManStanding extends FFA {
     /**
      * @param {Player} player
      * @param {string} name
+     * @param {string} skin
      */
-    onPlayerSpawnRequest(player, name) {
+    onPlayerSpawnRequest(player, name, skin) {
         if (player.router.isExternal && player.life++ > 0)
             return void this.handle.listener.globalChat.directMessage(null, player.router, "You cannot spawn anymore.");
-        super.onPlayerSpawnRequest(player, name);
+        super.onPlayerSpawnRequest(player, name, skin);
     }
 }
 
@@ -0,0 +1,59 @@
+const Teams = require("./Teams");
+const KingOfTheHill = require("./KingOfTheHill");
+
+const teamColors = Teams.teamColors;
+const teamNames = Teams.teamNames;
+
+/**
+ * Teams where the team holding the majority of mass on the hill scores, its members' mass adds up
+ */
+class TeamKingOfTheHill extends Teams {
+    static get name() { return "Team King of the Hill"; }
+    static get type() { return 2; }
+
+    /**
+     * @param {World} world
+     */
+    onNewWorld(world) {
+        super.onNewWorld(world);
+        KingOfTheHill.createHill(world);
+    }
+
+    /**
+     * @param {World} world
+     */
+    onWorldTick(world) {
+        KingOfTheHill.updateHill(world, player => player.team, team => teamColors[team]);
+    }
+    /**
+     * @param {Cell} a
+     * @param {Cell} b
+     */
+    canEat(a, b) {
+        return a.type !== 6 && b.type !== 6;
+    }
+
+    /**
+     * @param {World} world
+     */
+    compileLeaderboard(world) {
+        /** @type {HillState<number>} */
+        const hill = world.hill;
+        const lines = world.leaderboard = [];
+        for (let i = 0, l = teamNames.length; i < l; i++)
+            lines.push(`${teamNames[i]}: ${Math.floor(hill.points.get(i) || 0)}${hill.holder === i ? " (on the hill)" : ""}`);
+    }
+    /**
+     * @param {Connection} connection
+     */
+    sendLeaderboard(connection) {
+        if (!connection.hasPlayer || !connection.player.hasWorld) return;
+        connection.protocol.onLeaderboardUpdate("text", connection.player.world.leaderboard);
+    }
+}
+
+module.exports = TeamKingOfTheHill;
+
+const World = require("../worlds/World");
+const Cell = require("../cells/Cell");
+const Connection = require("../sockets/Connection");
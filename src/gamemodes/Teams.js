@@ -1,4 +1,5 @@
 const Gamemode = require("./Gamemode");
+const ChatChannel = require("../sockets/ChatChannel");
 const Misc = require("../primitives/Misc");
 
 const highlightBase = 231,
@@ -15,13 +16,19 @@ const teamColorsInt = [
     0x00FF00,
     0x0000FF
 ];
+const teamNames = [
+    "Red",
+    "Green",
+    "Blue"
+];
 const teamCount = teamColors.length;
 
 /**
  * @param {number} index
+ * @param {Random} rng
  */
-function getTeamColor(index) {
-    const random = Math.random();
+function getTeamColor(index, rng) {
+    const random = rng.next();
     const highlight = highlightBase + ~~(random * highlightDiff);
     const lowlight  =  lowlightBase - ~~(random * lowlightDiff);
     const r = teamColors[index].r === highlightBase ? highlight : lowlight;
@@ -38,14 +45,22 @@ class Teams extends Gamemode {
 
     static get name() { return "Teams"; }
     static get type() { return 2; }
+    /** @returns {number[]} */
+    static get teamColors() { return teamColorsInt.slice(); }
+    /** @returns {string[]} */
+    static get teamNames() { return teamNames.slice(); }
 
     /**
      * @param {World} world
      */
     onNewWorld(world) {
         world.teams = { };
-        for (let i = 0; i < teamCount; i++)
+        /** @type {Identified<ChatChannel>} */
+        world.teamChats = { };
+        for (let i = 0; i < teamCount; i++) {
             world.teams[i] = [];
+            world.teamChats[i] = new ChatChannel(this.handle.listener, `team ${i} in world ${world.id}`);
+        }
     }
     /**
      * @param {Player} player
@@ -56,9 +71,7 @@ class Teams extends Gamemode {
         let team = 0;
         for (let i = 0; i < teamCount; i++)
             team = world.teams[i].length < world.teams[team].length ? i : team;
-        world.teams[team].push(player);
-        player.team = team;
-        player.chatColor = getTeamColor(player.team);
+        this.setTeam(player, world, team);
     }
     /**
      * @param {Player} player
@@ -66,8 +79,26 @@ class Teams extends Gamemode {
      */
     onPlayerLeaveWorld(player, world) {
         if (!player.router.separateInTeams) return;
-        world.teams[player.team].splice(world.teams[player.team].indexOf(player), 1);
-        player.team = null;
+        this.setTeam(player, world, null);
+    }
+    /**
+     * Moves the player over to another team along with its team chat, or out of teams with null
+     * @param {Player} player
+     * @param {World} world
+     * @param {number} team
+     */
+    setTeam(player, world, team) {
+        if (player.team !== null) {
+            world.teams[player.team].splice(world.teams[player.team].indexOf(player), 1);
+            world.teamChats[player.team].remove(player.router);
+        }
+        player.team = team;
+        if (team === null) return;
+        world.teams[team].push(player);
+        if (player.router.isExternal && this.handle.settings.chatEnabled)
+            world.teamChats[team].add(player.router);
+        player.chatColor = getTeamColor(team, world.random);
+        if (player.ownedCells.length > 0) player.cellColor = player.chatColor;
     }
 
     /**
@@ -77,17 +108,27 @@ class Teams extends Gamemode {
      */
     onPlayerSpawnRequest(player, name, skin) {
         if (player.state === 0 || !player.hasWorld) return;
+        name = this.handle.chatFilter.check(player.router, name, "name") || "";
         const size = player.router.type === "minion" ?
-            this.handle.settings.minionSpawnSize :
-            this.handle.settings.playerSpawnSize;
-        const pos = player.world.getSafeSpawnPos(size);
-        const color = player.router.separateInTeams ? getTeamColor(player.team) : Misc.randomColor();
+            player.world.settings.minionSpawnSize :
+            player.world.settings.playerSpawnSize;
+        const pos = this.getSpawnPos(player, size);
+        const color = player.router.separateInTeams ? getTeamColor(player.team, player.world.random) : Misc.randomColor(player.world.random);
         player.cellName = player.chatName = player.leaderboardName = name;
         player.cellSkin = null;
         player.chatColor = player.cellColor = color;
         player.world.spawnPlayer(player, pos, size);
     }
 
+    /**
+     * @param {Player} player
+     * @param {number} size
+     * @returns {Point}
+     */
+    getSpawnPos(player, size) {
+        return player.world.getSafeSpawnPos(size);
+    }
+
     /**
      * @param {World} world
      */
@@ -122,3 +163,4 @@ const ServerHandle = require("../ServerHandle");
 const World = require("../worlds/World");
 const Connection = require("../sockets/Connection");
 const Player = require("../worlds/Player");
+const Random = require("../primitives/Random");
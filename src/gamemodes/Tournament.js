@@ -0,0 +1,252 @@
+const FFA = require("./FFA");
+
+/**
+ * @param {TournamentStanding} a
+ * @param {TournamentStanding} b
+ */
+function compareStandings(a, b) {
+    return b.points - a.points || b.wins - a.wins;
+}
+
+/**
+ * Scheduled matches: entrants queue up in a lobby, then play a set amount of timed one-life rounds,
+ * scoring points by their placement in each
+ */
+class Tournament extends FFA {
+    static get name() { return "Tournament"; }
+    static get type() { return 0; }
+
+    /**
+     * @param {World} world
+     * @returns {number} seconds since the world's tournament entered its current phase
+     */
+    getPhaseTime(world) {
+        return (this.handle.tick - world.tournament.phaseStart) * this.handle.tickDelay / 1000;
+    }
+    /**
+     * @param {World} world
+     * @param {TournamentPhase} phase
+     */
+    setPhase(world, phase) {
+        world.tournament.phase = phase;
+        world.tournament.phaseStart = this.handle.tick;
+    }
+
+    /**
+     * @param {World} world
+     */
+    canJoinWorld(world) {
+        return !world.frozen && world.tournament.phase === "lobby";
+    }
+    /**
+     * @param {World} world
+     */
+    onNewWorld(world) {
+        /** @type {TournamentState} */
+        world.tournament = {
+            phase: "lobby",
+            phaseStart: this.handle.tick,
+            countdown: false,
+            round: 0,
+            entrants: new Map(),
+            standings: new Map(),
+            alive: new Set(),
+            eliminated: []
+        };
+    }
+    /**
+     * @param {Player} player
+     * @param {World} world
+     */
+    onPlayerLeaveWorld(player, world) {
+        const tournament = world.tournament;
+        if (tournament.phase === "lobby") tournament.entrants.delete(player);
+    }
+    /**
+     * @param {Player} player
+     * @param {string} name
+     * @param {string} skin
+     */
+    onPlayerSpawnRequest(player, name, skin) {
+        if (player.state === 0 || !player.hasWorld) return;
+        const tournament = player.world.tournament;
+        if (!player.router.isExternal) {
+            if (tournament.phase === "round") super.onPlayerSpawnRequest(player, name, skin);
+            return;
+        }
+        const globalChat = this.handle.listener.globalChat;
+        if (tournament.phase === "lobby") {
+            if (!tournament.entrants.has(player))
+                globalChat.directMessage(null, player.router, "You are signed up, you will spawn once the tournament starts.");
+            tournament.entrants.set(player, { name: name, skin: skin });
+        } else if (tournament.entrants.has(player))
+            globalChat.directMessage(null, player.router, "You will spawn again when the next round starts.");
+        else globalChat.directMessage(null, player.router, "A tournament is in progress, you can join the next one.");
+    }
+
+    /**
+     * @param {World} world
+     */
+    onWorldTick(world) {
+        const settings = world.settings;
+        switch (world.tournament.phase) {
+            case "lobby": this.updateLobby(world); break;
+            case "round": this.updateRound(world); break;
+            case "intermission":
+                if (this.getPhaseTime(world) >= settings.tournamentIntermission) {
+                    this.resetWorld(world);
+                    this.startRound(world);
+                }
+                break;
+            case "finished":
+                if (this.getPhaseTime(world) >= settings.tournamentIntermission)
+                    this.resetTournament(world);
+                break;
+        }
+    }
+    /**
+     * @param {World} world
+     */
+    updateLobby(world) {
+        const tournament = world.tournament;
+        const settings = world.settings;
+        if (tournament.entrants.size < settings.tournamentMinPlayers) {
+            if (tournament.countdown)
+                world.worldChat.send(null, "Not enough players are signed up, the countdown has stopped.");
+            tournament.countdown = false;
+            return;
+        }
+        if (!tournament.countdown) {
+            tournament.countdown = true;
+            this.setPhase(world, "lobby");
+            world.worldChat.send(null, `The tournament starts in ${settings.tournamentLobbyTime} seconds.`);
+        }
+        if (this.getPhaseTime(world) >= settings.tournamentLobbyTime) {
+            for (let [player, entry] of tournament.entrants)
+                tournament.standings.set(player, { name: entry.name, points: 0, wins: 0 });
+            this.startRound(world);
+        }
+    }
+    /**
+     * @param {World} world
+     */
+    startRound(world) {
+        const tournament = world.tournament;
+        tournament.round++;
+        tournament.countdown = false;
+        tournament.alive.clear();
+        tournament.eliminated.splice(0);
+        this.setPhase(world, "round");
+        for (let [player, entry] of tournament.entrants) {
+            if (player.world !== world) continue;
+            super.onPlayerSpawnRequest(player, entry.name, entry.skin);
+            tournament.alive.add(player);
+        }
+        world.worldChat.send(null, `Round ${tournament.round} of ${world.settings.tournamentRoundCount} has started.`);
+    }
+    /**
+     * @param {World} world
+     */
+    updateRound(world) {
+        const tournament = world.tournament;
+        for (let player of tournament.alive) {
+            if (player.world === world && player.ownedCells.length > 0) continue;
+            tournament.alive.delete(player);
+            tournament.eliminated.push(player);
+        }
+        const entrants = tournament.alive.size + tournament.eliminated.length;
+        if (tournament.alive.size === 0 || tournament.alive.size === 1 && entrants > 1 ||
+            this.getPhaseTime(world) >= world.settings.tournamentRoundTime)
+            this.endRound(world);
+    }
+    /**
+     * Survivors place by their mass, ahead of everyone eliminated in reverse order of elimination
+     * @param {World} world
+     */
+    endRound(world) {
+        const tournament = world.tournament;
+        const points = world.settings.tournamentPoints;
+        const placement = Array.from(tournament.alive)
+            .sort((a, b) => b.score - a.score)
+            .concat(tournament.eliminated.slice(0).reverse());
+        const results = [];
+        for (let i = 0, l = placement.length; i < l; i++) {
+            const standing = tournament.standings.get(placement[i]);
+            const gained = i < points.length ? points[i] : 0;
+            standing.points += gained;
+            if (i === 0) standing.wins++;
+            results.push(`${i + 1}. ${standing.name || "An unnamed cell"} +${gained}`);
+        }
+        tournament.alive.clear();
+        world.worldChat.send(null, `Round ${tournament.round} results: ${results.join(", ")}`);
+        if (tournament.round < world.settings.tournamentRoundCount)
+            return void this.setPhase(world, "intermission");
+
+        this.setPhase(world, "finished");
+        const standings = Array.from(tournament.standings.values()).sort(compareStandings);
+        const podium = standings.slice(0, 3).map((v, i) => `${i + 1}. ${v.name || "An unnamed cell"} (${v.points} points)`);
+        this.handle.listener.globalChat.send(null, `The tournament in world ${world.id} has finished: ${podium.join(", ")}`);
+    }
+    /**
+     * Clears the map so every round starts out the same
+     * @param {World} world
+     */
+    resetWorld(world) {
+        while (world.cells.length > 0)
+            world.removeCell(world.cells[0]);
+        for (let i = 0, l = world.players.length; i < l; i++)
+            world.players[i].updateState(-1);
+    }
+    /**
+     * @param {World} world
+     */
+    resetTournament(world) {
+        const tournament = world.tournament;
+        this.resetWorld(world);
+        tournament.round = 0;
+        tournament.entrants.clear();
+        tournament.standings.clear();
+        tournament.eliminated.splice(0);
+        this.setPhase(world, "lobby");
+        world.worldChat.send(null, "Sign-ups for the next tournament are open, press play to join it.");
+    }
+
+    /**
+     * @param {World} world
+     */
+    compileLeaderboard(world) {
+        world.leaderboard = Array.from(world.tournament.standings.entries())
+            .sort((a, b) => compareStandings(a[1], b[1]));
+    }
+    /**
+     * @param {Connection} connection
+     */
+    sendLeaderboard(connection) {
+        if (!connection.hasPlayer || !connection.player.hasWorld) return;
+        const player = connection.player;
+        const world = player.world;
+        const tournament = world.tournament;
+        if (tournament.phase === "lobby") {
+            const lines = ["Tournament", `${tournament.entrants.size}/${world.settings.tournamentMinPlayers} signed up`];
+            if (tournament.countdown)
+                lines.push(`Starting in ${Math.ceil(world.settings.tournamentLobbyTime - this.getPhaseTime(world))}s`);
+            return void connection.protocol.onLeaderboardUpdate("text", lines);
+        }
+        /** @type {[Player, TournamentStanding][]} */
+        const leaderboard = world.leaderboard;
+        const data = leaderboard.map(([entrant, standing], i) => ({
+            name: `${standing.name || "An unnamed cell"} - ${standing.points}`,
+            highlighted: entrant === player,
+            cellId: entrant.ownedCells.length > 0 ? entrant.ownedCells[0].id : 0,
+            position: 1 + i
+        }));
+        const selfData = data.find(v => v.highlighted) || null;
+        connection.protocol.onLeaderboardUpdate("ffa", data.slice(0, 10), selfData);
+    }
+}
+
+module.exports = Tournament;
+
+const World = require("../worlds/World");
+const Player = require("../worlds/Player");
+const Connection = require("../sockets/Connection");
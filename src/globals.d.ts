@@ -24,6 +24,146 @@ interface Spawner {
     pelletCount: number;
 }
 
+interface Account {
+    name: string;
+    salt: string;
+    hash: string;
+    created: number;
+    lastLogin: number;
+    stats?: PlayerStatsData;
+}
+
+interface AuditEntry {
+    time: number;
+    source: AuditSource;
+    actor: string;
+    ip: IPAddress;
+    account: string;
+    command: string;
+    args: string[];
+    outcome: AuditOutcome;
+}
+
+interface AuditFilter {
+    source?: AuditSource;
+    actor?: string;
+    ip?: IPAddress;
+    command?: string;
+    outcome?: AuditOutcome;
+    text?: string;
+    since?: number;
+    until?: number;
+    limit?: number;
+}
+
+interface Punishment {
+    id: number;
+    type: PunishmentType;
+    match: PunishmentMatch;
+    value: string;
+    reason: string;
+    issuer: string;
+    created: number;
+    expires: number;
+}
+
+interface ChatFilterRule {
+    /** matched against the lowercased text with leetspeak, lookalike letters and accents undone */
+    pattern: string;
+    action: ChatFilterAction;
+    wholeWord?: boolean;
+    /** told to the sender on warn and mute */
+    reason?: string;
+    /** seconds, permanent if left out */
+    muteDuration?: number;
+}
+interface ChatLogEntry {
+    time: number;
+    channel: string;
+    source: string;
+    isServer: boolean;
+    message: string;
+}
+interface ChatLogFilter {
+    channel?: string;
+    /** substring of the sender's name */
+    source?: string;
+    /** substring of the message */
+    text?: string;
+    since?: number;
+    until?: number;
+    limit?: number;
+}
+/** arguments the server's events are emitted with */
+interface ServerEvents {
+    playerJoin: [import("./worlds/Player")];
+    playerLeave: [import("./worlds/Player")];
+    playerJoinWorld: [import("./worlds/Player"), import("./worlds/World")];
+    playerLeaveWorld: [import("./worlds/Player"), import("./worlds/World")];
+    playerSpawn: [import("./worlds/Player"), import("./worlds/World")];
+    /** the cell is what ate the player's last cell, null if it was removed otherwise */
+    playerDeath: [import("./worlds/Player"), import("./worlds/World"), import("./cells/Cell")];
+    /** eater, eaten */
+    cellEaten: [import("./cells/Cell"), import("./cells/Cell"), import("./worlds/World")];
+    /** the number is how many cells were created */
+    playerSplit: [import("./worlds/Player"), import("./worlds/World"), number];
+    playerEject: [import("./worlds/Player"), import("./worlds/World"), number];
+    /** a player cell popped by a virus, mothercell or command, the number is how many pieces split off */
+    virusPop: [import("./cells/PlayerCell"), import("./worlds/World"), number];
+    /** channel name, sender, message */
+    chatMessage: [string, ChatSource, string];
+    worldCreate: [import("./worlds/World")];
+    worldDestroy: [import("./worlds/World")];
+    /** the handle's tick count */
+    tick: [number];
+}
+interface Plugin {
+    /** registers everything the plugin provides through the context, throwing cancels loading */
+    load(plugin: import("./plugins/PluginContext")): void;
+    /** called before everything registered through the context is removed */
+    unload?(plugin: import("./plugins/PluginContext")): void;
+}
+interface SettingSchema {
+    type: SettingType;
+    min?: number;
+    max?: number;
+    /** the only values allowed */
+    values?: string[];
+    nullable?: boolean;
+    /** whether worlds can override it */
+    perWorld?: boolean;
+    /** validates each item of an array or value of an object, returning an error message or null */
+    check?(item: any): string;
+    applies: SettingApplication;
+}
+interface ConsoleUser {
+    name: string;
+    role: CommandRole;
+    salt: string;
+    hash: string;
+    created: number;
+    lastLogin: number;
+}
+
+interface PlayerStatsData {
+    cellsEaten: number;
+    playersEaten: number;
+    maxMass: number;
+    timeAlive: number;
+    deaths: number;
+    splits: number;
+    ejects: number;
+    killedBy: Counter<string>;
+}
+interface PlayerRun {
+    name: string;
+    account: string;
+    maxMass: number;
+    timeAlive: number;
+    killedBy: string;
+    date: number;
+}
+
 interface ChatSource {
     name: string;
     isServer: string;
@@ -50,6 +190,54 @@ interface WorldStats {
     loadTime: number;
     uptime: number;
 }
+interface RoyaleState {
+    phase: RoyalePhase;
+    phaseStart: number;
+    countdown: boolean;
+    queued: Map<import("./worlds/Player"), { name: string, skin: string }>;
+    playing: number;
+    map: Rect;
+    fromZone: Rect;
+    toZone: Rect;
+    zone: Rect;
+    shrinking: boolean;
+    lastBorderUpdate: number;
+    /** density settings the world overrides on its own, the rest scale down from the handle's */
+    ownDensity: Partial<Settings>;
+    winner: string;
+}
+interface TournamentState {
+    phase: TournamentPhase;
+    phaseStart: number;
+    countdown: boolean;
+    round: number;
+    entrants: Map<import("./worlds/Player"), { name: string, skin: string }>;
+    standings: Map<import("./worlds/Player"), TournamentStanding>;
+    alive: Set<import("./worlds/Player")>;
+    eliminated: import("./worlds/Player")[];
+}
+interface TournamentStanding {
+    name: string;
+    points: number;
+    wins: number;
+}
+interface CTFState {
+    scores: number[];
+    flags: import("./cells/Flag")[];
+}
+/** T is who scores: a player in King of the Hill, a team in Team King of the Hill */
+interface HillState<T = import("./worlds/Player")> {
+    x: number;
+    y: number;
+    movedTick: number;
+    marker: import("./cells/HillMarker");
+    holder: T;
+    points: Map<T, number>;
+}
+interface InfectionState {
+    phase: InfectionPhase;
+    phaseStart: number;
+}
 
 interface GenCommandTable {
     columns: {
@@ -66,6 +254,20 @@ declare type LogEventLevel = "DEBUG" | "ACCESS" | "INFO" | "WARN" | "ERROR" | "F
 declare type LogEvent = (date: Date, level: LogEventLevel, message: string) => void;
 declare type LogMessageData = any[];
 
+declare type CommandRole = "viewer" | "moderator" | "admin";
+declare type AuditSource = "server" | "console" | "chat";
+declare type PunishmentType = "ban" | "mute";
+declare type PunishmentMatch = "ip" | "cidr" | "account";
+declare type ChatChannelType = "global" | "world" | "team";
+declare type ChatFilterAction = "mask" | "warn" | "drop" | "mute";
+declare type SettingType = "number" | "integer" | "boolean" | "string" | "string[]" | "number[]" | "object" | "object[]";
+declare type SettingApplication = "live" | "world" | "restart";
+declare type RateLimitKind = "messages" | "bytes" | "splits" | "ejects" | "spawns";
+declare type AuditOutcome = "executed" | "denied" | "unknown" | "failed";
+declare type RoyalePhase = "lobby" | "running" | "ended";
+declare type TournamentPhase = "lobby" | "round" | "intermission" | "finished";
+declare type InfectionPhase = "waiting" | "running" | "ended";
+
 /**
  * 0 None, 1 Rigid, 2 Eat, 3 EatInvd
  */
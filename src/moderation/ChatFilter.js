@@ -0,0 +1,153 @@
+/** @type {{ [char: string]: string }} */
+const lookalikes = {
+    "0": "o", "1": "i", "3": "e", "4": "a", "5": "s", "7": "t", "8": "b", "9": "g",
+    "@": "a", "$": "s", "!": "i", "|": "l", "+": "t", "€": "e", "£": "l",
+    // cyrillic and greek letters that look like latin ones
+    "а": "a", "в": "b", "е": "e", "ё": "e", "к": "k", "м": "m", "н": "h", "о": "o", "р": "p",
+    "с": "c", "т": "t", "у": "y", "х": "x", "і": "i", "ј": "j", "ѕ": "s", "ԁ": "d", "ɡ": "g",
+    "α": "a", "β": "b", "ε": "e", "η": "n", "ι": "i", "κ": "k", "ν": "v", "ο": "o", "ρ": "p",
+    "τ": "t", "υ": "u", "χ": "x"
+};
+/** @type {ChatFilterAction[]} from the mildest to the harshest */
+const actions = ["mask", "warn", "drop", "mute"];
+
+/**
+ * Lowercases the text and undoes leetspeak, lookalike letters and accents
+ * @param {string} text
+ * @returns {{ text: string, origins: number[] }} origins holds the original index of every normalized character
+ */
+function normalize(text) {
+    let normalized = "";
+    const origins = [];
+    for (let i = 0; i < text.length; ) {
+        const char = String.fromCodePoint(text.codePointAt(i));
+        const folded = char.normalize("NFKD").replace(/[\u0300-\u036f\u200b-\u200f\u2060\ufeff]/g, "").toLowerCase();
+        for (let j = 0; j < folded.length; j++) {
+            normalized += lookalikes.hasOwnProperty(folded[j]) ? lookalikes[folded[j]] : folded[j];
+            origins.push(i);
+        }
+        i += char.length;
+    }
+    return { text: normalized, origins: origins };
+}
+
+/**
+ * @param {string} phrase
+ */
+function escapeRegExp(phrase) {
+    return phrase.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Matches chat messages and player names against the rules in `chatFilterRules` and
+ * `chatFilteredPhrases`, the latter being plain phrases that drop the message
+ */
+class ChatFilter {
+    /**
+     * @param {ServerHandle} handle
+     */
+    constructor(handle) {
+        this.handle = handle;
+        /** @type {{ rule: ChatFilterRule, regex: RegExp }[]} */
+        this.compiled = [];
+        /** @type {ChatFilterRule[]} */
+        this.compiledRules = null;
+        /** @type {string[]} */
+        this.compiledPhrases = null;
+    }
+
+    /** @returns {ChatFilterAction[]} */
+    static get actions() { return actions; }
+
+    get settings() { return this.handle.settings; }
+
+    compile() {
+        this.compiledRules = this.settings.chatFilterRules;
+        this.compiledPhrases = this.settings.chatFilteredPhrases;
+        this.compiled = [];
+        for (let i = 0, l = this.compiledRules.length; i < l; i++) {
+            const rule = this.compiledRules[i];
+            if (actions.indexOf(rule.action) === -1) {
+                this.handle.logger.warn(`chat filter rule ${i} has an unknown action '${rule.action}', ignoring it`);
+                continue;
+            }
+            const source = rule.wholeWord ? `(?<![a-z0-9])(?:${rule.pattern})(?![a-z0-9])` : rule.pattern;
+            try {
+                this.compiled.push({ rule: rule, regex: new RegExp(source, "gu") });
+            } catch (e) {
+                this.handle.logger.warn(`chat filter rule ${i} has an invalid pattern: ${e.message}`);
+            }
+        }
+        for (let i = 0, l = this.compiledPhrases.length; i < l; i++)
+            this.compiled.push({
+                rule: { pattern: this.compiledPhrases[i], action: "drop" },
+                regex: new RegExp(escapeRegExp(normalize(this.compiledPhrases[i]).text), "gu")
+            });
+    }
+
+    /**
+     * @param {string} text
+     * @returns {{ action: ChatFilterAction, rule: ChatFilterRule, text: string }} action is null if no rules matched
+     */
+    test(text) {
+        if (this.compiledRules !== this.settings.chatFilterRules || this.compiledPhrases !== this.settings.chatFilteredPhrases)
+            this.compile();
+        const normalized = normalize(text);
+        const masked = text.split("");
+        /** @type {ChatFilterAction} */
+        let action = null;
+        /** @type {ChatFilterRule} */
+        let rule = null;
+        for (let i = 0, l = this.compiled.length; i < l; i++) {
+            const regex = this.compiled[i].regex;
+            regex.lastIndex = 0;
+            let match;
+            while ((match = regex.exec(normalized.text)) !== null) {
+                if (match[0].length === 0) { regex.lastIndex++; continue; }
+                const current = this.compiled[i].rule;
+                if (action === null || actions.indexOf(current.action) > actions.indexOf(action))
+                    action = current.action, rule = current;
+                const start = normalized.origins[match.index];
+                const end = normalized.origins[match.index + match[0].length - 1];
+                for (let j = start; j <= end; j++)
+                    if (!/\s/.test(masked[j])) masked[j] = "*";
+                // the other half of a surrogate pair
+                if (/[\udc00-\udfff]/.test(masked[end + 1] || "")) masked[end + 1] = "";
+            }
+        }
+        return { action: action, rule: rule, text: action === null ? text : masked.join("") };
+    }
+
+    /**
+     * Filters what a router wants to say or be named, warning or muting it if a rule says so
+     * @param {Router} router
+     * @param {string} text
+     * @param {"message" | "name"} what
+     * @returns {string} the text to use, null if it's blocked
+     */
+    check(router, text, what) {
+        const result = this.test(text);
+        if (result.action === null) return text;
+        if (result.action === "mask") return result.text;
+        if (!router.isExternal) return null;
+        const chat = router.listener.globalChat;
+        if (result.action === "warn")
+            chat.directMessage(null, router, result.rule.reason || `your ${what} was blocked by the chat filter`);
+        else if (result.action === "mute") {
+            const reason = result.rule.reason || `filtered ${what}`;
+            const target = router.account !== null ?
+                { match: "account", value: router.account.name } :
+                { match: "ip", value: router.remoteAddress };
+            const duration = result.rule.muteDuration;
+            if (this.handle.punishments.findForRouter("mute", router) === null)
+                this.handle.punishments.add("mute", target, reason, "chat filter", duration ? duration * 1000 : null);
+            chat.directMessage(null, router, `you have been muted: ${reason}`);
+        }
+        return null;
+    }
+}
+
+module.exports = ChatFilter;
+
+const ServerHandle = require("../ServerHandle");
+const Router = require("../sockets/Router");
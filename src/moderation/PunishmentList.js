@@ -0,0 +1,215 @@
+const fs = require("fs");
+const net = require("net");
+
+/**
+ * @param {IPAddress} address
+ * @param {string} cidr
+ */
+function isInRange(address, cidr) {
+    const [range, bits] = cidr.split("/");
+    const family = net.isIPv6(range) ? "ipv6" : "ipv4";
+    if ((net.isIPv6(address) ? "ipv6" : "ipv4") !== family) return false;
+    const list = new net.BlockList();
+    list.addSubnet(range, parseInt(bits), family);
+    return list.check(address, family);
+}
+
+/**
+ * Timed bans and chat mutes matched by IP address, CIDR range or account
+ */
+class PunishmentList {
+    /**
+     * @param {ServerHandle} handle
+     */
+    constructor(handle) {
+        this.handle = handle;
+        /** @type {string} */
+        this.path = null;
+        /** @type {Punishment[]} */
+        this.punishments = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Parses a ban target such as `1.2.3.4`, `10.0.0.0/8` or `account:name`
+     * @param {string} target
+     * @returns {{ match: PunishmentMatch, value: string }} null if it's invalid
+     */
+    static parseTarget(target) {
+        if (target.toLowerCase().startsWith("account:")) {
+            const name = target.slice(8).trim();
+            return name.length > 0 ? { match: "account", value: name } : null;
+        }
+        const slash = target.indexOf("/");
+        if (slash !== -1) {
+            const range = target.slice(0, slash);
+            const bits = target.slice(slash + 1);
+            const family = net.isIP(range);
+            if (family === 0 || !/^\d{1,3}$/.test(bits) || parseInt(bits) > (family === 4 ? 32 : 128))
+                return null;
+            return { match: "cidr", value: `${range}/${parseInt(bits)}` };
+        }
+        return net.isIP(target) !== 0 ? { match: "ip", value: target } : null;
+    }
+
+    /**
+     * @param {Punishment} punishment
+     * @param {IPAddress} address
+     * @param {string} account
+     */
+    static matches(punishment, address, account) {
+        switch (punishment.match) {
+            case "ip": return address === punishment.value;
+            case "cidr": return address != null && isInRange(address, punishment.value);
+            case "account": return account != null && account.toLowerCase() === punishment.value.toLowerCase();
+        }
+        return false;
+    }
+
+    /**
+     * Loads the punishments saved at the path and saves every change to it from now on
+     * @param {string} path
+     */
+    setFile(path) {
+        this.path = path;
+        if (!fs.existsSync(path)) return;
+        this.punishments = JSON.parse(fs.readFileSync(path, "utf-8"));
+        for (let i = 0, l = this.punishments.length; i < l; i++)
+            this.nextId = Math.max(this.nextId, this.punishments[i].id + 1);
+        this.prune();
+    }
+    write() {
+        if (this.path === null) return;
+        fs.writeFileSync(this.path, JSON.stringify(this.punishments, null, 4), "utf-8");
+    }
+
+    /**
+     * Removes the punishments that have expired
+     */
+    prune() {
+        const now = Date.now();
+        const count = this.punishments.length;
+        this.punishments = this.punishments.filter(v => v.expires === null || v.expires > now);
+        if (this.punishments.length !== count) this.write();
+    }
+
+    /**
+     * @param {PunishmentType=} type
+     * @returns {Punishment[]}
+     */
+    list(type) {
+        this.prune();
+        return type ? this.punishments.filter(v => v.type === type) : this.punishments.slice();
+    }
+
+    /**
+     * @param {PunishmentType} type
+     * @param {{ match: PunishmentMatch, value: string }} target
+     * @param {string} reason
+     * @param {string} issuer
+     * @param {number} duration in milliseconds, permanent if null
+     * @returns {Punishment}
+     */
+    add(type, target, reason, issuer, duration) {
+        const now = Date.now();
+        /** @type {Punishment} */
+        const punishment = {
+            id: this.nextId++,
+            type: type,
+            match: target.match,
+            value: target.value,
+            reason: reason || null,
+            issuer: issuer,
+            created: now,
+            expires: duration == null ? null : now + duration
+        };
+        this.punishments.push(punishment);
+        this.write();
+        this.handle.logger.inform(`${issuer} added ${type} #${punishment.id} on ${target.match} ${target.value}`);
+        if (type === "ban") this.enforce(punishment);
+        return punishment;
+    }
+    /**
+     * @param {number} id
+     */
+    remove(id) {
+        const index = this.punishments.findIndex(v => v.id === id);
+        if (index === -1) return null;
+        const punishment = this.punishments.splice(index, 1)[0];
+        this.write();
+        return punishment;
+    }
+    /**
+     * @param {PunishmentType} type
+     * @param {{ match: PunishmentMatch, value: string }} target
+     * @returns {Punishment[]} the removed punishments
+     */
+    removeTarget(type, target) {
+        const value = target.value.toLowerCase();
+        const removed = this.punishments.filter(v =>
+            v.type === type && v.match === target.match && v.value.toLowerCase() === value);
+        if (removed.length === 0) return removed;
+        this.punishments = this.punishments.filter(v => removed.indexOf(v) === -1);
+        this.write();
+        return removed;
+    }
+    /**
+     * Removes every punishment of a type that applies to an address or account, ranges included
+     * @param {PunishmentType} type
+     * @param {IPAddress} address
+     * @param {string=} account
+     * @returns {Punishment[]} the removed punishments
+     */
+    removeMatching(type, address, account) {
+        const removed = this.punishments.filter(v => v.type === type && PunishmentList.matches(v, address, account));
+        if (removed.length === 0) return removed;
+        this.punishments = this.punishments.filter(v => removed.indexOf(v) === -1);
+        this.write();
+        return removed;
+    }
+
+    /**
+     * @param {PunishmentType} type
+     * @param {IPAddress} address
+     * @param {string=} account
+     * @returns {Punishment} null if there's none
+     */
+    find(type, address, account) {
+        const now = Date.now();
+        for (let i = 0, l = this.punishments.length; i < l; i++) {
+            const punishment = this.punishments[i];
+            if (punishment.type !== type || (punishment.expires !== null && punishment.expires <= now)) continue;
+            if (PunishmentList.matches(punishment, address, account)) return punishment;
+        }
+        return null;
+    }
+    /**
+     * @param {PunishmentType} type
+     * @param {Router} router
+     * @returns {Punishment} null if there's none
+     */
+    findForRouter(type, router) {
+        const address = router.isExternal ? router.remoteAddress : null;
+        const account = router.account !== null ? router.account.name : null;
+        return this.find(type, address, account);
+    }
+
+    /**
+     * Disconnects everyone a new ban covers
+     * @param {Punishment} punishment
+     */
+    enforce(punishment) {
+        const connections = this.handle.listener.connections;
+        for (let i = 0, l = connections.length; i < l; i++) {
+            const connection = connections[i];
+            const account = connection.account !== null ? connection.account.name : null;
+            if (!PunishmentList.matches(punishment, connection.remoteAddress, account)) continue;
+            connection.closeSocket(1003, punishment.reason ? `Banned: ${punishment.reason}` : "Banned");
+        }
+    }
+}
+
+module.exports = PunishmentList;
+
+const ServerHandle = require("../ServerHandle");
+const Router = require("../sockets/Router");
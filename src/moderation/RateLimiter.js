@@ -0,0 +1,112 @@
+/** @type {{ [kind in RateLimitKind]: string }} */
+const rateSettings = {
+    messages: "rateLimitMessages",
+    bytes: "rateLimitBytes",
+    splits: "rateLimitSplits",
+    ejects: "rateLimitEjects",
+    spawns: "rateLimitSpawns"
+};
+
+class TokenBucket {
+    constructor() {
+        this.tokens = NaN;
+        this.lastRefill = Date.now();
+    }
+
+    /**
+     * @param {number} rate tokens per second
+     * @param {number} capacity
+     * @param {number} amount
+     */
+    take(rate, capacity, amount) {
+        const now = Date.now();
+        this.tokens = isNaN(this.tokens) ? capacity :
+            Math.min(capacity, this.tokens + (now - this.lastRefill) * rate / 1000);
+        this.lastRefill = now;
+        if (this.tokens < amount) return false;
+        this.tokens -= amount;
+        return true;
+    }
+}
+
+/**
+ * Per-connection token buckets for incoming protocol messages with escalating responses:
+ * excess input is dropped, repeated violations get a warning, then a disconnection,
+ * and an address disconnected too often gets temporarily banned
+ */
+class RateLimiter {
+    /**
+     * @param {Connection} connection
+     */
+    constructor(connection) {
+        this.connection = connection;
+        /** @type {{ [kind in RateLimitKind]: TokenBucket }} */
+        this.buckets = { };
+        /** @type {{ [kind in RateLimitKind]: number }} */
+        this.dropped = { };
+        for (let kind in rateSettings) {
+            this.buckets[kind] = new TokenBucket();
+            this.dropped[kind] = 0;
+        }
+        this.violations = 0;
+        this.lastViolation = 0;
+        this.warned = false;
+        this.tripped = false;
+    }
+
+    get settings() { return this.connection.listener.handle.settings; }
+
+    /**
+     * @param {number} length in bytes
+     */
+    onMessage(length) {
+        return this.take("messages", 1) && this.take("bytes", length);
+    }
+    /**
+     * @param {RateLimitKind} kind
+     * @param {number=} amount
+     * @returns {boolean} false if the input should be dropped
+     */
+    take(kind, amount) {
+        if (amount === undefined) amount = 1;
+        if (amount <= 0 || this.tripped) return !this.tripped;
+        const rate = this.settings[rateSettings[kind]];
+        if (rate <= 0) return true;
+        if (this.buckets[kind].take(rate, rate * this.settings.rateLimitBurst, amount)) return true;
+        this.dropped[kind]++;
+        this.onViolation();
+        return false;
+    }
+
+    onViolation() {
+        const now = Date.now();
+        // the violation count cools down by one every second
+        this.violations = Math.max(0, this.violations - (now - this.lastViolation) / 1000) + 1;
+        this.lastViolation = now;
+        const settings = this.settings;
+        if (settings.rateLimitDisconnectAfter > 0 && this.violations >= settings.rateLimitDisconnectAfter) {
+            this.tripped = true;
+            this.connection.closeSocket(1008, "Rate limit exceeded");
+            this.connection.listener.onRateLimitTrip(this.connection);
+        } else if (this.violations >= settings.rateLimitWarnAfter) {
+            if (this.warned) return;
+            this.warned = true;
+            this.connection.listener.globalChat.directMessage(null, this.connection,
+                "you are sending too much input, slow down or you will be disconnected");
+        } else if (this.violations < 1.5) this.warned = false;
+    }
+
+    /**
+     * @returns {string} the dropped input counts that aren't zero
+     */
+    describe() {
+        const parts = [];
+        for (let kind in this.dropped)
+            if (this.dropped[kind] > 0) parts.push(`${kind} ${this.dropped[kind]}`);
+        return parts.join(", ");
+    }
+}
+
+module.exports = RateLimiter;
+
+const Connection = require("../sockets/Connection");
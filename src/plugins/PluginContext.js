@@ -0,0 +1,118 @@
+/**
+ * What a plugin gets to extend the server with, everything registered through it is undone when the plugin unloads
+ */
+class PluginContext {
+    /**
+     * @param {ServerHandle} handle
+     * @param {string} name
+     */
+    constructor(handle, name) {
+        this.handle = handle;
+        this.name = name;
+        this.logger = handle.logger;
+
+        /** @type {Command[]} */
+        this.registeredCommands = [];
+        /** @type {Command[]} */
+        this.registeredChatCommands = [];
+        /** @type {typeof Gamemode[]} */
+        this.registeredGamemodes = [];
+        /** @type {typeof Protocol[]} */
+        this.registeredProtocols = [];
+        /** @type {{ event: string, listener: Function }[]} */
+        this.registeredListeners = [];
+
+        this.commands = {
+            /** @param {Command[]} commands */
+            register: (...commands) => {
+                for (let i = 0, l = commands.length; i < l; i++) {
+                    if (handle.commands.list.hasOwnProperty(commands[i].name))
+                        throw new Error(`command ${commands[i].name} conflicts with another already registered one`);
+                    handle.commands.register(commands[i]);
+                    this.registeredCommands.push(commands[i]);
+                }
+            }
+        };
+        this.chatCommands = {
+            /** @param {Command[]} commands */
+            register: (...commands) => {
+                for (let i = 0, l = commands.length; i < l; i++) {
+                    if (handle.chatCommands.list.hasOwnProperty(commands[i].name))
+                        throw new Error(`command ${commands[i].name} conflicts with another already registered one`);
+                    handle.chatCommands.register(commands[i]);
+                    this.registeredChatCommands.push(commands[i]);
+                }
+            }
+        };
+        this.gamemodes = {
+            /** @param {typeof Gamemode[]} gamemodes */
+            register: (...gamemodes) => {
+                for (let i = 0, l = gamemodes.length; i < l; i++) {
+                    if (handle.gamemodes.store.hasOwnProperty(gamemodes[i].name))
+                        throw new Error(`gamemode ${gamemodes[i].name} conflicts with another already registered one`);
+                    handle.gamemodes.register(gamemodes[i]);
+                    this.registeredGamemodes.push(gamemodes[i]);
+                }
+            }
+        };
+        this.protocols = {
+            /** @param {typeof Protocol[]} protocols */
+            register: (...protocols) => {
+                for (let i = 0, l = protocols.length; i < l; i++) {
+                    handle.protocols.register(protocols[i]);
+                    this.registeredProtocols.push(protocols[i]);
+                }
+            }
+        };
+        this.events = {
+            /** @template {keyof ServerEvents} K @param {K} event @param {(...args: ServerEvents[K]) => void} listener */
+            on: (event, listener) => {
+                handle.events.on(event, listener);
+                this.registeredListeners.push({ event: event, listener: listener });
+            },
+            /** @template {keyof ServerEvents} K @param {K} event @param {(...args: ServerEvents[K]) => void} listener */
+            off: (event, listener) => {
+                handle.events.off(event, listener);
+                const i = this.registeredListeners.findIndex(v => v.event === event && v.listener === listener);
+                if (i !== -1) this.registeredListeners.splice(i, 1);
+            }
+        };
+    }
+
+    /**
+     * @returns {boolean} whether the server's current gamemode comes from this plugin
+     */
+    get providesGamemode() {
+        const current = this.handle.gamemode;
+        return current !== null && this.registeredGamemodes.indexOf(current.constructor) !== -1;
+    }
+
+    /**
+     * Removes everything the plugin registered
+     */
+    dispose() {
+        const handle = this.handle;
+        for (let i = 0, l = this.registeredCommands.length; i < l; i++)
+            handle.commands.remove(this.registeredCommands[i]);
+        for (let i = 0, l = this.registeredChatCommands.length; i < l; i++)
+            handle.chatCommands.remove(this.registeredChatCommands[i]);
+        for (let i = 0, l = this.registeredGamemodes.length; i < l; i++)
+            handle.gamemodes.remove(this.registeredGamemodes[i]);
+        for (let i = 0, l = this.registeredProtocols.length; i < l; i++)
+            handle.protocols.remove(this.registeredProtocols[i]);
+        for (let i = 0, l = this.registeredListeners.length; i < l; i++)
+            handle.events.off(this.registeredListeners[i].event, this.registeredListeners[i].listener);
+        this.registeredCommands.splice(0);
+        this.registeredChatCommands.splice(0);
+        this.registeredGamemodes.splice(0);
+        this.registeredProtocols.splice(0);
+        this.registeredListeners.splice(0);
+    }
+}
+
+module.exports = PluginContext;
+
+const ServerHandle = require("../ServerHandle");
+const { Command } = require("../commands/CommandList");
+const Gamemode = require("../gamemodes/Gamemode");
+const Protocol = require("../protocols/Protocol");
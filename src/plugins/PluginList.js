@@ -0,0 +1,125 @@
+const fs = require("fs");
+const path = require("path");
+
+const PluginContext = require("./PluginContext");
+
+/**
+ * Loads plugins from `pluginDirectory`, each being a .js file or a folder that can be required,
+ * exporting `load(plugin)` and optionally `unload(plugin)` which get a {@link PluginContext}
+ */
+class PluginList {
+    /**
+     * @param {ServerHandle} handle
+     */
+    constructor(handle) {
+        this.handle = handle;
+        /** @type {Indexed<{ path: string, module: Plugin, context: PluginContext }>} */
+        this.loaded = { };
+    }
+
+    get settings() { return this.handle.settings; }
+    get logger() { return this.handle.logger; }
+
+    /**
+     * @returns {string[]} names of the plugins in the plugin directory
+     */
+    scan() {
+        const directory = path.resolve(this.settings.pluginDirectory);
+        if (!fs.existsSync(directory)) return [];
+        return fs.readdirSync(directory, { withFileTypes: true })
+            .filter(v => !v.name.startsWith(".") && (v.isDirectory() || v.name.endsWith(".js")))
+            .map(v => v.isDirectory() ? v.name : v.name.slice(0, -3))
+            .sort();
+    }
+    /**
+     * @param {string} name
+     * @returns {string} null if there's no such plugin
+     */
+    resolve(name) {
+        if (!/^[\w.-]+$/.test(name) || name.startsWith(".")) return null;
+        const file = path.resolve(this.settings.pluginDirectory, name);
+        try {
+            return require.resolve(file);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    loadAll() {
+        const names = this.scan();
+        for (let i = 0, l = names.length; i < l; i++) {
+            if (this.loaded.hasOwnProperty(names[i])) continue;
+            const error = this.load(names[i]);
+            if (error !== null) this.logger.onError(`failed to load plugin ${names[i]}: ${error}`);
+        }
+    }
+
+    /**
+     * @param {string} name
+     * @returns {string} error message, null if there were none
+     */
+    load(name) {
+        if (this.loaded.hasOwnProperty(name)) return "plugin is already loaded";
+        const file = this.resolve(name);
+        if (file === null) return "no plugin has this name";
+        const context = new PluginContext(this.handle, name);
+        /** @type {Plugin} */
+        let plugin;
+        try {
+            plugin = require(file);
+            if (!plugin || !(plugin.load instanceof Function))
+                throw new Error("plugin doesn't export a load function");
+            plugin.load(context);
+        } catch (e) {
+            context.dispose();
+            forget(file);
+            return e.message;
+        }
+        this.loaded[name] = { path: file, module: plugin, context: context };
+        this.logger.inform(`loaded plugin ${name}`);
+        return null;
+    }
+    /**
+     * @param {string} name
+     * @returns {string} error message, null if there were none
+     */
+    unload(name) {
+        if (!this.loaded.hasOwnProperty(name)) return "plugin isn't loaded";
+        const plugin = this.loaded[name];
+        if (plugin.context.providesGamemode) return "plugin provides the current gamemode";
+        if (plugin.module.unload instanceof Function) {
+            try {
+                plugin.module.unload(plugin.context);
+            } catch (e) {
+                this.logger.onError(`plugin ${name} threw an error while unloading:`, e);
+            }
+        }
+        plugin.context.dispose();
+        forget(plugin.path);
+        delete this.loaded[name];
+        this.logger.inform(`unloaded plugin ${name}`);
+        return null;
+    }
+    /**
+     * @param {string} name
+     * @returns {string} error message, null if there were none
+     */
+    reload(name) {
+        const error = this.unload(name);
+        return error !== null ? error : this.load(name);
+    }
+}
+
+/**
+ * Removes a plugin's files from the require cache so loading it again picks up changes
+ * @param {string} file
+ */
+function forget(file) {
+    const directory = path.basename(file) === "index.js" ? path.dirname(file) + path.sep : file;
+    for (let key in require.cache)
+        if (key === file || key.startsWith(directory)) delete require.cache[key];
+}
+
+module.exports = PluginList;
+
+const ServerHandle = require("../ServerHandle");
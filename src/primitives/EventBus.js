@@ -0,0 +1,74 @@
+class EventBus {
+    /**
+     * @param {Logger} logger errors thrown by listeners are reported to it instead of reaching the emitter
+     * @param {string[]=} events the only events that can be listened to, any if omitted
+     */
+    constructor(logger, events) {
+        this.logger = logger;
+        this.events = events || null;
+        /** @type {{ [event: string]: Function[] }} */
+        this.listeners = { };
+    }
+
+    /**
+     * @template {keyof ServerEvents} K
+     * @param {K} event
+     * @param {(...args: ServerEvents[K]) => void} listener
+     */
+    on(event, listener) {
+        if (this.events !== null && this.events.indexOf(event) === -1)
+            throw new Error(`unknown event ${event}`);
+        if (!(listener instanceof Function))
+            throw new TypeError("given object isn't a function");
+        if (!this.listeners.hasOwnProperty(event)) this.listeners[event] = [];
+        this.listeners[event].push(listener);
+        return this;
+    }
+    /**
+     * @template {keyof ServerEvents} K
+     * @param {K} event
+     * @param {(...args: ServerEvents[K]) => void} listener
+     */
+    once(event, listener) {
+        const wrapper = (...args) => {
+            this.off(event, wrapper);
+            listener(...args);
+        };
+        return this.on(event, wrapper);
+    }
+    /**
+     * @template {keyof ServerEvents} K
+     * @param {K} event
+     * @param {(...args: ServerEvents[K]) => void} listener
+     */
+    off(event, listener) {
+        if (!this.listeners.hasOwnProperty(event)) return this;
+        const list = this.listeners[event];
+        const i = list.indexOf(listener);
+        if (i !== -1) list.splice(i, 1);
+        if (list.length === 0) delete this.listeners[event];
+        return this;
+    }
+
+    /**
+     * @template {keyof ServerEvents} K
+     * @param {K} event
+     * @param {ServerEvents[K]} args
+     */
+    emit(event, ...args) {
+        if (!this.listeners.hasOwnProperty(event)) return false;
+        const list = this.listeners[event].slice();
+        for (let i = 0, l = list.length; i < l; i++) {
+            try {
+                list[i](...args);
+            } catch (e) {
+                this.logger.onError(`listener of event ${event} threw an error:`, e);
+            }
+        }
+        return true;
+    }
+}
+
+module.exports = EventBus;
+
+const Logger = require("./Logger");
@@ -11,7 +11,7 @@ class Logger {
      * @param {LogEvent} value
      */
     set onlog(value) {
-        if (!(value instanceof Function) || value.length !== 3) throw new Error("bad value");
+        if (value !== null && (!(value instanceof Function) || value.length !== 3)) throw new Error("bad value");
         this._onLog = value;
     }
 
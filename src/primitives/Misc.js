@@ -1,24 +1,29 @@
 const IPv4MappedValidate = /^::ffff:(\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3})$/;
 
 module.exports = {
-    randomColor() {
-        switch (~~(Math.random() * 6)) {
-            case 0: return (~~(Math.random() * 0x100) << 16) | (0xFF << 8) | 0x10;
-            case 1: return (~~(Math.random() * 0x100) << 16) | (0x10 << 8) | 0xFF;
-            case 2: return (0xFF << 16) | (~~(Math.random() * 0x100) << 8) | 0x10;
-            case 3: return (0x10 << 16) | (~~(Math.random() * 0x100) << 8) | 0xFF;
-            case 4: return (0x10 << 16) | (0xFF << 8) | ~~(Math.random() * 0x100);
-            case 5: return (0xFF << 16) | (0x10 << 8) | ~~(Math.random() * 0x100);
+    /**
+     * @param {Random=} random
+     */
+    randomColor(random) {
+        const next = random ? () => random.next() : Math.random;
+        switch (~~(next() * 6)) {
+            case 0: return (~~(next() * 0x100) << 16) | (0xFF << 8) | 0x10;
+            case 1: return (~~(next() * 0x100) << 16) | (0x10 << 8) | 0xFF;
+            case 2: return (0xFF << 16) | (~~(next() * 0x100) << 8) | 0x10;
+            case 3: return (0x10 << 16) | (~~(next() * 0x100) << 8) | 0xFF;
+            case 4: return (0x10 << 16) | (0xFF << 8) | ~~(next() * 0x100);
+            case 5: return (0xFF << 16) | (0x10 << 8) | ~~(next() * 0x100);
         }
     },
     /**
      * @param {number=} color
+     * @param {Random=} random
      */
-    grayscaleColor(color) {
+    grayscaleColor(color, random) {
         /** @type {number} */
         let weight;
         if (color) weight = ~~(0.299 * (color & 0xFF) + 0.587 * ((color.g >> 8) & 0xFF) + 0.114 * (color.b >> 16));
-        else weight = 0x7F + ~~(Math.random() * 0x80);
+        else weight = 0x7F + ~~((random ? random.next() : Math.random()) * 0x80);
         return (weight << 16) | (weight << 8) | weight;
     },
     /** @param {number[]} n */
@@ -91,3 +96,5 @@ module.exports = {
 
     version: "1.3.6"
 };
+
+const Random = require("./Random");
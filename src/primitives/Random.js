@@ -0,0 +1,35 @@
+/**
+ * Seedable mulberry32 generator, so a world's simulation can be reproduced
+ */
+class Random {
+    /**
+     * @param {number=} seed unsigned 32-bit integer, picked at random if omitted
+     */
+    constructor(seed) {
+        this.seed = seed == null ? ~~(Math.random() * 4294967296) >>> 0 : seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * @returns {number} a float in [0, 1)
+     */
+    next() {
+        let t = this.state = (this.state + 0x6D2B79F5) >>> 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    /**
+     * @param {number} max
+     * @returns {number} an integer in [0, max)
+     */
+    nextInt(max) {
+        return ~~(this.next() * max);
+    }
+
+    reset() {
+        this.state = this.seed;
+    }
+}
+
+module.exports = Random;
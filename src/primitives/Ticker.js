@@ -25,7 +25,7 @@ class Ticker {
             throw new TypeError("given object isn't a function");
         const i = this.callbacks.indexOf(callback);
         if (i === -1) throw new Error("given function wasn't added");
-        this.callback.splice(i, 1);
+        this.callbacks.splice(i, 1);
         return this;
     }
     start() {
@@ -38,6 +38,7 @@ class LegacyProtocol extends Protocol {
      * @param {Reader} reader
      */
     onSocketMessage(reader) {
+        if (!this.limiter.onMessage(reader.length)) return;
         const messageId = reader.readUInt8();
         if (!this.gotKey) {
             if (messageId !== 255) return;
@@ -49,7 +50,8 @@ class LegacyProtocol extends Protocol {
         }
         switch (messageId) {
             case 0:
-                this.connection.spawningName = readZTString(reader, this.protocol);
+                const spawningName = readZTString(reader, this.protocol);
+                if (this.limiter.take("spawns")) this.connection.spawningName = spawningName;
                 break;
             case 1:
                 this.connection.requestingSpectate = true;
@@ -72,6 +74,7 @@ class LegacyProtocol extends Protocol {
                 }
                 break;
             case 17:
+                if (!this.limiter.take("splits")) break;
                 if (this.connection.controllingMinions)
                     for (let i = 0, l = this.connection.minions.length; i < l; i++)
                         this.connection.minions[i].splitAttempts++;
@@ -80,18 +83,19 @@ class LegacyProtocol extends Protocol {
             case 18: this.connection.isPressingQ = true; break;
             case 19: this.connection.isPressingQ = this.hasProcessedQ = false; break;
             case 21:
+                if (!this.limiter.take("ejects")) break;
                 if (this.connection.controllingMinions)
                     for (let i = 0, l = this.connection.minions.length; i < l; i++)
                         this.connection.minions[i].ejectAttempts++;
                 else this.connection.ejectAttempts++;
                 break;
             case 22:
-                if (!this.gotKey || !this.settings.minionEnableERTPControls) break;
+                if (!this.gotKey || !this.settings.minionEnableERTPControls || !this.limiter.take("splits")) break;
                 for (let i = 0, l = this.connection.minions.length; i < l; i++)
                     this.connection.minions[i].splitAttempts++;
                 break;
             case 23:
-                if (!this.gotKey || !this.settings.minionEnableERTPControls) break;
+                if (!this.gotKey || !this.settings.minionEnableERTPControls || !this.limiter.take("ejects")) break;
                 for (let i = 0, l = this.connection.minions.length; i < l; i++)
                     this.connection.minions[i].ejectAttempts++;
                 break;
@@ -114,6 +118,14 @@ class LegacyProtocol extends Protocol {
                 const message = readZTString(reader, this.protocol);
                 this.connection.onChatMessage(message);
                 break;
+            case 100:
+                if (reader.length < 4)
+                    return void this.fail(1003, "Unexpected message format");
+                const register = (reader.readUInt8() & 1) === 1;
+                const name = readZTString(reader, this.protocol);
+                const password = readZTString(reader, this.protocol);
+                this.connection.onAccountRequest(name, password, register);
+                break;
             case 254:
                 if (this.connection.hasPlayer && this.connection.player.hasWorld)
                     this.onStatsRequest();
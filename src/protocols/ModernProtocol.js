@@ -51,6 +51,7 @@ class ModernProtocol extends Protocol {
      * @param {Reader} reader
      */
     onSocketMessage(reader) {
+        if (!this.limiter.onMessage(reader.length)) return;
         const messageId = reader.readUInt8();
         switch (messageId) {
             case 2:
@@ -63,8 +64,10 @@ class ModernProtocol extends Protocol {
                 let i, l, count;
                 this.connection.mouseX = reader.readInt32();
                 this.connection.mouseY = reader.readInt32();
-                this.connection.splitAttempts += reader.readUInt8();
                 count = reader.readUInt8();
+                if (this.limiter.take("splits", count)) this.connection.splitAttempts += count;
+                count = reader.readUInt8();
+                if (!this.limiter.take("splits", count)) count = 0;
                 for (i = 0, l = this.connection.minions.length; count > 0 && i < l; i++)
                     this.connection.minions[i].splitAttempts += count;
 
@@ -72,13 +75,14 @@ class ModernProtocol extends Protocol {
                 if (globalFlags & 1) {
                     if (reader.length < 13)
                         return void this.fail(1003, "Unexpected message format");
-                    this.connection.spawningName = reader.readZTStringUTF8();
+                    const spawningName = reader.readZTStringUTF8();
+                    if (this.limiter.take("spawns")) this.connection.spawningName = spawningName;
                 }
                 if (globalFlags & 2) this.connection.requestingSpectate = true;
                 if (globalFlags & 4) this.connection.isPressingQ = true;
                 if (globalFlags & 8) this.connection.isPressingQ = this.connection.hasProcessedQ = false;
-                if (globalFlags & 16) this.connection.ejectAttempts++;
-                if (globalFlags & 32)
+                if ((globalFlags & 16) && this.limiter.take("ejects")) this.connection.ejectAttempts++;
+                if ((globalFlags & 32) && this.limiter.take("ejects"))
                     for (i = 0, l = this.connection.minions.length; i < l; i++)
                         this.connection.minions[i].ejectAttempts++;
                 if (globalFlags & 64) this.connection.minionsFrozen = !this.connection.minionsFrozen;
@@ -92,6 +96,14 @@ class ModernProtocol extends Protocol {
                         this.connection.onChatMessage(reader.readZTStringUTF8());
                 }
                 break;
+            case 4:
+                if (reader.length < 4)
+                    return void this.fail(1003, "Unexpected message format");
+                const register = (reader.readUInt8() & 1) === 1;
+                const name = reader.readZTStringUTF8();
+                const password = reader.readZTStringUTF8();
+                this.connection.onAccountRequest(name, password, register);
+                break;
             default: return void this.fail(1003, "Unknown message type");
         }
     }
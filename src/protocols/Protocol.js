@@ -1,3 +1,5 @@
+const RateLimiter = require("../moderation/RateLimiter");
+
 /**
  * @abstract
  */
@@ -7,6 +9,7 @@ class Protocol {
      */
     constructor(connection) {
         this.connection = connection;
+        this.limiter = new RateLimiter(connection);
     }
 
     /**
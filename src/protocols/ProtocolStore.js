@@ -3,6 +3,8 @@ class ProtocolStore {
     constructor() {
         /** @type {typeof Protocol[]} */
         this.store = [];
+        /** @type {WeakMap<Connection, number>} */
+        this.failedHandshakes = new WeakMap();
     }
 
     /**
@@ -11,6 +13,16 @@ class ProtocolStore {
     register(...protocols) {
         this.store.splice(this.store.length, 0, ...protocols);
     }
+    /**
+     * Connections that already use the protocol keep using it
+     * @param {typeof Protocol} protocol
+     */
+    remove(protocol) {
+        const index = this.store.indexOf(protocol);
+        if (index === -1) return false;
+        this.store.splice(index, 1);
+        return true;
+    }
 
     /**
      * @param {Connection} connection
@@ -23,8 +35,14 @@ class ProtocolStore {
                 reader.offset = 0;
                 continue;
             }
+            this.failedHandshakes.delete(connection);
             return connection.socketDisconnected ? null : generated;
         }
+        const failed = (this.failedHandshakes.get(connection) || 0) + 1;
+        this.failedHandshakes.set(connection, failed);
+        const maxAttempts = connection.listener.settings.listenerMaxHandshakeAttempts;
+        if (maxAttempts > 0 && failed >= maxAttempts)
+            connection.listener.onHandshakeFail(connection, "Unrecognized handshake");
         return null;
     }
 }
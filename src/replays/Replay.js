@@ -0,0 +1,212 @@
+const fs = require("fs");
+const Reader = require("../primitives/Reader");
+const ReplayRecorder = require("./ReplayRecorder");
+
+/**
+ * Stands in for a Cell when a recording is fed to a Protocol's encoders
+ */
+class ReplayCell {
+    /**
+     * @param {number} id
+     * @param {number} type
+     */
+    constructor(id, type) {
+        this.id = id;
+        this.type = type;
+        this.x = 0;
+        this.y = 0;
+        this.size = 0;
+        this.color = 0;
+        /** @type {string} */
+        this.name = null;
+        /** @type {string} */
+        this.skin = null;
+        this.isSpiked = false;
+        this.isAgitated = false;
+        /** @type {Player} */
+        this.owner = null;
+        /** @type {ReplayCell} */
+        this.eatenBy = null;
+
+        this.posChanged =
+            this.sizeChanged =
+            this.colorChanged =
+            this.nameChanged =
+            this.skinChanged =
+            false;
+    }
+}
+
+/**
+ * @typedef {{ border: Rect, add: ReplayCell[], upd: ReplayCell[], eat: ReplayCell[], del: ReplayCell[] }} ReplayFrame
+ */
+
+class Replay {
+    /**
+     * @param {Buffer} data
+     */
+    constructor(data) {
+        this.data = data;
+        if (data.length < 17 || data.toString("ascii", 0, 4) !== ReplayRecorder.magic)
+            throw new Error("not a replay file");
+        if (data[4] !== ReplayRecorder.version)
+            throw new Error(`unsupported replay version ${data[4]}`);
+        this.tickDelay = data.readFloatLE(5);
+        this.date = new Date(data.readDoubleLE(9));
+
+        /** @type {number[]} */
+        this.frameOffsets = [];
+        let offset = 17, frameStart = offset;
+        while (offset + 5 <= data.length) {
+            const type = data[offset];
+            const length = data.readUInt32LE(offset + 1);
+            if (offset + 5 + length > data.length) break;
+            offset += 5 + length;
+            if (type !== 2) continue;
+            this.frameOffsets.push(frameStart);
+            frameStart = offset;
+        }
+
+        this.frame = 0;
+        /** @type {string} why playback was cut short, null if every frame so far decoded fine */
+        this.error = null;
+        /** @type {Indexed<ReplayCell>} */
+        this.cells = { };
+        /** @type {Rect} */
+        this.border = { x: 0, y: 0, w: 0, h: 0 };
+    }
+
+    /**
+     * @param {string} path
+     * @param {number} maxSize in bytes, larger files are refused without being read
+     * @param {(error: Error, replay: Replay) => void} callback
+     */
+    static fromFile(path, maxSize, callback) {
+        fs.stat(path, (error, stat) => {
+            if (error) return void callback(error, null);
+            if (stat.size > maxSize) return void callback(new Error("replay file is too large"), null);
+            fs.readFile(path, (error, data) => {
+                if (error) return void callback(error, null);
+                let replay;
+                try { replay = new Replay(data); }
+                catch (e) { return void callback(e, null); }
+                callback(null, replay);
+            });
+        });
+    }
+
+    get frameCount() { return this.frameOffsets.length; }
+    get ended() { return this.frame >= this.frameOffsets.length; }
+    get duration() { return this.frameOffsets.length * this.tickDelay / 1000; }
+    get time() { return this.frame * this.tickDelay / 1000; }
+
+    /**
+     * Decodes the next frame and applies it to the cell state,
+     * a malformed frame ends the replay there and sets its error
+     * @returns {ReplayFrame} null if the replay has ended
+     */
+    step() {
+        if (this.ended) return null;
+        const index = this.frame++;
+        const end = index + 1 < this.frameOffsets.length ? this.frameOffsets[index + 1] : this.data.length;
+        try {
+            return this.decodeFrame(new Reader(this.data.subarray(0, end), this.frameOffsets[index]));
+        } catch (e) {
+            this.error = e instanceof RangeError ? "frame data is truncated" : e.message;
+            this.frame = index;
+            this.frameOffsets.splice(index);
+            return null;
+        }
+    }
+    /**
+     * @param {number} id
+     * @returns {ReplayCell}
+     */
+    getCell(id) {
+        if (!this.cells.hasOwnProperty(id)) throw new Error(`frame references unknown cell ${id}`);
+        return this.cells[id];
+    }
+    /**
+     * @param {Reader} reader
+     * @returns {ReplayFrame}
+     */
+    decodeFrame(reader) {
+        /** @type {ReplayFrame} */
+        const frame = { border: null, add: [], upd: [], eat: [], del: [] };
+        let id, cell, flags;
+        while (true) {
+            const type = reader.readUInt8();
+            reader.skip(4);
+            if (type === 1) {
+                this.border.x = reader.readFloat32();
+                this.border.y = reader.readFloat32();
+                this.border.w = reader.readFloat32();
+                this.border.h = reader.readFloat32();
+                frame.border = this.border;
+                continue;
+            }
+            break;
+        }
+
+        while ((id = reader.readUInt32()) !== 0) {
+            cell = new ReplayCell(id, reader.readUInt8());
+            cell.x = reader.readFloat32();
+            cell.y = reader.readFloat32();
+            cell.size = reader.readUInt16();
+            cell.color = reader.readUInt24();
+            flags = reader.readUInt8();
+            cell.isSpiked = (flags & 1) !== 0;
+            cell.isAgitated = (flags & 2) !== 0;
+            if (flags & 4) cell.name = reader.readZTStringUTF8();
+            if (flags & 8) cell.skin = reader.readZTStringUTF8();
+            this.cells[id] = cell;
+            frame.add.push(cell);
+        }
+        while ((id = reader.readUInt32()) !== 0) {
+            cell = this.getCell(id);
+            flags = reader.readUInt8();
+            cell.posChanged = (flags & 1) !== 0;
+            cell.sizeChanged = (flags & 2) !== 0;
+            cell.colorChanged = (flags & 4) !== 0;
+            cell.nameChanged = (flags & 8) !== 0;
+            cell.skinChanged = (flags & 16) !== 0;
+            if (cell.posChanged) {
+                cell.x = reader.readFloat32();
+                cell.y = reader.readFloat32();
+            }
+            if (cell.sizeChanged) cell.size = reader.readUInt16();
+            if (cell.colorChanged) cell.color = reader.readUInt24();
+            if (cell.nameChanged) cell.name = reader.readZTStringUTF8();
+            if (cell.skinChanged) cell.skin = reader.readZTStringUTF8();
+            frame.upd.push(cell);
+        }
+        while ((id = reader.readUInt32()) !== 0) {
+            cell = this.getCell(id);
+            const eatenById = reader.readUInt32();
+            cell.eatenBy = this.cells.hasOwnProperty(eatenById) ? this.cells[eatenById] : new ReplayCell(eatenById, 0);
+            frame.eat.push(cell);
+        }
+        while ((id = reader.readUInt32()) !== 0) {
+            frame.del.push(this.getCell(id));
+            delete this.cells[id];
+        }
+        return frame;
+    }
+
+    /**
+     * Rebuilds the cell state up to the given frame
+     * @param {number} frame
+     */
+    seek(frame) {
+        frame = Math.max(0, Math.min(frame, this.frameOffsets.length));
+        if (frame < this.frame) {
+            this.frame = 0;
+            this.cells = { };
+        }
+        while (this.frame < frame && this.step() !== null);
+    }
+}
+
+module.exports = Replay;
+
+const Player = require("../worlds/Player");
@@ -0,0 +1,147 @@
+const fs = require("fs");
+const Writer = require("../primitives/Writer");
+
+const ReplayMagic = "OGRP";
+const ReplayVersion = 1;
+
+class ReplayRecorder {
+    /**
+     * @param {World} world
+     * @param {string} path
+     */
+    constructor(world, path) {
+        this.world = world;
+        this.path = path;
+        this.frames = 0;
+        this.bytes = 0;
+        /** @type {Indexed<Cell>} */
+        this.lastCells = { };
+        /** @type {Rect} */
+        this.lastBorder = { x: NaN, y: NaN, w: NaN, h: NaN };
+        /** @type {fs.WriteStream} */
+        this.stream = fs.createWriteStream(path);
+        this.stream.on("error", (e) => {
+            this.world.handle.logger.onError(`replay recorder for world ${this.world.id} failed: ${e.message}`);
+            this.world.recorder = null;
+        });
+
+        const writer = new Writer();
+        writer.writeBytes(Buffer.from(ReplayMagic, "ascii"));
+        writer.writeUInt8(ReplayVersion);
+        writer.writeFloat32(world.handle.tickDelay);
+        writer.writeFloat64(Date.now());
+        this.write(writer.finalize());
+    }
+
+    static get magic() { return ReplayMagic; }
+    static get version() { return ReplayVersion; }
+
+    get duration() { return this.frames * this.world.handle.tickDelay / 1000; }
+
+    /**
+     * @param {Buffer} data
+     */
+    write(data) {
+        this.bytes += data.length;
+        this.stream.write(data);
+    }
+
+    /**
+     * Called after the world's tick, captures every cell change since the last one
+     */
+    capture() {
+        const border = this.world.border;
+        const last = this.lastBorder;
+        if (border.x !== last.x || border.y !== last.y || border.w !== last.w || border.h !== last.h) {
+            last.x = border.x; last.y = border.y; last.w = border.w; last.h = border.h;
+            const writer = new Writer();
+            writer.writeUInt8(1);
+            writer.writeUInt32(16);
+            writer.writeFloat32(border.x);
+            writer.writeFloat32(border.y);
+            writer.writeFloat32(border.w);
+            writer.writeFloat32(border.h);
+            this.write(writer.finalize());
+        }
+
+        /** @type {Indexed<Cell>} */
+        const cells = { };
+        const writer = new Writer();
+        writer.writeUInt8(2);
+        writer.writeUInt32(0);
+        let i, l, flags, cell;
+
+        for (i = 0, l = this.world.cells.length; i < l; i++) {
+            cell = this.world.cells[i];
+            cells[cell.id] = cell;
+            if (this.lastCells.hasOwnProperty(cell.id)) continue;
+            writer.writeUInt32(cell.id);
+            writer.writeUInt8(cell.type);
+            writer.writeFloat32(cell.x);
+            writer.writeFloat32(cell.y);
+            writer.writeUInt16(cell.size);
+            writer.writeUInt24(cell.color);
+            flags = 0;
+            if (cell.isSpiked) flags |= 1;
+            if (cell.isAgitated) flags |= 2;
+            if (!!cell.name) flags |= 4;
+            if (!!cell.skin) flags |= 8;
+            writer.writeUInt8(flags);
+            if (!!cell.name) writer.writeZTStringUTF8(cell.name);
+            if (!!cell.skin) writer.writeZTStringUTF8(cell.skin);
+        }
+        writer.writeUInt32(0);
+
+        for (i = 0, l = this.world.cells.length; i < l; i++) {
+            cell = this.world.cells[i];
+            if (!this.lastCells.hasOwnProperty(cell.id) || !cell.shouldUpdate) continue;
+            flags = 0;
+            if (cell.posChanged) flags |= 1;
+            if (cell.sizeChanged) flags |= 2;
+            if (cell.colorChanged) flags |= 4;
+            if (cell.nameChanged) flags |= 8;
+            if (cell.skinChanged) flags |= 16;
+            writer.writeUInt32(cell.id);
+            writer.writeUInt8(flags);
+            if (cell.posChanged) {
+                writer.writeFloat32(cell.x);
+                writer.writeFloat32(cell.y);
+            }
+            if (cell.sizeChanged) writer.writeUInt16(cell.size);
+            if (cell.colorChanged) writer.writeUInt24(cell.color);
+            if (cell.nameChanged) writer.writeZTStringUTF8(cell.name);
+            if (cell.skinChanged) writer.writeZTStringUTF8(cell.skin);
+        }
+        writer.writeUInt32(0);
+
+        for (let id in this.lastCells) {
+            cell = this.lastCells[id];
+            if (cells.hasOwnProperty(id) || cell.eatenBy === null) continue;
+            writer.writeUInt32(cell.id);
+            writer.writeUInt32(cell.eatenBy.id);
+        }
+        writer.writeUInt32(0);
+
+        for (let id in this.lastCells) {
+            if (cells.hasOwnProperty(id)) continue;
+            writer.writeUInt32(this.lastCells[id].id);
+        }
+        writer.writeUInt32(0);
+
+        const data = writer.finalize();
+        data.writeUInt32LE(data.length - 5, 1);
+        this.write(data);
+        this.lastCells = cells;
+        this.frames++;
+    }
+
+    close() {
+        this.stream.end();
+        this.lastCells = { };
+    }
+}
+
+module.exports = ReplayRecorder;
+
+const World = require("../worlds/World");
+const Cell = require("../cells/Cell");
@@ -0,0 +1,116 @@
+const Router = require("../sockets/Router");
+
+class ReplayRouter extends Router {
+    /**
+     * @param {Connection} connection
+     * @param {Replay} replay
+     */
+    constructor(connection, replay) {
+        super(connection.listener);
+        this.connection = connection;
+        this.replay = replay;
+        this.paused = false;
+        this.speed = 1;
+        this.pendingFrames = 0;
+        this.stopped = false;
+        /** @type {ViewArea} */
+        this.viewArea = { x: 0, y: 0, w: 0, h: 0, s: this.settings.playerRoamViewScale };
+
+        const player = connection.player;
+        if (player.hasWorld) player.world.removePlayer(player);
+        if (this.handle.matchmaker.isInQueue(connection)) this.handle.matchmaker.dequeue(connection);
+        this.seek(0);
+    }
+
+    static get type() { return "replay"; }
+    static get isExternal() { return false; }
+    static get separateInTeams() { return false; }
+
+    get protocol() { return this.connection.protocol; }
+
+    pause() {
+        this.paused = true;
+    }
+    resume() {
+        this.paused = false;
+    }
+    /**
+     * @param {number} speed
+     */
+    setSpeed(speed) {
+        this.speed = speed;
+        this.pendingFrames = 0;
+    }
+    /**
+     * Rebuilds the replay's state at the given frame and resends it from scratch
+     * @param {number} frame
+     */
+    seek(frame) {
+        this.replay.seek(frame);
+        this.protocol.onWorldReset();
+        this.protocol.onNewWorldBounds(this.replay.border, true);
+        const cells = Object.keys(this.replay.cells).map(id => this.replay.cells[id]);
+        this.protocol.onVisibleCellUpdate(cells, [], [], []);
+        if (frame === 0) {
+            const border = this.replay.border;
+            this.viewArea.x = border.x;
+            this.viewArea.y = border.y;
+        }
+    }
+    stop() {
+        this.stopped = true;
+    }
+
+    updateViewArea() {
+        let dx = this.connection.mouseX - this.viewArea.x;
+        let dy = this.connection.mouseY - this.viewArea.y;
+        const d = Math.sqrt(dx * dx + dy * dy);
+        const D = Math.min(d, this.settings.playerRoamSpeed);
+        if (D >= 1) {
+            dx /= d; dy /= d;
+            const border = this.replay.border;
+            this.viewArea.x = Math.max(border.x - border.w, Math.min(this.viewArea.x + dx * D, border.x + border.w));
+            this.viewArea.y = Math.max(border.y - border.h, Math.min(this.viewArea.y + dy * D, border.y + border.h));
+        }
+        this.viewArea.w = 1920 / this.viewArea.s / 2 * this.settings.playerViewScaleMult;
+        this.viewArea.h = 1080 / this.viewArea.s / 2 * this.settings.playerViewScaleMult;
+        this.protocol.onSpectatePosition(this.viewArea);
+    }
+
+    close() {
+        super.close();
+        if (this.connection.socketDisconnected) return;
+        this.protocol.onWorldReset();
+        if (this.connection.hasPlayer && this.connection.player.hasWorld)
+            this.connection.onWorldSet();
+    }
+
+    get shouldClose() {
+        return this.stopped ||
+            this.connection.socketDisconnected ||
+            this.connection.disconnected ||
+            !this.connection.hasPlayer ||
+            this.connection.player.hasWorld;
+    }
+    update() {
+        this.updateViewArea();
+        if (this.paused) return void this.protocol.onVisibleCellUpdate([], [], [], []);
+        this.pendingFrames += this.speed;
+        for (; this.pendingFrames >= 1; this.pendingFrames--) {
+            const frame = this.replay.step();
+            if (frame === null) break;
+            if (frame.border !== null) this.protocol.onNewWorldBounds(frame.border, false);
+            this.protocol.onVisibleCellUpdate(frame.add, frame.upd, frame.eat, frame.del);
+        }
+        if (this.replay.ended) {
+            this.paused = true;
+            this.listener.globalChat.directMessage(null, this.connection,
+                this.replay.error !== null ? `replay has ended early: ${this.replay.error}` : "replay has ended");
+        }
+    }
+}
+
+module.exports = ReplayRouter;
+
+const Connection = require("../sockets/Connection");
+const Replay = require("./Replay");
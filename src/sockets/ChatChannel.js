@@ -4,6 +4,12 @@ const serverSource = {
     color: 0x3F3FC0
 };
 
+/** @param {Punishment} mute */
+function describeMute(mute) {
+    const until = mute.expires === null ? "permanently" : `until ${new Date(mute.expires).toUTCString()}`;
+    return `you are muted ${until}${mute.reason ? `: ${mute.reason}` : ""}`;
+}
+
 /** @param {Connection} connection */
 function getSourceFromConnection(connection) {
     return {
@@ -16,11 +22,15 @@ function getSourceFromConnection(connection) {
 class ChatChannel {
     /**
      * @param {Listener} listener
+     * @param {string} name
      */
-    constructor(listener) {
+    constructor(listener, name) {
         this.listener = listener;
+        this.name = name;
         /** @type {Connection[]} */
         this.connections = [];
+        /** @type {{ source: ChatSource, message: string }[]} the latest messages, oldest first */
+        this.history = [];
     }
 
     get settings() { return this.listener.handle.settings; }
@@ -30,45 +40,93 @@ class ChatChannel {
      */
     add(connection) {
         this.connections.push(connection);
+        if (connection.protocol !== null) return void this.replayHistory(connection);
+        // modern clients join during their handshake, their protocol is set right after it
+        setImmediate(() => {
+            if (connection.protocol !== null && this.connections.indexOf(connection) !== -1)
+                this.replayHistory(connection);
+        });
     }
     /**
      * @param {Connection} connection
      */
     remove(connection) {
-        this.connections.splice(this.connections.indexOf(connection), 1);
+        const index = this.connections.indexOf(connection);
+        if (index !== -1) this.connections.splice(index, 1);
     }
 
     /**
+     * @param {Connection} connection
+     */
+    replayHistory(connection) {
+        for (let i = 0, l = this.history.length; i < l; i++)
+            connection.protocol.onChatMessage(this.history[i].source, this.history[i].message);
+    }
+    /**
+     * @param {ChatSource} source
      * @param {string} message
      */
-    shouldFilter(message) {
-        message = message.toLowerCase();
-        for (let i = 0, l = this.settings.chatFilteredPhrases.length; i < l; i++)
-            if (message.indexOf(this.settings.chatFilteredPhrases[i]) !== -1)
-                return true;
-        return false;
+    remember(source, message) {
+        const size = this.settings.chatHistorySize;
+        this.history.push({ source: source, message: message });
+        if (this.history.length > size) this.history.splice(0, this.history.length - size);
     }
+
     /**
+     * Checks whether the source may chat and runs its message through the chat filter
+     * @param {Connection} source
+     * @param {string} message
+     * @returns {string} the message after filtering, null if it shouldn't be sent
+     */
+    filter(source, message) {
+        const mute = this.listener.handle.punishments.findForRouter("mute", source);
+        if (mute !== null) {
+            this.listener.globalChat.directMessage(null, source, describeMute(mute));
+            return null;
+        }
+        return this.listener.handle.chatFilter.check(source, message, "message");
+    }
+    /**
+     * Messages players send to the global channel go to the channel they picked as their default
      * @param {Connection=} source
      * @param {string} message
      */
     broadcast(source, message) {
-        if (this.shouldFilter(message))
+        if (source != null && this === this.listener.globalChat && source.defaultChannel !== "global") {
+            const channel = this.listener.getChatChannel(source, source.defaultChannel);
+            if (channel === null)
+                return void this.directMessage(null, source, `you're not in a ${source.defaultChannel} channel, use /channel to switch`);
+            return void channel.send(source, message);
+        }
+        this.send(source, message);
+    }
+    /**
+     * @param {Connection=} source
+     * @param {string} message
+     */
+    send(source, message) {
+        if (source != null && (message = this.filter(source, message)) === null)
             return;
         const sourceInfo = source == null ? serverSource : getSourceFromConnection(source);
         for (let i = 0, l = this.connections.length; i < l; i++)
             this.connections[i].protocol.onChatMessage(sourceInfo, message);
+        this.remember(sourceInfo, message);
+        this.listener.onChatMessage(this.name, sourceInfo, message);
     }
     /**
      * @param {Connection=} source
      * @param {Connection} recipient
      * @param {string} message
+     * @returns {boolean} false if the message was blocked
      */
     directMessage(source, recipient, message) {
-        if (this.shouldFilter(message))
-            return;
+        if (source != null && (message = this.filter(source, message)) === null)
+            return false;
         const sourceInfo = source == null ? serverSource : getSourceFromConnection(source);
         recipient.protocol.onChatMessage(sourceInfo, message);
+        if (source != null && recipient.hasPlayer)
+            this.listener.onChatMessage(`whisper to ${recipient.player.id}`, sourceInfo, message);
+        return true;
     }
 }
 
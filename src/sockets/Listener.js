@@ -5,6 +5,31 @@ const Connection = require("./Connection");
 const ChatChannel = require("./ChatChannel");
 const { filterIPAddress } = require("../primitives/Misc");
 
+/**
+ * Adds an event to an address's sliding window, forgetting the ones that are older than the window
+ * @param {{ [address: string]: number[] }} log
+ * @param {IPAddress} address
+ * @param {number} window in seconds
+ * @returns {number} the amount of events in the window including the new one
+ */
+function logEvent(log, address, window) {
+    const now = Date.now();
+    const since = now - window * 1000;
+    const events = (log[address] || []).filter(v => v > since);
+    events.push(now);
+    log[address] = events;
+    return events.length;
+}
+/**
+ * @param {{ [address: string]: number[] }} log
+ * @param {number} window in seconds
+ */
+function pruneLog(log, window) {
+    const since = Date.now() - window * 1000;
+    for (let address in log)
+        if (log[address][log[address].length - 1] <= since) delete log[address];
+}
+
 class Listener {
     /**
      * @param {ServerHandle} handle
@@ -13,7 +38,7 @@ class Listener {
         /** @type {WebSocketServer} */
         this.listenerSocket = null;
         this.handle = handle;
-        this.globalChat = new ChatChannel(this);
+        this.globalChat = new ChatChannel(this, "global");
 
         /** @type {Router[]} */
         this.routers = [];
@@ -21,30 +46,63 @@ class Listener {
         this.connections = [];
         /** @type {Counter<IPAddress>} */
         this.connectionsByIP = { };
+        /** @type {{ [address: string]: number[] }} times of recent connection attempts */
+        this.connectAttempts = { };
+        /** @type {{ [address: string]: number[] }} times of recent connection floods and failed handshakes */
+        this.floodOffences = { };
+        /** @type {{ [address: string]: number[] }} times of recent rate limit disconnections */
+        this.rateLimitTrips = { };
+        /** @type {string[]} upgrade request paths left for other handlers on the shared HTTP server */
+        this.reservedPaths = [];
+
+        this.onUpgrade = this.onUpgrade.bind(this);
+        this.onOpen = this.onOpen.bind(this);
     }
 
     get settings() { return this.handle.settings; }
     get logger() { return this.handle.logger; }
 
     open() {
-    if (this.listenerSocket !== null) return false;
-    this.logger.debug(`listener opening on shared HTTP server`);
-    this.listenerSocket = new WebSocketServer({
-        server: this.handle.httpServer,
-        verifyClient: this.verifyClient.bind(this)
-    }, this.onOpen.bind(this));
-    this.listenerSocket.on("connection", this.onConnection.bind(this));
-    return true;
-}
+        if (this.listenerSocket !== null) return false;
+        this.logger.debug(`listener opening on shared HTTP server`);
+        this.listenerSocket = new WebSocketServer({
+            noServer: true,
+            verifyClient: this.verifyClient.bind(this)
+        });
+        this.listenerSocket.on("connection", this.onConnection.bind(this));
+        this.handle.httpServer.on("upgrade", this.onUpgrade);
+        if (this.handle.httpServer.listening) this.onOpen();
+        else this.handle.httpServer.once("listening", this.onOpen);
+        return true;
+    }
 
     close() {
         if (this.listenerSocket === null) return false;
         this.logger.debug("listener closing");
+        this.handle.httpServer.removeListener("upgrade", this.onUpgrade);
+        this.handle.httpServer.removeListener("listening", this.onOpen);
         this.listenerSocket.close();
         this.listenerSocket = null;
         return true;
     }
 
+    onOpen() {
+        this.logger.inform(`listener open at ${this.handle.httpServer.address().port}`);
+    }
+
+    /**
+     * @param {any} req
+     * @param {any} socket
+     * @param {Buffer} head
+     */
+    onUpgrade(req, socket, head) {
+        const index = req.url.indexOf("?");
+        const path = index !== -1 ? req.url.slice(0, index) : req.url;
+        if (this.reservedPaths.indexOf(path) !== -1) return;
+        this.listenerSocket.handleUpgrade(req, socket, head, (webSocket) =>
+            this.listenerSocket.emit("connection", webSocket, req));
+    }
+
     /**
      * @param {{req: any, origin: string}} info
      * @param {*} response
@@ -65,6 +123,17 @@ class Listener {
             this.logger.debug(`listenerForbiddenIPs contains ${address}, dropping connection`);
             return void response(false, 403, "Forbidden");
         }
+        const ban = this.handle.punishments.find("ban", address);
+        if (ban !== null) {
+            this.logger.debug(`${address} is banned by #${ban.id}, dropping connection`);
+            return void response(false, 403, "Forbidden");
+        }
+        if (this.settings.listenerMaxConnectsPerWindow > 0 &&
+            logEvent(this.connectAttempts, address, this.settings.listenerConnectWindow) > this.settings.listenerMaxConnectsPerWindow) {
+            this.logger.debug(`listenerMaxConnectsPerWindow reached for '${address}', dropping its new connections`);
+            this.onFloodOffence(address, "connecting too often");
+            return void response(false, 429, "Too Many Requests");
+        }
         if (this.settings.listenerMaxConnectionsPerIP > 0) {
             const count = this.connectionsByIP[address];
             if (count && count >= this.settings.listenerMaxConnectionsPerIP) {
@@ -75,8 +144,28 @@ class Listener {
         this.logger.debug("client verification passed");
         response(true);
     }
-    onOpen() {
-        this.logger.inform(`listener open at ${this.settings.listeningPort}`);
+
+    /**
+     * @param {Router} router
+     * @param {ChatChannelType} type
+     * @returns {ChatChannel} null if the router isn't in a channel of this type
+     */
+    getChatChannel(router, type) {
+        if (type === "global") return this.globalChat;
+        if (!router.hasPlayer || !router.player.hasWorld) return null;
+        const world = router.player.world;
+        if (type === "world") return world.worldChat;
+        if (type === "team" && router.player.team !== null && world.teamChats)
+            return world.teamChats[router.player.team];
+        return null;
+    }
+    /**
+     * @param {string} channel
+     * @param {ChatSource} source
+     * @param {string} message
+     */
+    onChatMessage(channel, source, message) {
+        this.handle.events.emit("chatMessage", channel, source, message);
     }
 
     /**
@@ -116,6 +205,44 @@ class Listener {
         this.connections.splice(this.connections.indexOf(connection), 1);
     }
 
+    /**
+     * @param {Connection} connection
+     */
+    onRateLimitTrip(connection) {
+        const address = connection.remoteAddress;
+        this.logger.warn(`${address} disconnected for exceeding rate limits (dropped ${connection.protocol.limiter.describe()})`);
+        if (this.settings.rateLimitBanAfter <= 0) return;
+        if (logEvent(this.rateLimitTrips, address, this.settings.rateLimitBanWindow) < this.settings.rateLimitBanAfter) return;
+        delete this.rateLimitTrips[address];
+        this.handle.punishments.add("ban", { match: "ip", value: address }, "Flooding",
+            "rate limiter", this.settings.rateLimitBanDuration * 1000);
+    }
+    /**
+     * @param {IPAddress} address
+     * @param {string} offence
+     */
+    onFloodOffence(address, offence) {
+        this.logger.debug(`flood offence from ${address}: ${offence}`);
+        if (this.settings.listenerFloodBanAfter <= 0) return;
+        // a retrying client gets rejected over and over, only one offence counts per connect window
+        const offences = this.floodOffences[address];
+        if (offences && offences[offences.length - 1] > Date.now() - this.settings.listenerConnectWindow * 1000) return;
+        if (logEvent(this.floodOffences, address, this.settings.listenerFloodBanWindow) < this.settings.listenerFloodBanAfter) return;
+        delete this.floodOffences[address];
+        delete this.connectAttempts[address];
+        this.handle.punishments.add("ban", { match: "ip", value: address }, `Connection flooding (${offence})`,
+            "flood protection", this.settings.listenerFloodBanDuration * 1000);
+    }
+    /**
+     * @param {Connection} connection
+     * @param {string} reason
+     */
+    onHandshakeFail(connection, reason) {
+        if (connection.socketDisconnected) return;
+        connection.closeSocket(1003, reason);
+        this.onFloodOffence(connection.remoteAddress, reason.toLowerCase());
+    }
+
     update() {
         let i, l;
         for (i = 0, l = this.routers.length; i < l; i++) {
@@ -124,10 +251,18 @@ class Listener {
             router.close(); i--; l--;
         }
         for (i = 0; i < l; i++) this.routers[i].update();
+        if (this.handle.tick % this.settings.serverFrequency === 0) {
+            pruneLog(this.connectAttempts, this.settings.listenerConnectWindow);
+            pruneLog(this.floodOffences, this.settings.listenerFloodBanWindow);
+            pruneLog(this.rateLimitTrips, this.settings.rateLimitBanWindow);
+        }
+        const handshakeTimeout = this.settings.listenerHandshakeTimeout * 1000;
         for (i = 0, l = this.connections.length; i < l; i++) {
             const connection = this.connections[i];
             if (this.settings.listenerForbiddenIPs.indexOf(connection.remoteAddress) !== -1)
                 connection.closeSocket(1003, "Remote address is forbidden");
+            else if (handshakeTimeout > 0 && connection.protocol === null && Date.now() - connection.connectTime >= handshakeTimeout)
+                this.onHandshakeFail(connection, "Handshake timed out");
             else if (Date.now() - connection.lastActivityTime >= this.settings.listenerMaxClientDormancy)
                 connection.closeSocket(1003, "Maximum dormancy time exceeded");
         }
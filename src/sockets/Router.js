@@ -23,6 +23,12 @@ class Router {
         this.hasPlayer = false;
         /** @type {Player} */
         this.player = null;
+        /** @type {Account} */
+        this.account = null;
+        /** whether a login or registration is still hashing its password */
+        this.accountRequestPending = false;
+        /** @type {ChatChannelType} */
+        this.defaultChannel = "global";
 
         this.listener.addRouter(this);
     }
@@ -107,12 +113,38 @@ class Router {
             }
         }
 
+        if (this.isExternal && this.listener.handle.accounts.isNameReserved(this, name))
+            return void this.listener.globalChat.directMessage(null, this, "this name is reserved by an account");
+
         this.listener.handle.gamemode.onPlayerSpawnRequest(
             this.player,
             name,
             skin,
         );
     }
+    /**
+     * @param {string} name
+     * @param {string} password
+     * @param {boolean} register
+     * @virtual
+     */
+    onAccountRequest(name, password, register) {
+        const accounts = this.listener.handle.accounts;
+        const chat = this.listener.globalChat;
+        if (this.accountRequestPending) return void chat.directMessage(null, this, "your last request is still being processed");
+        this.accountRequestPending = true;
+        /** @param {string} error */
+        const done = (error) => {
+            this.accountRequestPending = false;
+            if (this.disconnected) return;
+            chat.directMessage(null, this, error !== null ? error : `logged in as ${this.account.name}`);
+        };
+        if (!register) return void accounts.login(this, name, password, done);
+        accounts.register(name, password, (error) => {
+            if (error !== null) return void done(error);
+            accounts.login(this, name, password, done);
+        });
+    }
     /** @virtual */
     onSpectateRequest() {
         if (!this.hasPlayer) return;
@@ -136,6 +168,7 @@ class Router {
 
     /** @virtual */
     close() {
+        this.listener.handle.accounts.logout(this);
         this.listener.removeRouter(this);
     }
 
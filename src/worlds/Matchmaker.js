@@ -66,7 +66,7 @@ class Matchmaker {
         for (let id in this.handle.worlds) {
             const world = this.handle.worlds[id];
             if (!this.handle.gamemode.canJoinWorld(world)) continue;
-            if (world.stats.external >= this.handle.settings.worldMaxPlayers)
+            if (world.stats.external >= world.settings.worldMaxPlayers)
                 continue;
             if (bestWorld === null || world.stats.external < bestWorld.stats.external)
                 bestWorld = world;
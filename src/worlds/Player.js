@@ -3,6 +3,7 @@ const ServerHandle = require("../ServerHandle");
 const World = require("./World");
 const Cell = require("../cells/Cell");
 const PlayerCell = require("../cells/PlayerCell");
+const PlayerStats = require("./PlayerStats");
 
 class Player {
     /**
@@ -36,6 +37,7 @@ class Player {
         /** @type {any} */
         this.team = null;
         this.score = NaN;
+        this.stats = new PlayerStats(this);
 
         /** @type {PlayerCell[]} */
         this.ownedCells = [];
@@ -53,9 +55,10 @@ class Player {
         };
     }
 
-    get settings() { return this.handle.settings; }
+    get settings() { return this.world !== null ? this.world.settings : this.handle.settings; }
 
     destroy() {
+        this.stats.destroy();
         if (this.hasWorld) this.world.removePlayer(this);
         this.exists = false;
     }
@@ -133,6 +136,7 @@ class Player {
     }
 
     checkExistence() {
+        this.stats.update();
         if (!this.router.disconnected) return;
         if (this.state !== 0) return void this.handle.removePlayer(this.id);
         const disposeDelay = this.settings.worldPlayerDisposeDelay;
@@ -0,0 +1,144 @@
+/**
+ * @returns {PlayerStatsData}
+ */
+function createStatsData() {
+    return {
+        cellsEaten: 0,
+        playersEaten: 0,
+        maxMass: 0,
+        timeAlive: 0,
+        deaths: 0,
+        splits: 0,
+        ejects: 0,
+        killedBy: Object.create(null)
+    };
+}
+/**
+ * @param {Counter<string>} killedBy
+ * @param {string} name
+ * @param {number} max
+ */
+function countKiller(killedBy, name, max) {
+    if (!(name in killedBy)) {
+        const names = Object.keys(killedBy);
+        if (names.length >= max) {
+            let least = names[0];
+            for (let i = 1, l = names.length; i < l; i++)
+                if (killedBy[names[i]] < killedBy[least]) least = names[i];
+            delete killedBy[least];
+        }
+    }
+    killedBy[name] = (killedBy[name] || 0) + 1;
+}
+
+class PlayerStats {
+    /**
+     * @param {Player} player
+     */
+    constructor(player) {
+        this.player = player;
+        this.session = createStatsData();
+        this.spawnTick = NaN;
+        this.lifeMaxMass = 0;
+        /** @type {Player} */
+        this.killer = null;
+    }
+
+    get handle() { return this.player.handle; }
+    get isAlive() { return !isNaN(this.spawnTick); }
+    /** @returns {PlayerStatsData} */
+    get lifetime() {
+        const account = this.player.router.account;
+        if (account === null) return null;
+        if (!account.stats) account.stats = createStatsData();
+        // stores hand back plain objects, names like "constructor" would hit their prototype
+        else if (Object.getPrototypeOf(account.stats.killedBy) !== null)
+            account.stats.killedBy = Object.assign(Object.create(null), account.stats.killedBy);
+        return account.stats;
+    }
+
+    /**
+     * @param {string} key
+     * @param {number} amount
+     */
+    add(key, amount) {
+        this.session[key] += amount;
+        const lifetime = this.lifetime;
+        if (lifetime !== null) lifetime[key] += amount;
+    }
+    /**
+     * @param {number} mass
+     */
+    setMass(mass) {
+        this.lifeMaxMass = Math.max(this.lifeMaxMass, mass);
+        this.session.maxMass = Math.max(this.session.maxMass, mass);
+        const lifetime = this.lifetime;
+        if (lifetime !== null) lifetime.maxMass = Math.max(lifetime.maxMass, mass);
+    }
+
+    /**
+     * @param {Cell} cell
+     */
+    onEat(cell) {
+        if (cell.type !== 0) return void this.add("cellsEaten", 1);
+        if (cell.owner === this.player || cell.owner.ownedCells.length > 0) return;
+        this.add("playersEaten", 1);
+        cell.owner.stats.killer = this.player;
+    }
+
+    update() {
+        const player = this.player;
+        if (player.state === 0) {
+            if (!this.isAlive) this.spawnTick = this.handle.tick;
+            if (!isNaN(player.score)) this.setMass(player.score);
+        } else if (this.isAlive) this.onDeath();
+    }
+    onDeath() {
+        this.add("deaths", 1);
+        if (this.killer !== null) {
+            const name = this.killer.leaderboardName || "An unnamed cell";
+            const max = this.handle.settings.statsMaxKillers;
+            countKiller(this.session.killedBy, name, max);
+            const lifetime = this.lifetime;
+            if (lifetime !== null) countKiller(lifetime.killedBy, name, max);
+        }
+        this.endLife();
+    }
+    endLife() {
+        const timeAlive = (this.handle.tick - this.spawnTick) * this.handle.tickDelay / 1000;
+        this.add("timeAlive", timeAlive);
+        this.recordRun(timeAlive);
+        this.spawnTick = NaN;
+        this.lifeMaxMass = 0;
+        this.killer = null;
+        const account = this.player.router.account;
+        if (account !== null) this.handle.accounts.save(account);
+    }
+
+    /**
+     * @param {number} timeAlive
+     */
+    recordRun(timeAlive) {
+        if (!this.player.router.isExternal) return;
+        const history = this.handle.statsHistory;
+        history.push({
+            name: this.player.leaderboardName || "An unnamed cell",
+            account: this.player.router.account !== null ? this.player.router.account.name : null,
+            maxMass: this.lifeMaxMass,
+            timeAlive: timeAlive,
+            killedBy: this.killer !== null ? this.killer.leaderboardName : null,
+            date: Date.now()
+        });
+        history.sort((a, b) => b.maxMass - a.maxMass);
+        history.splice(this.handle.settings.statsHistorySize);
+    }
+
+    destroy() {
+        if (this.isAlive) this.endLife();
+    }
+}
+
+module.exports = PlayerStats;
+
+const Player = require("./Player");
+const Cell = require("../cells/Cell");
@@ -1,4 +1,5 @@
 const QuadTree = require("../primitives/QuadTree");
+const Random = require("../primitives/Random");
 
 const Minion = require("../bots/Minion");
 const PlayerBot = require("../bots/PlayerBot");
@@ -9,8 +10,12 @@ const PlayerCell = require("../cells/PlayerCell");
 const Mothercell = require("../cells/Mothercell");
 const Virus = require("../cells/Virus");
 const ChatChannel = require("../sockets/ChatChannel");
+const ReplayRecorder = require("../replays/ReplayRecorder");
 
-const { fullyIntersects, SQRT_2 } = require("../primitives/Misc");
+const { SQRT_2 } = require("../primitives/Misc");
+
+/** settings the border and finder are built from */
+const borderSettings = ["worldMapX", "worldMapY", "worldMapW", "worldMapH", "worldFinderMaxLevel", "worldFinderMaxItems"];
 
 /**
  * @implements {Spawner}
@@ -19,12 +24,21 @@ class World {
     /**
      * @param {ServerHandle} handle
      * @param {number} id
+     * @param {Partial<Settings>=} overrides settings that differ from the handle's in this world
      */
-    constructor(handle, id) {
+    constructor(handle, id, overrides) {
         this.handle = handle;
         this.id = id;
+        this.overrides = Object.assign({ }, overrides);
+        /** @type {Settings} */
+        this.baseSettings = null;
+        /** @type {Settings} */
+        this.mergedSettings = null;
+        /** whether the world stays while empty, otherwise it's removed once there are more than worldMinCount */
+        this.persistent = false;
 
         this.frozen = false;
+        this.random = new Random(this.settings.worldRandomSeed);
 
         this._nextCellId = 1;
         /** @type {Cell[]} */
@@ -43,12 +57,14 @@ class World {
         this.players = [];
         /** @type {Player=} */
         this.largestPlayer = null;
-        this.worldChat = new ChatChannel(this.handle);
+        this.worldChat = new ChatChannel(this.handle.listener, `world ${id}`);
 
         /** @type {Rect} */
         this.border = { x: NaN, y: NaN, w: NaN, h: NaN };
         /** @type {QuadTree<Cell>} */
         this.finder = null;
+        /** @type {ReplayRecorder} */
+        this.recorder = null;
 
         /**
          * @type {WorldStats}
@@ -73,8 +89,13 @@ class World {
         });
     }
 
+    /** @returns {Settings} */
     get settings() {
-        return this.handle.settings;
+        if (this.baseSettings !== this.handle.settings) {
+            this.baseSettings = this.handle.settings;
+            this.mergedSettings = Object.assign({ }, this.baseSettings, this.overrides);
+        }
+        return this.mergedSettings;
     }
     get nextCellId() {
         return this._nextCellId >= 4294967296
@@ -87,10 +108,67 @@ class World {
             new PlayerBot(this);
     }
     destroy() {
+        this.stopRecording();
         while (this.players.length > 0) this.removePlayer(this.players[0]);
         while (this.cells.length > 0) this.removeCell(this.cells[0]);
     }
 
+    /**
+     * @param {string} path
+     */
+    startRecording(path) {
+        if (this.recorder !== null) return false;
+        this.recorder = new ReplayRecorder(this, path);
+        this.handle.logger.debug(`world ${this.id} started recording to ${path}`);
+        return true;
+    }
+    stopRecording() {
+        if (this.recorder === null) return false;
+        this.recorder.close();
+        this.handle.logger.debug(`world ${this.id} stopped recording to ${this.recorder.path}`);
+        this.recorder = null;
+        return true;
+    }
+
+    /**
+     * @param {Partial<Settings>} overrides settings to change for this world only, on top of its current overrides
+     */
+    setOverrides(overrides) {
+        Object.assign(this.overrides, overrides);
+        this.baseSettings = null;
+        this.applySettings(Object.keys(overrides));
+    }
+    /**
+     * @param {string[]} names settings to follow the handle's again in this world
+     */
+    removeOverrides(names) {
+        for (let i = 0, l = names.length; i < l; i++) delete this.overrides[names[i]];
+        this.baseSettings = null;
+        this.applySettings(names);
+    }
+    /**
+     * Applies changed settings that aren't just read again when they're needed
+     * @param {string[]} changed
+     */
+    applySettings(changed) {
+        if (changed.some(v => borderSettings.indexOf(v) !== -1))
+            this.setBorder({
+                x: this.settings.worldMapX,
+                y: this.settings.worldMapY,
+                w: this.settings.worldMapW,
+                h: this.settings.worldMapH,
+            });
+        if (changed.indexOf("pelletCount") !== -1 || changed.indexOf("mothercellCount") !== -1) {
+            for (let i = this.cells.length - 1; i >= 0; i--) {
+                const cell = this.cells[i];
+                if (cell.type === 1 && cell.spawner === this && this.pelletCount > this.settings.pelletCount)
+                    this.removeCell(cell);
+                else if (cell.type === 4 && this.mothercellCount > this.settings.mothercellCount)
+                    this.removeCell(cell);
+            }
+        }
+    }
+
     /**
      * @param {Rect} range
      */
@@ -105,11 +183,17 @@ class World {
             this.settings.worldFinderMaxLevel,
             this.settings.worldFinderMaxItems,
         );
-        for (let i = 0, l = this.cells.length; i < l; i++) {
-            const cell = this.cells[i];
-            if (cell.type === 0) continue;
+        const cells = this.cells.slice();
+        for (let i = 0, l = cells.length; i < l; i++) {
+            const cell = cells[i];
+            // player cells get pushed inside instead of removed
+            if (cell.type === 0) {
+                this.bounceCell(cell, false);
+                cell.range.x = cell.x;
+                cell.range.y = cell.y;
+            }
             this.finder.insert(cell);
-            if (!fullyIntersects(this.border, cell.range))
+            if (cell.type !== 0 && !isInside(this.border, cell.range))
                 this.removeCell(cell);
         }
     }
@@ -159,6 +243,9 @@ class World {
         this.setCellAsNotBoosting(cell);
         this.cells.splice(this.cells.indexOf(cell), 1);
         cell.exists = false;
+        // a player leaving the world loses its cells too, but that's no death
+        if (cell.type === 0 && cell.owner.ownedCells.length === 0 && cell.owner.world === this)
+            this.handle.events.emit("playerDeath", cell.owner, this, cell.eatenBy);
     }
 
     /** @param {Player} player */
@@ -166,17 +253,19 @@ class World {
         this.players.push(player);
         player.world = this;
         player.hasWorld = true;
-        this.worldChat.add(player.router);
+        if (player.router.isExternal && this.settings.chatEnabled)
+            this.worldChat.add(player.router);
         this.handle.gamemode.onPlayerJoinWorld(player, this);
         player.router.onWorldSet();
+        this.handle.events.emit("playerJoinWorld", player, this);
         this.handle.logger.debug(
             `player ${player.id} has been added to world ${this.id}`,
         );
 
         if (!player.router.isExternal) return;
         const defaultMinionsCount = this.settings.worldMinionsPerPlayer;
-        const defaultMinionName = this.handle.settings.minionName;
-        const defaultMinionSkin = this.handle.settings.minionSkin;
+        const defaultMinionName = this.settings.minionName;
+        const defaultMinionSkin = this.settings.minionSkin;
         try {
             for (let i = 0; i < defaultMinionsCount; i++) {
                 new Minion(player.router, defaultMinionName, defaultMinionSkin);
@@ -195,6 +284,7 @@ class World {
         while (player.ownedCells.length > 0)
             this.removeCell(player.ownedCells[0]);
         player.router.onWorldReset();
+        this.handle.events.emit("playerLeaveWorld", player, this);
         this.handle.logger.debug(
             `player ${player.id} has been removed from world ${this.id}`,
         );
@@ -210,12 +300,12 @@ class World {
                 this.border.x -
                 this.border.w +
                 cellSize +
-                Math.random() * (2 * this.border.w - cellSize),
+                this.random.next() * (2 * this.border.w - cellSize),
             y:
                 this.border.y -
                 this.border.h +
                 cellSize +
-                Math.random() * (2 * this.border.h - cellSize),
+                this.random.next() * (2 * this.border.h - cellSize),
         };
     }
     /**
@@ -253,14 +343,14 @@ class World {
      */
     getPlayerSpawn(cellSize) {
         if (
-            this.settings.worldSafeSpawnFromEjectedChance > Math.random() &&
+            this.settings.worldSafeSpawnFromEjectedChance > this.random.next() &&
             this.ejectedCells.length > 0
         ) {
             let tries = this.settings.worldSafeSpawnTries;
             while (--tries >= 0) {
                 const cell =
                     this.ejectedCells[
-                        ~~(Math.random() * this.ejectedCells.length)
+                        this.random.nextInt(this.ejectedCells.length)
                     ];
                 if (
                     this.isSafeSpawnPos({
@@ -287,6 +377,7 @@ class World {
         const playerCell = new PlayerCell(player, pos.x, pos.y, size);
         this.addCell(playerCell);
         player.updateState(0);
+        this.handle.events.emit("playerSpawn", player, this);
     }
 
     update() {
@@ -444,8 +535,10 @@ class World {
 
         this.compileStatistics();
         this.handle.gamemode.compileLeaderboard(this);
+        if (this.recorder !== null) this.recorder.capture();
 
         if (
+            !this.persistent &&
             this.stats.external <= 0 &&
             Object.keys(this.handle.worlds).length > this.settings.worldMinCount
         )
@@ -490,8 +583,10 @@ class World {
         if (!this.handle.gamemode.canEat(a, b)) return;
         a.whenAte(b);
         b.whenEatenBy(a);
+        this.handle.events.emit("cellEaten", a, b, this);
         this.removeCell(b);
         this.updateCell(a);
+        if (a.type === 0) a.owner.stats.onEat(b);
     }
 
     /**
@@ -603,7 +698,7 @@ class World {
             this.settings.playerMaxSize,
         );
         for (let i = 1; i < splitTimes; i++) {
-            const angle = Math.random() * 2 * Math.PI;
+            const angle = this.random.next() * 2 * Math.PI;
             this.launchPlayerCell(cell, splitSize, {
                 dx: Math.sin(angle),
                 dy: Math.cos(angle),
@@ -638,11 +733,15 @@ class World {
                 },
             );
         }
+        if (player.ownedCells.length === l) return;
+        player.stats.add("splits", 1);
+        this.handle.events.emit("playerSplit", player, this, player.ownedCells.length - l);
     }
     /**
      * @param {Player} player
      */
     ejectFromPlayer(player) {
+        let ejected = 0;
         const dispersion = this.settings.ejectDispersion;
         const loss = this.settings.ejectingLoss * this.settings.ejectingLoss;
         const router = player.router;
@@ -661,7 +760,7 @@ class World {
             const a =
                 Math.atan2(dx, dy) -
                 dispersion +
-                Math.random() * 2 * dispersion;
+                this.random.next() * 2 * dispersion;
             newCell.boost.dx = Math.sin(a);
             newCell.boost.dy = Math.cos(a);
             newCell.boost.d = this.settings.ejectedCellBoost;
@@ -669,7 +768,10 @@ class World {
             this.setCellAsBoosting(newCell);
             cell.squareSize -= loss;
             this.updateCell(cell);
+            player.stats.add("ejects", 1);
+            ejected++;
         }
+        if (ejected > 0) this.handle.events.emit("playerEject", player, this, ejected);
     }
 
     /**
@@ -678,13 +780,14 @@ class World {
     popPlayerCell(cell) {
         const splits = this.distributeCellMass(cell);
         for (let i = 0, l = splits.length; i < l; i++) {
-            const angle = Math.random() * 2 * Math.PI;
+            const angle = this.random.next() * 2 * Math.PI;
             this.launchPlayerCell(cell, Math.sqrt(splits[i] * 100), {
                 dx: Math.sin(angle),
                 dy: Math.cos(angle),
                 d: this.settings.playerSplitBoost,
             });
         }
+        this.handle.events.emit("virusPop", cell, this, splits.length);
     }
 
     /**
@@ -760,6 +863,17 @@ class World {
     }
 }
 
+/**
+ * @param {Rect} border
+ * @param {Rect} range
+ */
+function isInside(border, range) {
+    return range.x - range.w >= border.x - border.w &&
+           range.x + range.w <= border.x + border.w &&
+           range.y - range.h >= border.y - border.h &&
+           range.y + range.h <= border.y + border.h;
+}
+
 module.exports = World;
 
 const Cell = require("../cells/Cell");
@@ -0,0 +1,116 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Harness } = require("./harness");
+
+describe("AccountList", () => {
+    /** @type {Harness} */
+    let harness;
+    /** @type {AccountList} */
+    let accounts;
+    beforeEach(() => {
+        harness = new Harness();
+        accounts = harness.handle.accounts;
+    });
+    afterEach(() => harness.destroy());
+
+    /**
+     * @param {string} name
+     * @param {string} password
+     * @returns {Promise<string>}
+     */
+    function register(name, password) {
+        return new Promise(resolve => accounts.register(name, password, resolve));
+    }
+    /**
+     * @param {Router} router
+     * @param {string} name
+     * @param {string} password
+     * @returns {Promise<string>}
+     */
+    function login(router, name, password) {
+        return new Promise(resolve => accounts.login(router, name, password, resolve));
+    }
+
+    it("logs in with the registered password", async () => {
+        const router = harness.addRouter(harness.createWorld());
+        assert.equal(await register("alice", "hunter22"), null);
+        assert.equal(await login(router, "alice", "hunter22"), null);
+        assert.equal(router.account.name, "alice");
+        assert.equal(accounts.getRouter(router.account), router);
+    });
+
+    it("gives the same answer for unknown names and wrong passwords", async () => {
+        const router = harness.addRouter(harness.createWorld());
+        await register("alice", "hunter22");
+        assert.equal(await login(router, "alice", "hunter23"), "invalid name or password");
+        assert.equal(await login(router, "bob", "hunter22"), "invalid name or password");
+        assert.equal(router.account, null);
+    });
+
+    it("rejects a stored hash of the wrong length instead of throwing", async () => {
+        const router = harness.addRouter(harness.createWorld());
+        await register("alice", "hunter22");
+        accounts.find("alice").hash = "abcd";
+        assert.equal(await login(router, "alice", "hunter22"), "invalid name or password");
+    });
+
+    it("refuses a name registered while the first registration was hashing", async () => {
+        const results = await Promise.all([register("alice", "hunter22"), register("alice", "hunter33")]);
+        assert.equal(results.filter(v => v === null).length, 1);
+        assert.ok(results.includes("an account with this name already exists"));
+    });
+});
+
+describe("JSONAccountStore", () => {
+    /** @type {Harness} */
+    let harness;
+    /** @type {string} */
+    let directory;
+    /** @type {string} */
+    let file;
+    /** @type {JSONAccountStore} */
+    let store;
+    beforeEach(() => {
+        harness = new Harness({ accountSaveTicks: 2 });
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "ogar-accounts-"));
+        file = path.join(directory, "accounts.json");
+        store = new JSONAccountStore(file);
+        harness.handle.accounts.setStore(store);
+    });
+    afterEach(() => {
+        harness.destroy();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    /**
+     * @param {string} name
+     * @returns {Account}
+     */
+    function account(name) {
+        return { name: name, salt: "", hash: "", created: 0, lastLogin: null };
+    }
+
+    it("keeps changes in memory until they're flushed", async () => {
+        store.save(account("alice"));
+        assert.equal(fs.existsSync(file), false);
+        await new Promise((resolve, reject) => store.flush(error => error ? reject(error) : resolve()));
+        assert.deepEqual(new JSONAccountStore(file).list(), [account("alice")]);
+    });
+
+    it("flushes every accountSaveTicks ticks and when told to", () => {
+        const flush = mock.method(store, "flush", callback => callback(null));
+        harness.step(5);
+        assert.equal(flush.mock.callCount(), 2);
+
+        store.save(account("alice"));
+        harness.handle.accounts.flush();
+        assert.deepEqual(new JSONAccountStore(file).list(), [account("alice")]);
+    });
+});
+
+const AccountList = require("../src/accounts/AccountList");
+const JSONAccountStore = require("../src/accounts/JSONAccountStore");
+const Router = require("../src/sockets/Router");
@@ -0,0 +1,70 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Harness } = require("./harness");
+
+describe("AuditLog", () => {
+    /** @type {Harness} */
+    let harness;
+    /** @type {AuditLog} */
+    let audit;
+    /** @type {string} */
+    let directory;
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "ogar-audit-"));
+        harness = new Harness({ auditLogFile: path.join(directory, "audit.log") });
+        audit = harness.handle.audit;
+    });
+    afterEach(async () => {
+        await new Promise(resolve => audit.close(resolve));
+        harness.destroy();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    /**
+     * @param {AuditFilter} filter
+     * @returns {Promise<AuditEntry[]>}
+     */
+    async function query(filter) {
+        await new Promise(resolve => audit.close(resolve));
+        return new Promise((resolve, reject) => audit.query(filter, (error, entries) => error ? reject(error) : resolve(entries)));
+    }
+
+    it("answers with nothing when the file doesn't exist yet", async () => {
+        assert.deepEqual(await query({ }), []);
+    });
+
+    it("returns the newest matching entries up to the limit", async () => {
+        // enough entries to span several of the chunks the file is read in
+        for (let i = 0; i < 2000; i++)
+            audit.record(null, i % 2 === 0 ? "even" : "odd", [String(i), "x".repeat(50)], "executed");
+        const entries = await query({ command: "odd", limit: 3 });
+        assert.deepEqual(entries.map(v => v.args[0]), ["1999", "1997", "1995"]);
+        assert.equal((await query({ command: "even", limit: 5000 })).length, 1000);
+    });
+
+    it("stops reading at entries older than since", async () => {
+        let now = 1000;
+        mock.method(Date, "now", () => now);
+        try {
+            audit.record(null, "old", [], "executed");
+            now = 2000;
+            audit.record(null, "new", [], "executed");
+        } finally {
+            mock.restoreAll();
+        }
+        assert.deepEqual((await query({ since: 1500 })).map(v => v.command), ["new"]);
+        assert.deepEqual((await query({ until: 1500 })).map(v => v.command), ["old"]);
+    });
+
+    it("writes to the new file when the setting changes", async () => {
+        audit.record(null, "first", [], "executed");
+        harness.settings.auditLogFile = path.join(directory, "other.log");
+        audit.record(null, "second", [], "executed");
+        assert.deepEqual((await query({ })).map(v => v.command), ["second"]);
+    });
+});
+
+const AuditLog = require("../src/commands/AuditLog");
@@ -0,0 +1,50 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Harness } = require("./harness");
+
+describe("msg chat command", () => {
+    /** @type {Harness} */
+    let harness;
+    beforeEach(() => harness = new Harness({ chatCooldown: 60000 }));
+    afterEach(() => harness.destroy());
+
+    it("applies the chat cooldown to whispers", () => {
+        const world = harness.createWorld();
+        const sender = harness.addExternalRouter(world);
+        const recipient = harness.addExternalRouter(world);
+        const commands = harness.handle.chatCommands;
+        commands.execute(sender, `msg ${recipient.player.id} first`);
+        commands.execute(sender, `msg ${recipient.player.id} second`);
+        assert.deepEqual(recipient.received, ["[whisper] first"]);
+        assert.equal(sender.received[sender.received.length - 1], "you're sending messages too fast");
+    });
+});
+
+describe("chat command auditing", () => {
+    /** @type {Harness} */
+    let harness;
+    /** @type {string} */
+    let directory;
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "ogar-audit-"));
+        harness = new Harness({ auditLogFile: path.join(directory, "audit.log") });
+    });
+    afterEach(() => {
+        harness.destroy();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it("only records the commands players actually have", async () => {
+        const router = harness.addExternalRouter(harness.createWorld());
+        harness.handle.chatCommands.execute(router, "nosuchcommand a b");
+        assert.equal(fs.existsSync(harness.settings.auditLogFile), false);
+        harness.handle.chatCommands.execute(router, "help");
+        await new Promise(resolve => harness.handle.audit.close(resolve));
+        const entries = await new Promise((resolve, reject) =>
+            harness.handle.audit.query({ }, (error, entries) => error ? reject(error) : resolve(entries)));
+        assert.deepEqual(entries.map(v => [v.source, v.command, v.outcome]), [["chat", "help", "executed"]]);
+    });
+});
@@ -0,0 +1,45 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness } = require("./harness");
+
+describe("ChatFilter", () => {
+    /** @type {Harness} */
+    let harness;
+    beforeEach(() => {
+        harness = new Harness({
+            chatFilteredPhrases: ["spam"],
+            chatFilterRules: [
+                { pattern: "badword", action: "mask" },
+                { pattern: "ass", action: "mask", wholeWord: true },
+                { pattern: "idiot", action: "warn" }
+            ]
+        });
+    });
+    afterEach(() => harness.destroy());
+
+    it("masks matches through leetspeak, lookalike letters and accents", () => {
+        const filter = harness.handle.chatFilter;
+        assert.equal(filter.test("a B4DW0RD!").text, "a *******!");
+        assert.equal(filter.test("bаdwоrd").text, "*******");
+        assert.equal(filter.test("b̀adword").text, "********");
+    });
+
+    it("only matches whole words when asked to", () => {
+        const filter = harness.handle.chatFilter;
+        assert.equal(filter.test("first class").action, null);
+        assert.equal(filter.test("you ass").text, "you ***");
+    });
+
+    it("applies the harshest action of all matching rules", () => {
+        const filter = harness.handle.chatFilter;
+        assert.equal(filter.test("badword idiot").action, "warn");
+        assert.equal(filter.test("1d10t sp4m").action, "drop");
+    });
+
+    it("filters names of spawning players", () => {
+        const router = harness.addRouter(harness.createWorld());
+        router.spawn("badword");
+        harness.step(2);
+        assert.equal(router.player.cellName, "*******");
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ConsoleUserList = require("../cli/console-users");
+
+describe("ConsoleUserList", () => {
+    /** @type {string} */
+    let directory;
+    /** @type {string} */
+    let file;
+    /** @type {ConsoleUserList} */
+    let users;
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "ogar-console-users-"));
+        file = path.join(directory, "console-users.json");
+        users = new ConsoleUserList(file);
+    });
+    afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    /**
+     * @param {string} name
+     * @param {string} password
+     * @param {CommandRole} role
+     * @returns {Promise<string>}
+     */
+    function add(name, password, role) {
+        return new Promise(resolve => users.add(name, password, role, resolve));
+    }
+    /**
+     * @param {string} name
+     * @param {string} password
+     * @returns {Promise<ConsoleUser>}
+     */
+    function verify(name, password) {
+        return new Promise(resolve => users.verify(name, password, resolve));
+    }
+
+    it("verifies the password a user was added with", async () => {
+        assert.equal(await add("alice", "correct horse", "moderator"), null);
+        const user = await verify("Alice", "correct horse");
+        assert.equal(user.name, "alice");
+        assert.notEqual(user.lastLogin, null);
+        assert.equal(await verify("alice", "wrong horse"), null);
+        assert.equal(await verify("bob", "correct horse"), null);
+        assert.equal(new ConsoleUserList(file).find("alice").role, "moderator");
+    });
+
+    it("rejects bad names, roles and passwords before hashing", async () => {
+        assert.match(await add("no spaces", "correct horse", "admin"), /user name/);
+        assert.match(await add("alice", "correct horse", "owner"), /role must be one of/);
+        assert.match(await add("alice", "short", "admin"), /at least 8 characters/);
+        assert.equal(users.count, 0);
+    });
+
+    it("refuses a name added while the first one was hashing", async () => {
+        const results = await Promise.all([add("alice", "correct horse", "admin"), add("ALICE", "battery staple", "viewer")]);
+        assert.equal(results.filter(v => v === null).length, 1);
+        assert.ok(results.includes("a user with this name already exists"));
+        assert.equal(users.count, 1);
+    });
+
+    it("resets a password", async () => {
+        await add("alice", "correct horse", "admin");
+        const user = users.find("alice");
+        assert.equal(await new Promise(resolve => users.setPassword(user, "battery staple", resolve)), null);
+        assert.equal(await verify("alice", "correct horse"), null);
+        assert.equal(await verify("alice", "battery staple"), user);
+    });
+
+    it("doesn't let a user removed while hashing log in", async () => {
+        await add("alice", "correct horse", "admin");
+        const pending = verify("alice", "correct horse");
+        users.remove("alice");
+        assert.equal(await pending, null);
+    });
+});
@@ -0,0 +1,77 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness } = require("./harness");
+
+describe("CaptureTheFlag", () => {
+    /** @type {Harness} */
+    let harness;
+    /** @type {World} */
+    let world;
+    beforeEach(() => {
+        harness = new Harness({ ctfFlagReturnTime: 1 }, "Capture the Flag");
+        world = harness.createWorld();
+    });
+    afterEach(() => harness.destroy());
+
+    it("keeps a flag in every team's base and spawns players in their own", () => {
+        assert.equal(world.ctf.flags.length, 3);
+        for (let i = 0; i < 3; i++) {
+            const flag = world.ctf.flags[i];
+            assert.ok(flag.exists && flag.isAtBase);
+            assert.equal(flag.x, flag.base.x);
+            assert.equal(flag.y, flag.base.y);
+        }
+        const router = harness.addRouter(world);
+        router.spawn("a");
+        harness.step();
+        const cell = router.player.ownedCells[0];
+        const base = world.ctf.flags[router.player.team].base;
+        assert.ok(Math.abs(cell.x - base.x) <= base.w && Math.abs(cell.y - base.y) <= base.h);
+    });
+
+    it("slows down the carrier and scores once the flag reaches their base", () => {
+        const red = harness.addRouter(world);
+        const green = harness.addRouter(world);
+        assert.deepEqual([red.player.team, green.player.team], [0, 1]);
+        const flag = world.ctf.flags[0];
+        const cell = harness.spawnCell(green, flag.x, flag.y, 100);
+        const speed = cell.moveSpeed;
+        harness.step();
+        assert.equal(flag.carrier, green.player);
+        assert.equal(cell.moveSpeed, speed * harness.settings.ctfCarrierSpeedMult);
+
+        const home = world.ctf.flags[1].base;
+        cell.x = home.x;
+        cell.y = home.y;
+        green.moveTo(home.x, home.y);
+        harness.step();
+        assert.deepEqual(world.ctf.scores, [0, 1, 0]);
+        assert.ok(flag.isAtBase);
+        assert.equal(flag.x, flag.base.x);
+    });
+
+    it("drops the flag where the carrier gets eaten and returns it after a while", () => {
+        const red = harness.addRouter(world);
+        const green = harness.addRouter(world);
+        const flag = world.ctf.flags[0];
+        const carrier = harness.spawnCell(green, flag.x, flag.y, 100);
+        harness.step();
+        assert.equal(flag.carrier, green.player);
+
+        const eater = harness.spawnCell(red, 0, 0, 500);
+        carrier.x = carrier.y = 0;
+        green.moveTo(0, 0);
+        harness.step();
+        assert.equal(carrier.exists, false);
+        assert.equal(flag.carrier, null);
+        assert.equal(flag.isAtBase, false);
+        assert.deepEqual([flag.x, flag.y], [0, 0]);
+
+        eater.x = 2000;
+        red.moveTo(2000, 0);
+        assert.ok(harness.stepUntil(() => flag.isAtBase, 40) >= 20);
+        assert.equal(flag.x, flag.base.x);
+    });
+});
+
+const World = require("../src/worlds/World");
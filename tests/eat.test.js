@@ -0,0 +1,75 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness } = require("./harness");
+const Pellet = require("../src/cells/Pellet");
+
+describe("World.resolveEatCheck", () => {
+    /** @type {Harness} */
+    let harness;
+    /** @type {World} */
+    let world;
+    beforeEach(() => {
+        harness = new Harness();
+        world = harness.createWorld();
+    });
+    afterEach(() => harness.destroy());
+
+    it("lets a cell eat another one it overlaps enough", () => {
+        const a = harness.spawnCell(harness.addRouter(world), 0, 0, 200);
+        const b = harness.spawnCell(harness.addRouter(world), 50, 0, 100);
+        world.resolveEatCheck(a, b);
+        assert.equal(b.exists, false);
+        assert.equal(b.eatenBy, a);
+        assert.ok(Math.abs(a.squareSize - (200 * 200 + 100 * 100)) < 1e-6);
+    });
+
+    it("requires the eaten cell to be covered past the overlap divisor", () => {
+        const a = harness.spawnCell(harness.addRouter(world), 0, 0, 200);
+        const b = harness.spawnCell(harness.addRouter(world), 200 - 100 / harness.settings.worldEatOverlapDiv + 1, 0, 100);
+        world.resolveEatCheck(a, b);
+        assert.equal(b.exists, true);
+        assert.equal(a.size, 200);
+    });
+
+    it("ignores cells that were already removed", () => {
+        const a = harness.spawnCell(harness.addRouter(world), 0, 0, 200);
+        const b = harness.spawnCell(harness.addRouter(world), 10, 0, 100);
+        world.removeCell(b);
+        world.resolveEatCheck(a, b);
+        assert.equal(a.size, 200);
+    });
+
+    it("credits the eater's stats and marks the victim's killer", () => {
+        const eater = harness.addRouter(world);
+        const victim = harness.addRouter(world);
+        const a = harness.spawnCell(eater, 0, 0, 200);
+        const b = harness.spawnCell(victim, 10, 0, 100);
+        world.resolveEatCheck(a, b);
+        assert.equal(eater.player.stats.session.playersEaten, 1);
+        assert.equal(victim.player.stats.killer, eater.player);
+    });
+
+    it("only eats other players' cells that are sufficiently smaller during a tick", () => {
+        const a = harness.spawnCell(harness.addRouter(world), 0, 0, 200);
+        const close = harness.spawnCell(harness.addRouter(world), 20, 0, 190);
+        harness.step();
+        assert.equal(a.exists, true);
+        assert.equal(close.exists, true);
+
+        const small = harness.spawnCell(harness.addRouter(world), -20, 0, 100);
+        harness.step();
+        assert.equal(small.exists, false);
+        assert.ok(small.eatenBy === a || small.eatenBy === close);
+    });
+
+    it("eats pellets during a tick", () => {
+        const a = harness.spawnCell(harness.addRouter(world), 0, 0, 100);
+        const pellet = new Pellet(world, world, 10, 10);
+        world.addCell(pellet);
+        harness.step();
+        assert.equal(pellet.exists, false);
+        assert.ok(a.size > 100);
+    });
+});
+
+const World = require("../src/worlds/World");
@@ -0,0 +1,55 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness } = require("./harness");
+
+describe("ServerHandle.events", () => {
+    /** @type {Harness} */
+    let harness;
+    /** @type {World} */
+    let world;
+    /** @type {string[]} */
+    let emitted;
+    beforeEach(() => {
+        harness = new Harness();
+        world = harness.createWorld();
+        emitted = [];
+        for (let event of ["playerDeath", "cellEaten", "playerSplit", "playerEject", "playerLeaveWorld"])
+            harness.handle.events.on(event, () => emitted.push(event));
+    });
+    afterEach(() => harness.destroy());
+
+    it("emits splits and ejects only when they happen", () => {
+        const router = harness.addRouter(world);
+        harness.spawnCell(router, 0, 0, harness.settings.playerMinSplitSize - 1);
+        world.splitPlayer(router.player);
+        assert.deepEqual(emitted, []);
+        harness.spawnCell(router, 500, 0, 200);
+        world.splitPlayer(router.player);
+        world.ejectFromPlayer(router.player);
+        assert.deepEqual(emitted, ["playerSplit", "playerEject"]);
+    });
+
+    it("emits a death with the eater once the last cell is eaten", () => {
+        const hunter = harness.addRouter(world);
+        const prey = harness.addRouter(world);
+        const big = harness.spawnCell(hunter, 0, 0, 300);
+        harness.spawnCell(prey, 10, 0, 50);
+        let death = null;
+        harness.handle.events.on("playerDeath", (player, world, eatenBy) => death = { player, eatenBy });
+        harness.stepUntil(() => death !== null, 10);
+        assert.equal(death.player, prey.player);
+        assert.equal(death.eatenBy, big);
+        assert.deepEqual(emitted, ["cellEaten", "playerDeath"]);
+    });
+
+    it("doesn't count leaving a world as a death", () => {
+        const router = harness.addRouter(world);
+        harness.spawnCell(router, 0, 0, 100);
+        world.removePlayer(router.player);
+        assert.deepEqual(emitted, ["playerLeaveWorld"]);
+    });
+
+    it("rejects listeners for unknown events", () => {
+        assert.throws(() => harness.handle.events.on("playerDied", () => { }), /unknown event/);
+    });
+});
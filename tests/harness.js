@@ -0,0 +1,222 @@
+const ServerHandle = require("../src/ServerHandle");
+const Router = require("../src/sockets/Router");
+const PlayerCell = require("../src/cells/PlayerCell");
+const { base } = require("../index");
+
+/**
+ * Settings that give every test an empty, decay-free and reproducible world
+ * @type {Partial<Settings>}
+ */
+const defaultSettings = {
+    worldRandomSeed: 1,
+    auditLogFile: null,
+    worldMinCount: 100,
+    worldMaxCount: 100,
+    worldPlayerBotsPerWorld: 0,
+    worldMinionsPerPlayer: 0,
+    pelletCount: 0,
+    virusMinCount: 0,
+    mothercellCount: 0,
+    playerDecayMult: 0
+};
+
+/**
+ * A router whose input is driven by the test instead of a socket
+ */
+class ScriptedRouter extends Router {
+    /**
+     * @param {Listener} listener
+     */
+    constructor(listener) {
+        super(listener);
+        this.closed = false;
+        /** @type {{ tick: number, action: (router: ScriptedRouter) => void }[]} */
+        this.script = [];
+        this.createPlayer();
+    }
+
+    static get type() { return "scripted"; }
+    static get isExternal() { return false; }
+    static get separateInTeams() { return true; }
+
+    /**
+     * Runs an action after the given amount of ticks, it takes effect on the tick after that
+     * @param {number} ticks
+     * @param {(router: ScriptedRouter) => void} action
+     */
+    after(ticks, action) {
+        this.script.push({ tick: this.handle.tick + ticks, action: action });
+        return this;
+    }
+    /**
+     * @param {number} x
+     * @param {number} y
+     */
+    moveTo(x, y) {
+        this.mouseX = x;
+        this.mouseY = y;
+        return this;
+    }
+    /**
+     * @param {number=} times
+     */
+    split(times) {
+        this.splitAttempts += times || 1;
+        return this;
+    }
+    /**
+     * @param {number=} times
+     */
+    eject(times) {
+        this.ejectAttempts += times || 1;
+        return this;
+    }
+    /**
+     * @param {string} name
+     */
+    spawn(name) {
+        this.spawningName = name;
+        return this;
+    }
+
+    close() {
+        super.close();
+        this.destroyPlayer();
+        this.closed = true;
+    }
+
+    get shouldClose() {
+        return this.closed;
+    }
+    update() {
+        const tick = this.handle.tick;
+        for (let i = 0; i < this.script.length; ) {
+            if (this.script[i].tick > tick) { i++; continue; }
+            this.script.splice(i, 1)[0].action(this);
+        }
+    }
+}
+
+/**
+ * Counts as a real client for gamemodes and keeps the chat messages it receives
+ */
+class ExternalRouter extends ScriptedRouter {
+    /**
+     * @param {Listener} listener
+     */
+    constructor(listener) {
+        super(listener);
+        /** @type {string[]} */
+        this.received = [];
+        this.protocol = { onChatMessage: (source, message) => this.received.push(message) };
+    }
+    static get isExternal() { return true; }
+}
+
+/**
+ * Runs a ServerHandle without a socket or a ticker so tests can step it manually
+ */
+class Harness {
+    /**
+     * @param {Partial<Settings>=} settings
+     * @param {string=} gamemode
+     */
+    constructor(settings, gamemode) {
+        this.handle = new ServerHandle(Object.assign({ }, defaultSettings, settings));
+        this.handle.protocols.register(...base.protocols);
+        this.handle.gamemodes.register(...base.gamemodes);
+        base.commands(this.handle.commands, this.handle.chatCommands);
+
+        this.handle.gamemodes.setGamemode(gamemode || "FFA");
+        this.handle.startTime = new Date();
+        this.handle.averageTickTime = this.handle.tick = 0;
+        this.handle.running = true;
+        this.handle.gamemode.onHandleStart();
+    }
+
+    get settings() { return this.handle.settings; }
+
+    createWorld() {
+        return this.handle.createWorld();
+    }
+    /**
+     * @param {World} world
+     * @returns {ScriptedRouter}
+     */
+    addRouter(world) {
+        const router = new ScriptedRouter(this.handle.listener);
+        world.addPlayer(router.player);
+        return router;
+    }
+    /**
+     * @param {World} world
+     * @returns {ExternalRouter}
+     */
+    addExternalRouter(world) {
+        const router = new ExternalRouter(this.handle.listener);
+        world.addPlayer(router.player);
+        return router;
+    }
+    /**
+     * Puts a new cell for the router's player at an exact spot, skipping the gamemode's spawn logic
+     * @param {ScriptedRouter} router
+     * @param {number} x
+     * @param {number} y
+     * @param {number} size
+     * @returns {PlayerCell}
+     */
+    spawnCell(router, x, y, size) {
+        const player = router.player;
+        const cell = new PlayerCell(player, x, y, size);
+        player.world.addCell(cell);
+        player.updateState(0);
+        router.moveTo(x, y);
+        return cell;
+    }
+
+    /**
+     * @param {number=} ticks
+     */
+    step(ticks) {
+        for (let i = 0, l = ticks || 1; i < l; i++) this.handle.onTick();
+    }
+    /**
+     * Steps until the condition holds, returning the amount of ticks it took or NaN if it never did
+     * @param {() => boolean} condition
+     * @param {number} maxTicks
+     */
+    stepUntil(condition, maxTicks) {
+        for (let i = 0; i < maxTicks; i++) {
+            if (condition()) return i;
+            this.handle.onTick();
+        }
+        return condition() ? maxTicks : NaN;
+    }
+
+    destroy() {
+        for (let id in this.handle.worlds) this.handle.removeWorld(id);
+        while (this.handle.listener.routers.length > 0) this.handle.listener.routers[0].close();
+        this.handle.running = false;
+    }
+}
+
+/**
+ * @param {Cell[]} cells
+ */
+function totalSquareSize(cells) {
+    let sum = 0;
+    for (let i = 0, l = cells.length; i < l; i++) sum += cells[i].squareSize;
+    return sum;
+}
+
+module.exports = {
+    Harness,
+    ScriptedRouter,
+    ExternalRouter,
+    totalSquareSize
+};
+
+const Settings = require("../src/Settings");
+const Listener = require("../src/sockets/Listener");
+const World = require("../src/worlds/World");
+const Cell = require("../src/cells/Cell");
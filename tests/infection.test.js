@@ -0,0 +1,67 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness, ScriptedRouter } = require("./harness");
+
+describe("Infection", () => {
+    /** @type {Harness} */
+    let harness;
+    /** @type {World} */
+    let world;
+    /** @type {ScriptedRouter[]} */
+    let routers;
+    beforeEach(() => {
+        harness = new Harness({ infectionStartDelay: 1, infectionRoundTime: 5, infectionResetDelay: 1 }, "Infection");
+        world = harness.createWorld();
+        routers = [harness.addRouter(world), harness.addRouter(world), harness.addRouter(world)];
+    });
+    afterEach(() => harness.destroy());
+
+    /**
+     * @returns {ScriptedRouter[]} the infected router followed by the others
+     */
+    function startRound() {
+        routers.forEach((router, i) => harness.spawnCell(router, i * 1000 - 1000, 0, 100));
+        harness.stepUntil(() => world.infection.phase === "running", 30);
+        const zero = routers.find(v => v.player.team === 1);
+        return [zero].concat(routers.filter(v => v !== zero));
+    }
+
+    it("infects one survivor once enough of them are playing", () => {
+        assert.ok(routers.every(v => v.player.team === 0));
+        const [zero] = startRound();
+        assert.deepEqual([world.teams[0].length, world.teams[1].length], [2, 1]);
+        assert.equal(zero.player.ownedCells[0].color, zero.player.cellColor);
+        const speed = harness.settings.playerMoveMult * harness.settings.infectionSpeedMult;
+        assert.equal(harness.handle.gamemode.getMoveMult(zero.player.ownedCells[0]), speed);
+    });
+
+    it("turns eaten survivors into infected and keeps the infected off pellets", () => {
+        const [zero, victim] = startRound();
+        const cell = zero.player.ownedCells[0];
+        cell.size = 300;
+        cell.x = victim.player.ownedCells[0].x;
+        cell.y = victim.player.ownedCells[0].y;
+        harness.step();
+        assert.equal(victim.player.ownedCells.length, 0);
+        assert.equal(victim.player.team, 1);
+
+        victim.spawn("victim");
+        harness.step();
+        assert.equal(victim.player.ownedCells.length, 1);
+        assert.equal(victim.player.team, 1);
+
+        const pellet = { type: 1 };
+        assert.equal(harness.handle.gamemode.canEat(cell, pellet), false);
+        assert.equal(harness.handle.gamemode.canEat(routers.find(v => v.player.team === 0).player.ownedCells[0], pellet), true);
+    });
+
+    it("ends the round when the timer runs out and resets everyone to survivors", () => {
+        startRound();
+        assert.ok(harness.stepUntil(() => world.infection.phase === "ended", 130) > 100);
+        assert.ok(harness.stepUntil(() => world.infection.phase === "waiting", 30) > 0);
+        assert.equal(world.playerCells.length, 0);
+        assert.ok(routers.every(v => v.player.team === 0));
+    });
+});
+
+const World = require("../src/worlds/World");
@@ -0,0 +1,89 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness } = require("./harness");
+const Teams = require("../src/gamemodes/Teams");
+
+describe("KingOfTheHill", () => {
+    /** @type {Harness} */
+    let harness;
+    /** @type {World} */
+    let world;
+    beforeEach(() => {
+        harness = new Harness({ kothMoveTime: 2 }, "King of the Hill");
+        world = harness.createWorld();
+    });
+    afterEach(() => harness.destroy());
+
+    it("gives points to whoever holds the majority of mass on the hill", () => {
+        const hill = world.hill;
+        const a = harness.addRouter(world);
+        const b = harness.addRouter(world);
+        harness.spawnCell(a, hill.x - 100, hill.y, 150);
+        harness.spawnCell(b, hill.x + 100, hill.y, 100);
+        harness.step(25);
+        assert.equal(hill.holder, a.player);
+        assert.equal(hill.marker.color, a.player.cellColor);
+        assert.ok(Math.abs(hill.points.get(a.player) - 1) < 1e-9);
+        assert.equal(hill.points.has(b.player), false);
+
+        harness.spawnCell(b, hill.x, hill.y + 100, 150);
+        harness.step();
+        assert.equal(hill.holder, b.player);
+
+        harness.handle.gamemode.compileLeaderboard(world);
+        assert.deepEqual(world.leaderboard.map(v => v[0]), [a.player, b.player]);
+    });
+
+    it("leaves the hill without a holder while nobody has the majority", () => {
+        const hill = world.hill;
+        const a = harness.addRouter(world);
+        const b = harness.addRouter(world);
+        harness.spawnCell(a, hill.x - 100, hill.y, 100);
+        harness.spawnCell(b, hill.x + 100, hill.y, 100);
+        harness.step(5);
+        assert.equal(hill.holder, null);
+        assert.equal(hill.points.size, 0);
+    });
+
+    it("moves the hill periodically", () => {
+        const hill = world.hill;
+        const marker = hill.marker;
+        const position = [hill.x, hill.y];
+        harness.step(51);
+        assert.notDeepEqual([hill.x, hill.y], position);
+        assert.equal(marker.exists, false);
+        assert.deepEqual([hill.marker.x, hill.marker.y], [hill.x, hill.y]);
+    });
+});
+
+describe("TeamKingOfTheHill", () => {
+    /** @type {Harness} */
+    let harness;
+    /** @type {World} */
+    let world;
+    beforeEach(() => {
+        harness = new Harness({ kothMoveTime: 60 }, "Team King of the Hill");
+        world = harness.createWorld();
+    });
+    afterEach(() => harness.destroy());
+
+    it("adds up the mass of a team's players on the hill", () => {
+        const hill = world.hill;
+        // joining players are spread over the teams in order
+        const routers = [harness.addRouter(world), harness.addRouter(world), harness.addRouter(world), harness.addRouter(world)];
+        assert.deepEqual(routers.map(v => v.player.team), [0, 1, 2, 0]);
+        harness.spawnCell(routers[0], hill.x - 150, hill.y, 100);
+        harness.spawnCell(routers[3], hill.x, hill.y - 150, 100);
+        harness.spawnCell(routers[1], hill.x + 150, hill.y, 130);
+        harness.step(25);
+        assert.equal(hill.holder, 0);
+        assert.equal(hill.marker.color, Teams.teamColors[0]);
+        assert.ok(Math.abs(hill.points.get(0) - 1) < 1e-9);
+        assert.equal(hill.points.has(1), false);
+
+        harness.handle.gamemode.compileLeaderboard(world);
+        assert.deepEqual(world.leaderboard, ["Red: 1 (on the hill)", "Green: 0", "Blue: 0"]);
+    });
+});
+
+const World = require("../src/worlds/World");
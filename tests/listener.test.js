@@ -0,0 +1,48 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness } = require("./harness");
+
+describe("Listener flood protection", () => {
+    /** @type {Harness} */
+    let harness;
+    let now = 0;
+    beforeEach(() => {
+        now = 1000000;
+        mock.method(Date, "now", () => now);
+        harness = new Harness({
+            listenerMaxConnectsPerWindow: 2,
+            listenerConnectWindow: 10,
+            listenerFloodBanAfter: 3,
+            listenerFloodBanWindow: 60,
+            listenerFloodBanDuration: 60
+        });
+    });
+    afterEach(() => {
+        harness.destroy();
+        mock.restoreAll();
+    });
+
+    /**
+     * @param {IPAddress} address
+     * @returns {number} the response's status code, 200 if the client was accepted
+     */
+    function connect(address) {
+        let status = NaN;
+        const info = { req: { socket: { remoteAddress: address } }, secure: false, origin: "" };
+        harness.handle.listener.verifyClient(info, (accepted, code) => status = accepted ? 200 : code);
+        return status;
+    }
+
+    it("doesn't ban a client for retrying within one window", () => {
+        const statuses = [];
+        for (let i = 0; i < 20; i++, now += 100) statuses.push(connect("1.2.3.4"));
+        assert.deepEqual(statuses.slice(0, 3), [200, 200, 429]);
+        assert.equal(harness.handle.punishments.find("ban", "1.2.3.4"), null);
+    });
+
+    it("bans a client that keeps flooding across windows", () => {
+        for (let i = 0; i < 300; i++, now += 100) connect("1.2.3.4");
+        assert.notEqual(harness.handle.punishments.find("ban", "1.2.3.4"), null);
+        assert.equal(connect("1.2.3.4"), 403);
+    });
+});
@@ -0,0 +1,63 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness, totalSquareSize } = require("./harness");
+
+describe("merge timing", () => {
+    /** @type {Harness} */
+    let harness;
+    afterEach(() => harness.destroy());
+
+    /**
+     * @param {Partial<Settings>} settings
+     */
+    function splitSetup(settings) {
+        harness = new Harness(settings);
+        const world = harness.createWorld();
+        const router = harness.addRouter(world);
+        harness.spawnCell(router, 0, 0, 200);
+        router.moveTo(1000, 0);
+        world.splitPlayer(router.player);
+        router.moveTo(0, 0);
+        return router;
+    }
+
+    it("keeps split cells apart until the merge delay passes", () => {
+        const router = splitSetup({ playerMergeTime: 1, playerMergeTimeIncrease: 0 });
+        const delay = Math.max(harness.settings.playerNoMergeDelay, 25);
+        harness.step(delay - 1);
+        assert.equal(router.player.ownedCells.length, 2);
+        for (const cell of router.player.ownedCells)
+            assert.equal(cell.canMerge, false);
+
+        const ticks = harness.stepUntil(() => router.player.ownedCells.length === 1, 200);
+        assert.ok(ticks > 0);
+        assert.ok(Math.abs(router.player.ownedCells[0].size - 200) < 1e-6);
+    });
+
+    it("falls back to the no merge delay when merge time is disabled", () => {
+        const router = splitSetup({ playerMergeTime: 0 });
+        const ticks = harness.stepUntil(() => router.player.ownedCells.length === 1, 200);
+        assert.ok(ticks >= harness.settings.playerNoMergeDelay);
+        assert.ok(ticks < 25 * 30);
+    });
+
+    it("scales the delay with size when merge time increase is set", () => {
+        const sizes = [];
+        for (const increase of [0, 0.05]) {
+            const router = splitSetup({ playerMergeTime: 1, playerMergeTimeIncrease: increase, playerMergeVersion: "old" });
+            sizes.push(harness.stepUntil(() => router.player.ownedCells.length === 1, 1000));
+            harness.destroy();
+        }
+        harness = new Harness();
+        assert.ok(sizes[1] > sizes[0]);
+    });
+
+    it("conserves mass when merging", () => {
+        const router = splitSetup({ playerMergeTime: 0 });
+        const before = totalSquareSize(router.player.ownedCells);
+        harness.stepUntil(() => router.player.ownedCells.length === 1, 200);
+        assert.ok(Math.abs(totalSquareSize(router.player.ownedCells) - before) < 1e-6);
+    });
+});
+
+const Settings = require("../src/Settings");
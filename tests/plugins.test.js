@@ -0,0 +1,33 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness } = require("./harness");
+const PluginContext = require("../src/plugins/PluginContext");
+const FFA = require("../src/gamemodes/FFA");
+
+describe("PluginContext", () => {
+    /** @type {Harness} */
+    let harness;
+    beforeEach(() => harness = new Harness());
+    afterEach(() => harness.destroy());
+
+    it("refuses gamemodes that take a registered name and keeps the original after unloading", () => {
+        class FakeFFA extends FFA {
+            static get name() { return "FFA"; }
+        }
+        const context = new PluginContext(harness.handle, "test");
+        assert.throws(() => context.gamemodes.register(FakeFFA), /conflicts/);
+        context.dispose();
+        assert.equal(harness.handle.gamemodes.store["FFA"], FFA);
+    });
+
+    it("removes the gamemodes it registered when unloading", () => {
+        class Custom extends FFA {
+            static get name() { return "Custom"; }
+        }
+        const context = new PluginContext(harness.handle, "test");
+        context.gamemodes.register(Custom);
+        assert.equal(harness.handle.gamemodes.store["Custom"], Custom);
+        context.dispose();
+        assert.equal(harness.handle.gamemodes.store.hasOwnProperty("Custom"), false);
+    });
+});
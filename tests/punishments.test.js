@@ -0,0 +1,77 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Harness } = require("./harness");
+const PunishmentList = require("../src/moderation/PunishmentList");
+
+describe("PunishmentList", () => {
+    /** @type {Harness} */
+    let harness;
+    /** @type {PunishmentList} */
+    let punishments;
+    beforeEach(() => {
+        harness = new Harness();
+        punishments = harness.handle.punishments;
+    });
+    afterEach(() => harness.destroy());
+
+    it("parses IP, CIDR and account targets", () => {
+        assert.deepEqual(PunishmentList.parseTarget("1.2.3.4"), { match: "ip", value: "1.2.3.4" });
+        assert.deepEqual(PunishmentList.parseTarget("10.0.0.0/8"), { match: "cidr", value: "10.0.0.0/8" });
+        assert.deepEqual(PunishmentList.parseTarget("Account:alice"), { match: "account", value: "alice" });
+        assert.equal(PunishmentList.parseTarget("10.0.0.0/33"), null);
+        assert.equal(PunishmentList.parseTarget("account:"), null);
+        assert.equal(PunishmentList.parseTarget("nonsense"), null);
+    });
+
+    it("matches by address, range and account", () => {
+        punishments.add("mute", { match: "ip", value: "1.2.3.4" }, null, "server", null);
+        punishments.add("mute", { match: "cidr", value: "10.0.0.0/8" }, null, "server", null);
+        punishments.add("ban", { match: "account", value: "Alice" }, null, "server", null);
+        assert.notEqual(punishments.find("mute", "1.2.3.4"), null);
+        assert.equal(punishments.find("mute", "1.2.3.5"), null);
+        assert.notEqual(punishments.find("mute", "10.20.30.40"), null);
+        assert.equal(punishments.find("mute", "11.0.0.1"), null);
+        assert.equal(punishments.find("mute", "::1"), null);
+        assert.notEqual(punishments.find("ban", null, "alice"), null);
+        assert.equal(punishments.find("mute", null, "alice"), null);
+    });
+
+    it("ignores and prunes expired punishments", () => {
+        punishments.add("mute", { match: "ip", value: "1.2.3.4" }, null, "server", -1000);
+        const active = punishments.add("mute", { match: "ip", value: "1.2.3.5" }, null, "server", 60000);
+        assert.equal(punishments.find("mute", "1.2.3.4"), null);
+        assert.deepEqual(punishments.list(), [active]);
+    });
+
+    it("saves to and loads from its file", () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), "ogar-punishments-"));
+        try {
+            const file = path.join(directory, "punishments.json");
+            punishments.setFile(file);
+            punishments.add("ban", { match: "cidr", value: "10.0.0.0/8" }, "spam", "server", null);
+            punishments.add("mute", { match: "ip", value: "1.2.3.4" }, null, "server", -1000);
+            const loaded = new PunishmentList(harness.handle);
+            loaded.setFile(file);
+            assert.deepEqual(loaded.list().map(v => [v.type, v.value, v.reason]), [["ban", "10.0.0.0/8", "spam"]]);
+            assert.equal(loaded.add("mute", { match: "ip", value: "1.2.3.5" }, null, "server", null).id, 3);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    it("lifts a player's address, range and account mutes when unmuting them by id", () => {
+        const router = harness.addExternalRouter(harness.createWorld());
+        router.remoteAddress = "10.1.2.3";
+        router.account = { name: "alice", salt: "", hash: "", created: 0, lastLogin: null };
+        punishments.add("mute", { match: "ip", value: "10.1.2.3" }, null, "server", null);
+        punishments.add("mute", { match: "cidr", value: "10.0.0.0/8" }, null, "server", null);
+        punishments.add("mute", { match: "account", value: "alice" }, null, "server", null);
+        punishments.add("mute", { match: "ip", value: "1.2.3.4" }, null, "server", null);
+        harness.handle.commands.execute(null, `unmute ${router.player.id}`);
+        assert.equal(punishments.findForRouter("mute", router), null);
+        assert.deepEqual(punishments.list().map(v => v.value), ["1.2.3.4"]);
+    });
+});
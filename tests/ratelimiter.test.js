@@ -0,0 +1,128 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness } = require("./harness");
+const RateLimiter = require("../src/moderation/RateLimiter");
+
+/**
+ * Stands in for a Connection, keeping what the limiter does to it
+ */
+class FakeConnection {
+    /**
+     * @param {Listener} listener
+     * @param {IPAddress} address
+     */
+    constructor(listener, address) {
+        this.listener = listener;
+        this.remoteAddress = address;
+        /** @type {string[]} */
+        this.received = [];
+        /** @type {number} */
+        this.closeCode = null;
+        this.protocol = {
+            limiter: new RateLimiter(this),
+            onChatMessage: (source, message) => this.received.push(message)
+        };
+    }
+    get limiter() { return this.protocol.limiter; }
+
+    /**
+     * @param {number} code
+     */
+    closeSocket(code) {
+        this.closeCode = code;
+    }
+}
+
+describe("RateLimiter", () => {
+    /** @type {Harness} */
+    let harness;
+    let now = 0;
+    beforeEach(() => {
+        now = 1000000;
+        mock.method(Date, "now", () => now);
+        harness = new Harness({
+            rateLimitSplits: 10,
+            rateLimitBurst: 2,
+            rateLimitWarnAfter: 3,
+            rateLimitDisconnectAfter: 6,
+            rateLimitBanAfter: 2,
+            rateLimitBanWindow: 60,
+            rateLimitBanDuration: 60
+        });
+    });
+    afterEach(() => {
+        harness.destroy();
+        mock.restoreAll();
+    });
+
+    it("allows a burst up to the bucket's capacity and refills it over time", () => {
+        const limiter = new FakeConnection(harness.handle.listener, "1.2.3.4").limiter;
+        for (let i = 0; i < 20; i++) assert.equal(limiter.take("splits"), true);
+        assert.equal(limiter.take("splits"), false);
+        now += 500;
+        for (let i = 0; i < 5; i++) assert.equal(limiter.take("splits"), true);
+        assert.equal(limiter.take("splits"), false);
+        assert.equal(limiter.dropped.splits, 2);
+        assert.equal(limiter.describe(), "splits 2");
+    });
+
+    it("keeps a bucket per kind of input", () => {
+        const limiter = new FakeConnection(harness.handle.listener, "1.2.3.4").limiter;
+        assert.equal(limiter.take("splits", 20), true);
+        assert.equal(limiter.take("splits"), false);
+        assert.equal(limiter.take("ejects"), true);
+    });
+
+    it("never limits input whose rate is zero", () => {
+        harness.handle.settings.rateLimitSplits = 0;
+        const limiter = new FakeConnection(harness.handle.listener, "1.2.3.4").limiter;
+        for (let i = 0; i < 100; i++) assert.equal(limiter.take("splits"), true);
+    });
+
+    it("warns once, then disconnects and drops everything", () => {
+        const connection = new FakeConnection(harness.handle.listener, "1.2.3.4");
+        const limiter = connection.limiter;
+        limiter.take("splits", 20);
+        for (let i = 0; i < 3; i++) limiter.take("splits");
+        assert.equal(connection.received.length, 1);
+        assert.match(connection.received[0], /slow down/);
+        limiter.take("splits");
+        limiter.take("splits");
+        assert.equal(connection.received.length, 1);
+        assert.equal(connection.closeCode, null);
+        limiter.take("splits");
+        assert.equal(connection.closeCode, 1008);
+        assert.equal(limiter.tripped, true);
+        now += 60000;
+        assert.equal(limiter.take("ejects"), false);
+    });
+
+    it("lets violations cool down over time", () => {
+        const connection = new FakeConnection(harness.handle.listener, "1.2.3.4");
+        const limiter = connection.limiter;
+        for (let i = 0; i < 10; i++) {
+            limiter.take("splits", 20);
+            limiter.take("splits");
+            now += 2000;
+        }
+        assert.equal(connection.closeCode, null);
+        assert.equal(connection.received.length, 0);
+    });
+
+    it("bans an address that trips the limiter too often", () => {
+        const punishments = harness.handle.punishments;
+        for (let trip = 0; trip < 2; trip++) {
+            assert.equal(punishments.find("ban", "1.2.3.4"), null);
+            const connection = new FakeConnection(harness.handle.listener, "1.2.3.4");
+            connection.limiter.take("splits", 20);
+            for (let i = 0; i < 6; i++) connection.limiter.take("splits");
+            assert.equal(connection.closeCode, 1008);
+        }
+        const ban = punishments.find("ban", "1.2.3.4");
+        assert.notEqual(ban, null);
+        assert.equal(ban.expires, now + 60000);
+        assert.equal(punishments.find("ban", "1.2.3.5"), null);
+    });
+});
+
+const Listener = require("../src/sockets/Listener");
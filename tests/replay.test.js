@@ -0,0 +1,59 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const Replay = require("../src/replays/Replay");
+const ReplayRecorder = require("../src/replays/ReplayRecorder");
+const Writer = require("../src/primitives/Writer");
+
+/**
+ * @param {Buffer[]} frames payloads of the cell frame records
+ */
+function createReplay(frames) {
+    const writer = new Writer();
+    writer.writeBytes(Buffer.from(ReplayRecorder.magic, "ascii"));
+    writer.writeUInt8(ReplayRecorder.version);
+    writer.writeFloat32(40);
+    writer.writeFloat64(Date.now());
+    for (let i = 0, l = frames.length; i < l; i++) {
+        writer.writeUInt8(2);
+        writer.writeUInt32(frames[i].length);
+        writer.writeBytes(frames[i]);
+    }
+    return new Replay(writer.finalize());
+}
+/**
+ * @param {number[]} ids
+ */
+function uint32s(ids) {
+    const data = Buffer.alloc(ids.length * 4);
+    ids.forEach((v, i) => data.writeUInt32LE(v, i * 4));
+    return data;
+}
+
+describe("Replay.step", () => {
+    it("decodes an empty frame", () => {
+        const replay = createReplay([uint32s([0, 0, 0, 0])]);
+        const frame = replay.step();
+        assert.deepEqual([frame.add, frame.upd, frame.eat, frame.del], [[], [], [], []]);
+        assert.equal(replay.ended, true);
+        assert.equal(replay.error, null);
+    });
+
+    it("stops at a frame that references an unknown cell", () => {
+        const empty = uint32s([0, 0, 0, 0]);
+        const replay = createReplay([empty, uint32s([0, 0, 0, 5, 0]), empty]);
+        assert.notEqual(replay.step(), null);
+        assert.equal(replay.step(), null);
+        assert.equal(replay.ended, true);
+        assert.equal(replay.frameCount, 1);
+        assert.match(replay.error, /unknown cell 5/);
+    });
+
+    it("stops at a truncated frame instead of reading past it", () => {
+        const replay = createReplay([uint32s([7]), uint32s([0, 0, 0, 0])]);
+        assert.equal(replay.step(), null);
+        assert.equal(replay.frameCount, 0);
+        assert.equal(replay.error, "frame data is truncated");
+        replay.seek(10);
+        assert.equal(replay.frame, 0);
+    });
+});
@@ -0,0 +1,105 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness, ExternalRouter } = require("./harness");
+
+describe("BattleRoyale", () => {
+    /** @type {Harness} */
+    let harness;
+    /** @type {World} */
+    let world;
+    /** @type {ExternalRouter[]} */
+    let routers;
+    beforeEach(() => {
+        harness = new Harness({
+            serverFrequency: 10,
+            royaleLobbyTime: 1,
+            royaleShrinkDelay: 1,
+            royaleShrinkTime: 2,
+            royaleResetDelay: 1,
+            royaleZoneDamage: 1,
+            pelletCount: 100
+        }, "Battle Royale");
+        world = harness.createWorld();
+        routers = [harness.addExternalRouter(world), harness.addExternalRouter(world)];
+    });
+    afterEach(() => harness.destroy());
+
+    it("holds spawns in the lobby until enough players are ready", () => {
+        routers[0].spawn("a");
+        harness.step(30);
+        assert.equal(world.royale.phase, "lobby");
+        assert.equal(routers[0].player.state, -1);
+        assert.deepEqual(routers[0].received, ["You will spawn once the round starts."]);
+        routers[1].spawn("b");
+        assert.equal(harness.stepUntil(() => world.royale.phase === "running", 30) > 0, true);
+        assert.equal(routers[0].player.state, 0);
+        assert.equal(routers[1].player.state, 0);
+        assert.equal(harness.handle.gamemode.canJoinWorld(world), false);
+    });
+
+    it("shrinks the border and thins out pellets as the zone closes in", () => {
+        routers[0].spawn("a");
+        routers[1].spawn("b");
+        harness.stepUntil(() => world.royale.phase === "running", 30);
+        const fullWidth = world.border.w;
+        const target = world.royale.toZone;
+        for (let i = 0; i < routers.length; i++) {
+            const cell = routers[i].player.ownedCells[0];
+            cell.x = target.x + (i * 2 - 1) * 100;
+            cell.y = target.y;
+            routers[i].moveTo(cell.x, cell.y);
+        }
+        harness.step(40);
+        assert.equal(world.royale.phase, "running");
+        assert.ok(world.border.w < fullWidth);
+        assert.ok(world.settings.pelletCount < 100);
+        assert.equal(world.border.w, Math.min(world.royale.zone.w + world.settings.royaleBorderMargin, fullWidth));
+    });
+
+    it("announces the last survivor and resets the world for another round", () => {
+        routers[0].spawn("a");
+        routers[1].spawn("b");
+        harness.stepUntil(() => world.royale.phase === "running", 30);
+        const messages = [];
+        harness.handle.events.on("chatMessage", (channel, source, message) => messages.push(message));
+        const loser = routers[1].player;
+        while (loser.ownedCells.length > 0) world.removeCell(loser.ownedCells[0]);
+        harness.step();
+        assert.equal(world.royale.phase, "ended");
+        assert.equal(world.royale.winner, "a");
+        assert.deepEqual(messages, ["a won the battle royale in world 1!"]);
+
+        harness.step(11);
+        assert.equal(world.royale.phase, "lobby");
+        assert.equal(world.playerCells.length, 0);
+        assert.equal(world.border.w, world.royale.map.w);
+        assert.equal(world.settings.pelletCount, 100);
+    });
+
+    it("lets changed settings reach the world again once a round resets", () => {
+        routers[0].spawn("a");
+        routers[1].spawn("b");
+        harness.stepUntil(() => world.royale.phase === "running", 30);
+        harness.step(40);
+        assert.ok(world.settings.pelletCount < 100);
+        harness.handle.gamemode.resetRound(world);
+        assert.equal(world.overrides.hasOwnProperty("pelletCount"), false);
+        assert.equal(harness.handle.setSettings(Object.assign({ }, harness.settings, { pelletCount: 60 })).length, 0);
+        assert.equal(world.settings.pelletCount, 60);
+    });
+
+    it("scales down from the world's own density overrides and keeps them across rounds", () => {
+        const preset = harness.handle.createWorld({ pelletCount: 40 });
+        const players = [harness.addExternalRouter(preset), harness.addExternalRouter(preset)];
+        players[0].spawn("a");
+        players[1].spawn("b");
+        harness.stepUntil(() => preset.royale.phase === "running", 30);
+        harness.step(40);
+        assert.ok(preset.settings.pelletCount < 40);
+        harness.handle.gamemode.resetRound(preset);
+        assert.equal(preset.settings.pelletCount, 40);
+        assert.equal(preset.overrides.hasOwnProperty("virusMinCount"), false);
+    });
+});
+
+const World = require("../src/worlds/World");
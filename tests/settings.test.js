@@ -0,0 +1,88 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness } = require("./harness");
+const Settings = require("../src/Settings");
+const SettingsSchema = require("../src/SettingsSchema");
+
+describe("ServerHandle.setSettings", () => {
+    /** @type {Harness} */
+    let harness;
+    beforeEach(() => {
+        harness = new Harness({ pelletCount: 50, virusMinCount: 0 });
+    });
+    afterEach(() => harness.destroy());
+
+    it("has a schema entry that accepts every default", () => {
+        assert.deepEqual(Object.keys(SettingsSchema.schema).sort(), Object.keys(Settings).sort());
+        assert.deepEqual(SettingsSchema.validate(Settings), []);
+    });
+
+    it("rejects invalid values and keeps the current settings", () => {
+        const handle = harness.handle;
+        const before = handle.settings;
+        assert.deepEqual(handle.setSettings(Object.assign({ }, before, { playerMaxCells: 0 })), ["playerMaxCells must be at least 1"]);
+        assert.equal(handle.setSettings(Object.assign({ }, before, { serverName: 3 })).length, 1);
+        assert.equal(handle.setSettings(Object.assign({ }, before, { virusMinCount: 100, virusMaxCount: 10 })).length, 1);
+        assert.equal(handle.setSettings(Object.assign({ }, before, { chatFilterRules: [{ pattern: "(", action: "mask" }] })).length, 1);
+        assert.equal(handle.settings, before);
+    });
+
+    it("changes settings left over from an old settings file through the setting command", () => {
+        const handle = harness.handle;
+        handle.settings.legacyKey = 1;
+        handle.commands.execute(null, "setting legacyKey 2");
+        assert.equal(handle.settings.legacyKey, 2);
+    });
+
+    it("resizes existing worlds, pushing player cells inside and dropping other cells outside", () => {
+        const world = harness.createWorld();
+        const router = harness.addRouter(world);
+        const cell = harness.spawnCell(router, 3000, 0, 100);
+        harness.step();
+        const handle = harness.handle;
+        assert.deepEqual(handle.setSettings(Object.assign({ }, handle.settings, { worldMapW: 1000, worldMapH: 1000 })), []);
+        assert.equal(world.border.w, 1000);
+        assert.equal(cell.x, 1000 - cell.size / 2);
+        for (let i = 0; i < world.cells.length; i++)
+            assert.ok(world.cells[i].type === 0 || Math.abs(world.cells[i].x) <= 1000);
+        harness.step(2);
+        assert.ok(cell.exists);
+        assert.equal(world.pelletCount, 50);
+    });
+
+    it("removes pellets above a lowered pellet count", () => {
+        const world = harness.createWorld();
+        harness.step();
+        assert.equal(world.pelletCount, 50);
+        const handle = harness.handle;
+        handle.setSettings(Object.assign({ }, handle.settings, { pelletCount: 10 }));
+        assert.equal(world.pelletCount, 10);
+    });
+
+    it("lets worlds override settings without affecting others", () => {
+        const handle = harness.handle;
+        const arena = harness.handle.createWorld({ worldMapW: 1000, worldMapH: 1000, pelletCount: 20 });
+        const normal = harness.createWorld();
+        harness.step();
+        assert.equal(arena.border.w, 1000);
+        assert.equal(arena.pelletCount, 20);
+        assert.equal(normal.border.w, Settings.worldMapW);
+        assert.equal(normal.pelletCount, 50);
+
+        handle.setSettings(Object.assign({ }, handle.settings, { pelletCount: 30, worldMapW: 3000 }));
+        harness.step();
+        assert.equal(arena.pelletCount, 20);
+        assert.equal(arena.border.w, 1000);
+        assert.equal(normal.pelletCount, 30);
+        assert.equal(normal.border.w, 3000);
+    });
+
+    it("only allows per-world settings in presets", () => {
+        const handle = harness.handle;
+        const errors = handle.setSettings(Object.assign({ }, handle.settings, {
+            worldPresets: { broken: { listeningPort: 80 } }
+        }));
+        assert.deepEqual(errors, ["worldPresets.broken: listeningPort can't differ between worlds"]);
+        assert.deepEqual(SettingsSchema.validateOverrides({ pelletMinSize: 100 }, handle.settings), ["pelletMinSize can't be above pelletMaxSize"]);
+    });
+});
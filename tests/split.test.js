@@ -0,0 +1,73 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness, totalSquareSize } = require("./harness");
+
+describe("World.splitPlayer", () => {
+    /** @type {Harness} */
+    let harness;
+    /** @type {World} */
+    let world;
+    beforeEach(() => {
+        harness = new Harness();
+        world = harness.createWorld();
+    });
+    afterEach(() => harness.destroy());
+
+    it("halves a cell's mass towards the mouse", () => {
+        const router = harness.addRouter(world);
+        const cell = harness.spawnCell(router, 0, 0, 200);
+        router.moveTo(1000, 0);
+        world.splitPlayer(router.player);
+
+        const cells = router.player.ownedCells;
+        assert.equal(cells.length, 2);
+        const launched = cells.find(v => v !== cell);
+        const size = 200 / harness.settings.playerSplitSizeDiv;
+        assert.ok(Math.abs(launched.size - size) < 1e-6);
+        assert.ok(Math.abs(cell.size - size) < 1e-6);
+        assert.equal(launched.x, cell.x + harness.settings.playerSplitDistance);
+        assert.equal(launched.boost.dx, 1);
+        assert.equal(launched.boost.dy, 0);
+        assert.ok(Math.abs(totalSquareSize(cells) - 200 * 200) < 1e-6);
+        assert.equal(router.player.stats.session.splits, 1);
+    });
+
+    it("doesn't split cells below the minimum split size", () => {
+        const router = harness.addRouter(world);
+        harness.spawnCell(router, 0, 0, harness.settings.playerMinSplitSize - 1);
+        world.splitPlayer(router.player);
+        assert.equal(router.player.ownedCells.length, 1);
+        assert.equal(router.player.stats.session.splits, 0);
+    });
+
+    it("never goes over the cell limit", () => {
+        const router = harness.addRouter(world);
+        harness.spawnCell(router, 0, 0, 1000);
+        router.moveTo(1000, 1000);
+        for (let i = 0; i < 8; i++) world.splitPlayer(router.player);
+        assert.equal(router.player.ownedCells.length, harness.settings.playerMaxCells);
+    });
+
+    it("processes split input from the router on the next tick", () => {
+        const router = harness.addRouter(world);
+        harness.spawnCell(router, 0, 0, 200);
+        router.moveTo(0, 1000).split();
+        harness.step();
+        assert.equal(router.player.ownedCells.length, 2);
+        assert.equal(router.splitAttempts, 0);
+    });
+
+    it("launched cells travel and then stop boosting", () => {
+        const router = harness.addRouter(world);
+        const cell = harness.spawnCell(router, 0, 0, 200);
+        router.moveTo(1000, 0);
+        world.splitPlayer(router.player);
+        const launched = router.player.ownedCells.find(v => v !== cell);
+        router.moveTo(launched.x, launched.y);
+        const ticks = harness.stepUntil(() => !launched.isBoosting, 100);
+        assert.ok(ticks > 0);
+        assert.ok(launched.x > cell.x + harness.settings.playerSplitDistance);
+    });
+});
+
+const World = require("../src/worlds/World");
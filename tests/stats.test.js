@@ -0,0 +1,48 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness } = require("./harness");
+
+describe("PlayerStats killers", () => {
+    /** @type {Harness} */
+    let harness;
+    /** @type {World} */
+    let world;
+    beforeEach(() => {
+        harness = new Harness({ statsMaxKillers: 2 });
+        world = harness.createWorld();
+    });
+    afterEach(() => harness.destroy());
+
+    /**
+     * @param {Player} victim
+     * @param {string} name
+     */
+    function killBy(victim, name) {
+        const killer = harness.addRouter(world).player;
+        killer.leaderboardName = name;
+        victim.stats.spawnTick = harness.handle.tick;
+        victim.stats.killer = killer;
+        victim.stats.onDeath();
+    }
+
+    it("counts names that shadow object prototype members", () => {
+        const victim = harness.addRouter(world).player;
+        killBy(victim, "constructor");
+        killBy(victim, "constructor");
+        killBy(victim, "__proto__");
+        assert.equal(victim.stats.session.killedBy["constructor"], 2);
+        assert.equal(victim.stats.session.killedBy["__proto__"], 1);
+    });
+
+    it("drops the least common killer past the limit", () => {
+        const victim = harness.addRouter(world).player;
+        killBy(victim, "a");
+        killBy(victim, "a");
+        killBy(victim, "b");
+        killBy(victim, "c");
+        assert.deepEqual(Object.keys(victim.stats.session.killedBy).sort(), ["a", "c"]);
+    });
+});
+
+const World = require("../src/worlds/World");
+const Player = require("../src/worlds/Player");
@@ -0,0 +1,90 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness, ExternalRouter } = require("./harness");
+
+describe("Tournament", () => {
+    /** @type {Harness} */
+    let harness;
+    /** @type {World} */
+    let world;
+    /** @type {ExternalRouter[]} */
+    let routers;
+    beforeEach(() => {
+        harness = new Harness({
+            serverFrequency: 10,
+            tournamentLobbyTime: 1,
+            tournamentRoundCount: 2,
+            tournamentRoundTime: 5,
+            tournamentIntermission: 1,
+            tournamentPoints: [5, 2]
+        }, "Tournament");
+        world = harness.createWorld();
+        routers = [harness.addExternalRouter(world), harness.addExternalRouter(world), harness.addExternalRouter(world)];
+        routers.forEach((router, i) => router.spawn("abc"[i]));
+        harness.stepUntil(() => world.tournament.phase === "round", 30);
+    });
+    afterEach(() => harness.destroy());
+
+    /**
+     * @param {ExternalRouter} router
+     */
+    function eliminate(router) {
+        const player = router.player;
+        while (player.ownedCells.length > 0) world.removeCell(player.ownedCells[0]);
+        harness.step();
+    }
+    /**
+     * @returns {{ [name: string]: number }}
+     */
+    function points() {
+        harness.handle.gamemode.compileLeaderboard(world);
+        const result = { };
+        for (let [, standing] of world.leaderboard) result[standing.name] = standing.points;
+        return result;
+    }
+
+    it("spawns every entrant once the countdown ends and refuses respawns", () => {
+        assert.equal(world.tournament.round, 1);
+        assert.ok(routers.every(v => v.player.state === 0));
+        eliminate(routers[2]);
+        routers[2].spawn("c");
+        harness.step(2);
+        assert.equal(routers[2].player.state, -1);
+        assert.equal(routers[2].received[routers[2].received.length - 1], "You will spawn again when the next round starts.");
+    });
+
+    it("awards placement points per round and resets the world in between", () => {
+        eliminate(routers[2]);
+        eliminate(routers[1]);
+        assert.equal(world.tournament.phase, "intermission");
+        assert.deepEqual(points(), { a: 5, b: 2, c: 0 });
+
+        harness.stepUntil(() => world.tournament.phase === "round", 20);
+        assert.equal(world.tournament.round, 2);
+        assert.ok(routers.every(v => v.player.ownedCells.length === 1));
+        assert.equal(world.playerCells.length, 3);
+    });
+
+    it("ends timed out rounds and announces the final standings", () => {
+        const messages = [];
+        harness.handle.events.on("chatMessage", (channel, source, message) => messages.push(message));
+        routers[1].player.ownedCells[0].size = 200;
+        eliminate(routers[0]);
+        harness.stepUntil(() => world.tournament.phase === "intermission", 60);
+        assert.deepEqual(points(), { a: 0, b: 5, c: 2 });
+
+        harness.stepUntil(() => world.tournament.phase === "round", 20);
+        eliminate(routers[2]);
+        eliminate(routers[1]);
+        assert.equal(world.tournament.phase, "finished");
+        assert.deepEqual(points(), { a: 5, b: 7, c: 2 });
+        assert.equal(messages[messages.length - 1],
+            "The tournament in world 1 has finished: 1. b (7 points), 2. a (5 points), 3. c (2 points)");
+
+        harness.stepUntil(() => world.tournament.phase === "lobby", 20);
+        assert.equal(world.tournament.standings.size, 0);
+        assert.equal(harness.handle.gamemode.canJoinWorld(world), true);
+    });
+});
+
+const World = require("../src/worlds/World");
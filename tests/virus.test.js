@@ -0,0 +1,73 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness, totalSquareSize } = require("./harness");
+const Virus = require("../src/cells/Virus");
+
+describe("virus pops", () => {
+    /** @type {Harness} */
+    let harness;
+    afterEach(() => harness.destroy());
+
+    /**
+     * @param {Partial<Settings>=} settings
+     */
+    function popSetup(settings) {
+        harness = new Harness(settings);
+        const world = harness.createWorld();
+        const router = harness.addRouter(world);
+        const cell = harness.spawnCell(router, 0, 0, 300);
+        const virus = new Virus(world, 20, 0);
+        world.addCell(virus);
+        return { world, router, cell, virus };
+    }
+
+    it("pops a cell that eats a virus into many pieces", () => {
+        const { router, virus } = popSetup();
+        harness.step();
+        assert.equal(virus.exists, false);
+        assert.ok(router.player.ownedCells.length > 1);
+        assert.ok(router.player.ownedCells.length <= harness.settings.playerMaxCells);
+    });
+
+    it("conserves the combined mass of the cell and the virus", () => {
+        const { router, virus } = popSetup();
+        const expected = 300 * 300 + virus.squareSize;
+        harness.step();
+        assert.ok(Math.abs(totalSquareSize(router.player.ownedCells) - expected) < 1e-3);
+    });
+
+    it("splits into equal pieces with monotone pops", () => {
+        const { router, cell } = popSetup({ virusMonotonePops: true });
+        harness.step();
+        const pieces = router.player.ownedCells.filter(v => v !== cell);
+        assert.ok(pieces.length > 0);
+        for (const piece of pieces)
+            assert.ok(Math.abs(piece.size - pieces[0].size) < 1e-6);
+    });
+
+    it("doesn't pop cells that are too small to eat the virus", () => {
+        harness = new Harness();
+        const world = harness.createWorld();
+        const router = harness.addRouter(world);
+        harness.spawnCell(router, 0, 0, 100);
+        const virus = new Virus(world, 10, 0);
+        world.addCell(virus);
+        harness.step();
+        assert.equal(virus.exists, true);
+        assert.equal(router.player.ownedCells.length, 1);
+    });
+
+    it("pops the same way for the same seed", () => {
+        const sizes = [];
+        for (let i = 0; i < 2; i++) {
+            const { router } = popSetup();
+            harness.step(10);
+            sizes.push(router.player.ownedCells.map(v => [v.x, v.y, v.size]));
+            harness.destroy();
+        }
+        harness = new Harness();
+        assert.deepEqual(sizes[0], sizes[1]);
+    });
+});
+
+const Settings = require("../src/Settings");
@@ -0,0 +1,119 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Harness } = require("./harness");
+const http = require("http");
+const WebConsole = require("../cli/web-console");
+
+/**
+ * Stands in for the socket of an upgrade request, keeping what the console answers with
+ */
+class FakeSocket {
+    constructor() {
+        /** @type {string} */
+        this.response = null;
+    }
+    /**
+     * @param {string} data
+     */
+    end(data) {
+        this.response = data;
+    }
+}
+
+describe("WebConsole.onUpgrade", () => {
+    /** @type {Harness} */
+    let harness;
+    /** @type {WebConsole} */
+    let webConsole;
+    beforeEach(() => {
+        harness = new Harness();
+        webConsole = new WebConsole(harness.handle, null);
+    });
+    afterEach(() => harness.destroy());
+
+    it("ignores paths that aren't valid URLs", () => {
+        const socket = new FakeSocket();
+        assert.doesNotThrow(() => webConsole.onUpgrade({ url: "//" }, socket, Buffer.alloc(0)));
+        assert.equal(socket.response, null);
+    });
+
+    it("refuses live connections without a known token", () => {
+        for (let url of ["/console/live", "/console/live?token=nope", "/console/live?token"]) {
+            const socket = new FakeSocket();
+            webConsole.onUpgrade({ url: url }, socket, Buffer.alloc(0));
+            assert.match(socket.response, /^HTTP\/1\.1 401/);
+        }
+    });
+});
+
+/**
+ * Stands in for a live console socket, keeping every event sent to it
+ */
+class FakeLiveSocket {
+    /**
+     * @param {string} token
+     */
+    constructor(token) {
+        this.token = token;
+        this.readyState = 1;
+        /** @type {any[]} */
+        this.events = [];
+    }
+    /**
+     * @param {string} data
+     */
+    send(data) {
+        this.events.push(JSON.parse(data));
+    }
+    close() {
+        this.readyState = 3;
+    }
+}
+
+describe("WebConsole live events", () => {
+    /** @type {Harness} */
+    let harness;
+    /** @type {WebConsole} */
+    let webConsole;
+    beforeEach(() => {
+        harness = new Harness();
+        webConsole = new WebConsole(harness.handle, null);
+    });
+    afterEach(() => harness.destroy());
+
+    /**
+     * @param {string} role
+     */
+    function addLiveSocket(role) {
+        const socket = new FakeLiveSocket(role);
+        webConsole.sessions.set(role, { user: { username: role, role: role }, username: role, lastActivity: new Date() });
+        webConsole.liveServer.clients.add(/** @type {any} */ (socket));
+        return socket;
+    }
+
+    it("only sends chat to moderator sessions", () => {
+        const viewer = addLiveSocket("viewer");
+        const moderator = addLiveSocket("moderator");
+        const admin = addLiveSocket("admin");
+        webConsole.onChat("whisper to 1", { name: "someone", isServer: false, color: 0 }, "secret");
+        assert.deepEqual(viewer.events, []);
+        assert.equal(moderator.events.length, 1);
+        assert.equal(admin.events[0].message, "secret");
+
+        webConsole.onLog(new Date(), "INFO", "hello");
+        assert.equal(viewer.events.length, 1);
+        assert.equal(viewer.events[0].type, "log");
+    });
+
+    it("removes its hooks when stopped", async () => {
+        const handle = harness.handle;
+        const onlog = handle.logger.onlog;
+        const tickCallbacks = handle.ticker.callbacks.length;
+        await webConsole.start(http.createServer());
+        assert.notEqual(handle.logger.onlog, onlog);
+        webConsole.stop();
+        assert.equal(handle.logger.onlog, onlog);
+        assert.equal(handle.ticker.callbacks.length, tickCallbacks);
+        assert.equal(handle.events.listeners.chatMessage, undefined);
+    });
+});